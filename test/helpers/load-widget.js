@@ -0,0 +1,46 @@
+// Loads widget.js into a jsdom page for the regression tests.
+// The widget keeps everything inside its IIFE, so the source gets one extra
+// line before the closing `})();`: window.__widget(code) evaluates code inside
+// that closure (e.g. window.__widget('showError(instances[0], "x")')).
+
+require('fake-indexeddb/auto');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const WIDGET_PATH = path.join(__dirname, '..', '..', 'widget.js');
+
+/**
+ * Create a page with the given body markup and run widget.js in it
+ * Returns: Promise<Window> once the widgets are initialized
+ */
+async function loadWidget(bodyHTML) {
+  const source = fs.readFileSync(WIDGET_PATH, 'utf8');
+  const end = source.lastIndexOf('})();');
+  const hooked = source.slice(0, end) + 'window.__widget = (code) => eval(code);\n' + source.slice(end);
+
+  const dom = new JSDOM(`<!DOCTYPE html><body>${bodyHTML}</body>`, {
+    url: 'http://localhost/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+
+  // Browser APIs jsdom doesn't have
+  window.indexedDB = indexedDB;
+  window.IDBKeyRange = IDBKeyRange;
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.URL.createObjectURL = () => 'blob:http://localhost/test';
+  window.URL.revokeObjectURL = () => {};
+  window.fetch = () => Promise.reject(new TypeError('No network in tests'));
+  window.confirm = () => true;
+  window.console = { ...console, log() {}, warn() {} };
+
+  window.eval(hooked);
+
+  // Auto-initialization runs once the document has loaded
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return window;
+}
+
+module.exports = { loadWidget };
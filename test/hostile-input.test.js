@@ -0,0 +1,173 @@
+// Hostile transcripts, API responses, config values, decks and stored
+// memories must be shown as text in every view, never parsed as HTML
+// (see "Testing Hostile Input" in TESTING.md for the manual checks).
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadWidget } = require('./helpers/load-widget');
+
+const PAYLOAD = `</textarea><img src=x onerror="window.__xss = true"><script>window.__xss = true</script><b>bold?</b>`;
+
+let window;
+let run;
+
+before(async () => {
+  window = await loadWidget('<div class="family-memory-widget" id="hostile"></div>');
+  run = window.__widget;
+});
+
+after(() => {
+  window.close();
+});
+
+afterEach(() => {
+  run('closeModal(instances[0])');
+});
+
+/**
+ * Fail if the payload turned into elements in either shadow root
+ */
+function assertNoInjectedMarkup(view) {
+  const instance = run('instances[0]');
+  [instance.hosts.widget.shadowRoot, instance.hosts.modal.shadowRoot].forEach(root => {
+    assert.strictEqual(root.querySelectorAll('img[onerror], script, b').length, 0, `${view}: payload was parsed as HTML`);
+  });
+  assert.strictEqual(window.__xss, undefined, `${view}: payload ran`);
+}
+
+/**
+ * The modal's text, to check the payload is shown as text
+ */
+function modalText() {
+  return run(`getElement(instances[0], 'modal')`).textContent;
+}
+
+test('transcript in the editable textarea', () => {
+  run('showTranscriptModal')(run('instances[0]'), { transcript: PAYLOAD, language: PAYLOAD });
+
+  assertNoInjectedMarkup('transcript textarea');
+  assert.strictEqual(run(`getElement(instances[0], 'transcript-text')`).value, PAYLOAD);
+});
+
+test('transcript segments and detected language', () => {
+  run('showTranscriptModal')(run('instances[0]'), {
+    transcript: PAYLOAD,
+    language: PAYLOAD,
+    segments: [{ start: 0, end: 2, text: PAYLOAD }, { start: 2, end: 4, text: PAYLOAD }]
+  });
+
+  assertNoInjectedMarkup('transcript segments');
+  assert.ok(run(`getElement(instances[0], 'segments')`).textContent.includes(PAYLOAD));
+  assert.ok(modalText().includes(PAYLOAD));
+});
+
+test('upgrade modal title and message', () => {
+  run('showUpgradeModal')(run('instances[0]'), PAYLOAD, PAYLOAD);
+
+  assertNoInjectedMarkup('upgrade modal');
+  assert.ok(modalText().includes(PAYLOAD));
+});
+
+test('error message', () => {
+  run('showError')(run('instances[0]'), PAYLOAD);
+
+  assertNoInjectedMarkup('showError');
+  assert.ok(modalText().includes(PAYLOAD));
+});
+
+test('library title and snippet from a stored memory', async () => {
+  await run('saveMemory')({
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    transcript: PAYLOAD,
+    language: PAYLOAD,
+    duration: 3,
+    metadata: { title: PAYLOAD },
+    prompt: PAYLOAD,
+    segments: [],
+    photos: []
+  });
+  await run('showLibraryModal')(run('instances[0]'));
+
+  assertNoInjectedMarkup('library');
+  assert.ok(run(`getElement(instances[0], 'library-list')`).querySelector('.fm-library-title').textContent.includes(PAYLOAD));
+  assert.ok(run(`getElement(instances[0], 'library-list')`).querySelector('.fm-library-snippet').textContent.includes('<img'));
+});
+
+test('interview prompt card', async () => {
+  run(`instances[0].config.INTERVIEW_MODE = true`);
+  run('instances[0]').config.PROMPT_DECK = { title: PAYLOAD, prompts: [PAYLOAD] };
+  await run('setupInterview')(run('instances[0]'));
+
+  assertNoInjectedMarkup('prompt card');
+  assert.strictEqual(run(`getElement(instances[0], 'prompt-text')`).textContent, PAYLOAD);
+});
+
+test('queued upload modal', () => {
+  run('registerLocale')('x-hostile', { 'queue.title': PAYLOAD, 'queue.safe': PAYLOAD, 'queue.reasonServer': PAYLOAD });
+  const instance = run('instances[0]');
+  const locale = instance.config.LOCALE;
+  instance.config.LOCALE = 'x-hostile';
+
+  try {
+    run('showQueuedModal')(instance, Object.assign(new Error(PAYLOAD), { code: 'http', status: 503 }));
+  } finally {
+    instance.config.LOCALE = locale;
+  }
+
+  assertNoInjectedMarkup('queued modal');
+  assert.ok(modalText().includes(PAYLOAD));
+});
+
+test('locale registered under a name that is not a language tag', () => {
+  run('registerLocale')('klingon_x', { 'quota.left': { one: '{count} left', other: PAYLOAD } });
+  const instance = run('instances[0]');
+  const locale = instance.config.LOCALE;
+  instance.config.LOCALE = 'klingon_x';
+
+  try {
+    assert.strictEqual(run('t')(instance, 'quota.left', { count: 1 }), '1 left');
+    assert.strictEqual(run('t')(instance, 'quota.left', { count: 5 }), PAYLOAD);
+  } finally {
+    instance.config.LOCALE = locale;
+  }
+});
+
+test('long-form chunk failure modal', () => {
+  const instance = run('instances[0]');
+  instance.state.longForm = { chunks: [{}, {}, {}] };
+  const error = Object.assign(new Error(PAYLOAD), { code: 'http', status: 422 });
+
+  try {
+    run('showChunkFailureModal')(instance, [{ start: 0, end: 20, error }]);
+  } finally {
+    instance.state.longForm = null;
+  }
+
+  assertNoInjectedMarkup('chunk failure modal');
+  assert.ok(modalText().includes(PAYLOAD));
+});
+
+test('live transcript while streaming', () => {
+  const instance = run('instances[0]');
+  instance.state.liveStream = { finals: [PAYLOAD], interim: PAYLOAD };
+
+  try {
+    run('renderLiveTranscript')(instance);
+    assertNoInjectedMarkup('live transcript');
+    assert.ok(run(`getElement(instances[0], 'live-transcript')`).textContent.includes(PAYLOAD));
+  } finally {
+    instance.state.liveStream = null;
+    run('renderLiveTranscript')(instance);
+  }
+});
+
+test('safeURL blocks script and data URLs', () => {
+  const safeURL = run('safeURL');
+
+  assert.strictEqual(safeURL('javascript:alert(1)'), '#');
+  assert.strictEqual(safeURL(' JavaScript:alert(1)'), '#');
+  assert.strictEqual(safeURL('data:text/html,<script>alert(1)</script>'), '#');
+  assert.strictEqual(safeURL('https://buy.stripe.com/abc'), 'https://buy.stripe.com/abc');
+  assert.strictEqual(safeURL('mailto:help@example.com'), 'mailto:help@example.com');
+});
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Mock live-streaming transcription server for testing the widget's STREAM_URL mode
+ * Speaks the widget's WebSocket protocol (see "Live Streaming" in the README)
+ * and "recognises" a fixed story: a word every few audio slices, a final
+ * phrase every six words, and the complete result after { type: 'stop' }.
+ * No dependencies - the WebSocket handshake and framing are done by hand.
+ *
+ * Usage:
+ *   node tools/mock-stream-server.js [--port 8787] [--timeslice 250] [--save received.webm] [--error]
+ *
+ *   --port       Port to listen on (default 8787)
+ *   --timeslice  The widget's STREAM_TIMESLICE, used to estimate segment times (default 250)
+ *   --save       Write the received audio to this file after each recording
+ *   --error      Answer 'stop' with an error, to test the widget's fallback upload
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const STORY = ('When I was a little girl we lived on a farm outside the village, ' +
+  'and every summer my grandmother took us down to the river to pick berries. ' +
+  'She knew the name of every bird and every tree along the way.').split(' ');
+
+const SLICES_PER_WORD = 3;
+const WORDS_PER_PHRASE = 6;
+
+/**
+ * Parse --name value command line options
+ */
+function parseOptions(argv) {
+  const options = { port: 8787, timeslice: 250, save: null, error: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        options.port = Number(argv[++i]);
+        break;
+      case '--timeslice':
+        options.timeslice = Number(argv[++i]);
+        break;
+      case '--save':
+        options.save = argv[++i];
+        break;
+      case '--error':
+        options.error = true;
+        break;
+      default:
+        console.warn(`Ignoring unknown option ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// ============================================================================
+// WEBSOCKET FRAMING
+// ============================================================================
+
+/**
+ * Send one unmasked frame (servers never mask)
+ */
+function sendFrame(socket, opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  socket.write(Buffer.concat([header, payload]));
+}
+
+/**
+ * Decode as many complete frames as the buffer holds
+ * Reassembles fragmented messages; calls onMessage(opcode, payload) for
+ * every complete message or control frame.
+ */
+function readFrames(connection, chunk, onMessage) {
+  connection.buffer = Buffer.concat([connection.buffer, chunk]);
+
+  while (connection.buffer.length >= 2) {
+    const buffer = connection.buffer;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    connection.buffer = buffer.subarray(offset + length);
+
+    // Control frames may arrive between the fragments of a message
+    if (opcode >= 0x8) {
+      onMessage(opcode, payload);
+    } else if (opcode === 0x0) {
+      connection.fragments.push(payload);
+      if (fin) {
+        onMessage(connection.fragmentOpcode, Buffer.concat(connection.fragments));
+        connection.fragments = [];
+      }
+    } else if (!fin) {
+      connection.fragmentOpcode = opcode;
+      connection.fragments = [payload];
+    } else {
+      onMessage(opcode, payload);
+    }
+  }
+}
+
+// ============================================================================
+// MOCK RECOGNITION
+// ============================================================================
+
+/**
+ * One recording: turns audio slices into partial/final/done messages
+ */
+function createSession(send, options) {
+  const audio = [];
+  const finals = [];
+  const segments = [];
+  let phrase = [];
+  let phraseStart = 0;
+  let slices = 0;
+  let wordIndex = 0;
+
+  const secondsSoFar = () => (slices * options.timeslice) / 1000;
+
+  const finishPhrase = () => {
+    if (phrase.length === 0) return;
+
+    const text = phrase.join(' ');
+    finals.push(text);
+    segments.push({ start: phraseStart, end: secondsSoFar(), text });
+    send({ type: 'final', text });
+
+    phrase = [];
+    phraseStart = secondsSoFar();
+  };
+
+  return {
+    onStart(message) {
+      console.log(`Recording started (${message.mimeType || 'unknown format'}, language ${message.language || 'auto'})`);
+    },
+
+    onAudio(data) {
+      audio.push(data);
+      slices++;
+
+      if (slices % SLICES_PER_WORD === 0) {
+        phrase.push(STORY[wordIndex % STORY.length]);
+        wordIndex++;
+        send({ type: 'partial', text: phrase.join(' ') });
+      }
+
+      if (phrase.length >= WORDS_PER_PHRASE) {
+        finishPhrase();
+      }
+    },
+
+    onStop() {
+      finishPhrase();
+
+      const bytes = audio.reduce((total, data) => total + data.length, 0);
+      console.log(`Recording stopped: ${slices} slices, ${bytes} bytes`);
+
+      if (options.save) {
+        fs.writeFileSync(options.save, Buffer.concat(audio));
+        console.log(`Saved audio to ${options.save}`);
+      }
+
+      if (options.error) {
+        send({ type: 'error', message: 'Mock server was started with --error' });
+        return;
+      }
+
+      send({
+        type: 'done',
+        transcript: finals.join(' '),
+        language: 'en',
+        language_probability: 0.99,
+        segments
+      });
+    }
+  };
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Complete the WebSocket handshake and run a session on the connection
+ */
+function handleUpgrade(request, socket, options) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || request.headers.upgrade.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const connection = { buffer: Buffer.alloc(0), fragments: [], fragmentOpcode: 0 };
+  const send = (message) => sendFrame(socket, 0x1, Buffer.from(JSON.stringify(message)));
+  let session = null;
+
+  socket.on('data', (chunk) => readFrames(connection, chunk, (opcode, payload) => {
+    switch (opcode) {
+      case 0x1: {
+        let message;
+        try {
+          message = JSON.parse(payload.toString('utf8'));
+        } catch (error) {
+          send({ type: 'error', message: 'Text messages must be JSON' });
+          return;
+        }
+
+        if (message.type === 'start') {
+          session = createSession(send, options);
+          session.onStart(message);
+        } else if (message.type === 'stop' && session) {
+          session.onStop();
+          session = null;
+        }
+        break;
+      }
+      case 0x2:
+        if (session) session.onAudio(payload);
+        break;
+      case 0x8:
+        sendFrame(socket, 0x8, Buffer.alloc(0));
+        socket.end();
+        break;
+      case 0x9:
+        sendFrame(socket, 0xA, payload);
+        break;
+      default:
+        break;
+    }
+  }));
+
+  socket.on('error', (error) => console.warn('Connection error:', error.message));
+}
+
+const options = parseOptions(process.argv.slice(2));
+
+const server = http.createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('This is a WebSocket endpoint for the Family Memory Widget (data-stream-url).\n');
+});
+
+server.on('upgrade', (request, socket) => handleUpgrade(request, socket, options));
+
+server.listen(options.port, () => {
+  console.log(`Mock streaming server listening on ws://localhost:${options.port}`);
+});
@@ -14,6 +14,14 @@
   const CONFIG = {
     // API endpoint for transcription service (Faster Whisper on Railway)
     API_URL: 'https://faster-whisper-api-production-537b.up.railway.app/transcribe-audio',
+
+    // Transcription backend adapter: 'faster-whisper', 'openai' (any
+    // OpenAI-compatible /v1/audio/transcriptions server), the name of an
+    // adapter added with FamilyMemoryWidget.registerBackend(), or an async
+    // function passed to FamilyMemoryWidget.init({ backend })
+    BACKEND: 'faster-whisper',
+    API_KEY: '',          // Bearer token for the 'openai' backend (only for self-hosted/proxied servers)
+    MODEL: 'whisper-1',   // Model name for the 'openai' backend
     
     // Time limits (in seconds)
     FREE_TIME_LIMIT: 120,  // 2 minutes for free users
@@ -21,51 +29,479 @@
     
     // Rate limiting (free users only)
     FREE_DAILY_LIMIT: 3,   // 3 recordings per day for free users
-    
+    // Optional server-side quota: GET → { remaining, limit, resetAt }. When
+    // set, the server's count replaces the localStorage counter.
+    QUOTA_URL: '',
+
+    // WAV encoding (used for downloads and, optionally, uploads)
+    WAV_SAMPLE_RATE: 44100,  // Output sample rate in Hz
+    WAV_CHANNELS: 1,         // 1 = mono, 2 = stereo
+    SEND_AS_WAV: false,      // Convert to WAV before upload (for WAV-only backends)
+    // Longer recordings skip WAV conversion: decoding hours of audio at once
+    // runs the tab out of memory
+    WAV_MAX_DURATION: 600,   // 10 minutes
+
+    // Give up on a transcription request after this many seconds (0 = never)
+    REQUEST_TIMEOUT: 180,
+
+    // Live streaming transcription: when set, audio is streamed to this
+    // WebSocket while recording and the text appears under the mic as it
+    // is recognised (see "Live Streaming" in the README for the protocol)
+    STREAM_URL: '',
+    STREAM_TIMESLICE: 250,   // Milliseconds of audio per streamed chunk
+
+    // Microphone processing defaults (users can change them with the ⚙️ button)
+    ECHO_CANCELLATION: true,
+    NOISE_SUPPRESSION: true,
+    AUTO_GAIN_CONTROL: true,
+
+    // Level meter & silence detection while recording
+    SILENCE_THRESHOLD: 0.01,        // RMS level (0-1) below which audio counts as silence
+    SILENCE_WARNING_SECONDS: 4,     // Warn if the first N seconds are silent (0 = never)
+    SILENCE_AUTO_STOP_SECONDS: 0,   // Stop after N seconds of silence following speech (0 = never)
+
+    // Long-form mode (Pro): multi-hour interviews. The audio is cut into
+    // overlapping WAV chunks that are transcribed in the background while
+    // recording continues, then stitched into one transcript.
+    LONG_FORM: false,
+    LONG_FORM_TIME_LIMIT: 10800,   // 3 hours (replaces PRO_TIME_LIMIT)
+    CHUNK_SECONDS: 60,             // Target chunk length; the cut is made at the quietest moment near it
+    CHUNK_OVERLAP_SECONDS: 2,      // Audio shared by neighbouring chunks so no word is lost at a cut
+    CHUNK_SAMPLE_RATE: 16000,      // Chunks are uploaded as mono 16-bit WAV at this rate
+    CHUNK_MAX_RETRIES: 3,          // Automatic retries per chunk before asking the user
+
+    // Audio file upload (📂): existing recordings such as voicemails or
+    // digitized cassettes. Their length must fit the tier's time limit.
+    MAX_UPLOAD_SIZE_MB: 25,
+
+    // Photo attachments (Pro): resized in the browser and stored as JPEG
+    MAX_PHOTOS: 10,              // Photos per memory
+    PHOTO_MAX_DIMENSION: 1600,   // Longest side in pixels after resizing
+    PHOTO_JPEG_QUALITY: 0.85,    // 0-1
+
+    // Per-widget options (can be set per container via data attributes,
+    // e.g. data-time-limit="60" data-subject="Grandma Rose" data-language="pl")
+    TIME_LIMIT: 0,   // Optional shorter cap in seconds (0 = use the tier limit)
+    SUBJECT: '',     // Who the memories recorded with this widget are about
+    LANGUAGE: '',    // Language hint sent to the API (empty = auto-detect)
+
+    // Memory details pre-filled in the transcript modal's "About this memory"
+    // form (users can edit them). SUBJECT also pre-fills "About"; SUBJECT
+    // and TAGS may list several, separated by commas.
+    TITLE: '',
+    NARRATOR: '',       // Who is speaking
+    RELATIONSHIP: '',   // Narrator's relationship to the subject, e.g. 'granddaughter'
+    EVENT_DATE: '',     // When the remembered events happened, e.g. 'about 1952'
+    EVENT_PLACE: '',    // Where they happened
+    TAGS: '',
+
+    // Interview mode: a question card above the mic (see INTERVIEW PROMPTS)
+    INTERVIEW_MODE: false,
+    PROMPT_DECK: 'life-story',   // Built-in deck name, or (via init()) an array of questions / { title, prompts }
+    PROMPT_DECK_URL: '',         // Load the deck from your own JSON instead
+    SHUFFLE_PROMPTS: false,      // Start the deck in random order
+
+    // GEDCOM export (Pro): links the memory to a person in the host's family tree
+    GEDCOM_VERSION: '5.5.1',   // '5.5.1' or '7.0'
+    PERSON_ID: '',             // The person's ID in the host's tree, e.g. 'I42'
+    PERSON_NAME: '',           // Their name, e.g. 'Anna /Kowalska/' (defaults to the first "About" name)
+
+    // Local "My Memories" library (IndexedDB)
+    DB_NAME: 'familyMemory',
+    DB_VERSION: 2,
+
+    // Offline upload queue: failed uploads are kept in IndexedDB and retried
+    // with exponential backoff (and whenever the browser comes back online)
+    QUEUE_RETRY_BASE_DELAY: 5,     // Seconds before the first retry
+    QUEUE_RETRY_MAX_DELAY: 1800,   // Cap between retries (30 minutes)
+
     // Stripe checkout for Pro upgrade
     STRIPE_CHECKOUT_URL: 'https://buy.stripe.com/test_YOUR_STRIPE_LINK',
-    PRO_PRICE: 5  // $5 for Pro upgrade
+    PRO_PRICE: 5,  // $5 for Pro upgrade
+
+    // Pro entitlement: Pro is granted only by a signed token (JWT, ES256 or
+    // RS256) that the widget verifies with ENTITLEMENT_PUBLIC_KEY. These
+    // settings are page-wide and read from the first widget on the page.
+    ENTITLEMENT_URL: '',             // GET → { token } for the signed-in user (cookies are sent)
+    ENTITLEMENT_PUBLIC_KEY: '',      // PEM (SPKI) string or JWK of the token signing key
+    ENTITLEMENT_ALGORITHM: 'ES256',  // 'ES256' or 'RS256'
+    ENTITLEMENT_ISSUER: '',          // Expected `iss` claim (empty = not checked)
+    ENTITLEMENT_AUDIENCE: '',        // Expected `aud` claim (empty = not checked)
+    ENTITLEMENT_REFRESH_INTERVAL: 3600,  // Seconds between re-checks with the server
+    ENTITLEMENT_ORIGINS: '',         // Extra origins allowed to postMessage a token (comma-separated)
+    ALLOW_INSECURE_PRO_FLAG: false,  // Demo only: honour localStorage familyMemory_pro = 'true'
+
+    // Appearance (see STYLES & THEMES)
+    THEME: 'light',    // 'light', 'dark', 'high-contrast' or 'auto' (follows the system)
+    STYLE_NONCE: '',   // CSP nonce for browsers without constructable stylesheets (defaults to this script's nonce)
+
+    // Language (see LOCALIZATION)
+    LOCALE: '',        // 'en', 'es', 'fr', 'de', 'pl', 'he' or a registered pack (default: the browser's language)
+    PDF_FONT_URL: ''   // TrueType font for PDF text outside Latin-1 (Polish, Hebrew, ...), e.g. DejaVuSans.ttf
   };
 
+  /**
+   * Convert an option name to its CONFIG key
+   * Accepts data attribute / camelCase names (apiUrl, timeLimit) as well as
+   * CONFIG keys themselves (API_URL, TIME_LIMIT).
+   */
+  function toConfigKey(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  }
+
+  /**
+   * Coerce a string option (e.g. from a data attribute) to the type of its default
+   */
+  function coerceConfigValue(value, defaultValue) {
+    if (typeof value !== 'string') return value;
+
+    if (typeof defaultValue === 'number') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : defaultValue;
+    }
+
+    if (typeof defaultValue === 'boolean') {
+      return value === '' || value === 'true';
+    }
+
+    return value;
+  }
+
+  /**
+   * Build the configuration for one widget instance
+   * Precedence: data attributes on the container > init() options > CONFIG defaults
+   */
+  function buildInstanceConfig(container, options = {}) {
+    const config = { ...CONFIG };
+
+    [options, container.dataset].forEach(overrides => {
+      Object.keys(overrides).forEach(name => {
+        const key = toConfigKey(name);
+        if (Object.prototype.hasOwnProperty.call(CONFIG, key)) {
+          config[key] = coerceConfigValue(overrides[name], CONFIG[key]);
+        }
+      });
+    });
+
+    return config;
+  }
+
   // ============================================================================
   // STATE MANAGEMENT
   // ============================================================================
 
-  let widgetState = {
-    isRecording: false,
-    isPro: false,  // Check if user has Pro access
-    mediaRecorder: null,
-    audioChunks: [],
-    audioBlob: null,  // Store the recorded audio blob for download
-    startTime: null,
-    timerInterval: null,
-    recordingDuration: 0,
-    currentTranscript: null,  // Store current transcript data
-    uploadedPhoto: null  // Store uploaded photo for PDF export
-  };
+  // All widget instances on the page (one per .family-memory-widget container)
+  const instances = [];
+
+  /**
+   * Create a fresh state object for a widget instance
+   */
+  function createInitialState() {
+    return {
+      isRecording: false,
+      isPaused: false,
+      isStarting: false,       // Waiting on the rate limit check or mic permission before recording
+      isPro: false,  // Check if user has Pro access
+      mediaRecorder: null,
+      audioChunks: [],
+      audioBlob: null,  // Store the recorded audio blob for download
+      wavBlob: null,    // Cached WAV conversion of audioBlob
+      startTime: null,
+      segmentStartTime: null,  // When the current (unpaused) stretch of recording began
+      activeTime: 0,           // Milliseconds actually recorded, excluding pauses
+      timerInterval: null,
+      recordingDuration: 0,    // Seconds actually recorded, excluding pauses
+      currentTranscript: null,  // Store current transcript data
+      currentMemoryId: null,    // IndexedDB id of the memory shown in the modal
+      playerUrl: null,          // Object URL for the transcript modal's audio player
+      photos: [],               // Photos attached to the current memory: [{ dataUrl, caption, width, height }]
+      pendingPhotos: [],        // Photos added before recording, attached to the next recording
+      abortController: null,   // Cancels the in-flight transcription request
+      quota: {                 // Latest quota reported by the server (null = unknown)
+        remaining: null,
+        limit: null,
+        blockedUntil: null     // Timestamp (ms) before which recording is refused (429 / used up)
+      },
+      quotaTimer: null,        // Refreshes the quota label while blocked
+      levelMeter: null,        // { audioContext, source, analyser, samples, interval } while recording
+      heardSound: false,       // Has the mic picked up anything above SILENCE_THRESHOLD yet?
+      lastSoundTime: 0,        // Active recording time (ms) when sound was last heard
+      stopReason: null,        // 'user' | 'limit' | 'silence' | 'device' for the last recording
+      stream: null,            // Microphone MediaStream while recording
+      sourceFileName: null,    // Name of the uploaded audio file (null for recordings)
+      recordedAt: null,        // When the current memory was recorded or uploaded (ms)
+      prompt: null,            // Interview question the current memory answers
+      interview: null,         // Prompt deck and position in interview mode (see INTERVIEW PROMPTS)
+      longForm: null,          // Chunked transcription of a long-form recording (see LONG-FORM RECORDING)
+      liveStream: null,        // WebSocket session while streaming (see LIVE STREAMING)
+      metadata: null,          // "About this memory" details of the current memory (see MEMORY DETAILS)
+      queueNotice: null,   // One-off message for the upload queue status line
+      lastAnnouncedRemaining: null,  // Seconds left when the countdown was last announced to screen readers
+      modalReturnFocus: null,        // Element to focus again when the modal closes
+      isDestroyed: false
+    };
+  }
 
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
 
   /**
-   * Format seconds into MM:SS format for display
+   * Get the maximum recording length in seconds for an instance
+   * Uses the tier limit, optionally capped by the per-widget TIME_LIMIT.
+   */
+  function getTimeLimit(instance) {
+    const proLimit = instance.config.LONG_FORM ? instance.config.LONG_FORM_TIME_LIMIT : instance.config.PRO_TIME_LIMIT;
+    const tierLimit = instance.state.isPro ? proLimit : instance.config.FREE_TIME_LIMIT;
+    const customLimit = instance.config.TIME_LIMIT;
+    return customLimit > 0 ? Math.min(customLimit, tierLimit) : tierLimit;
+  }
+
+  /**
+   * Get the maximum length in seconds for an uploaded audio file
+   * Uploads are sent in a single request, so LONG_FORM doesn't raise this.
+   */
+  function getUploadTimeLimit(instance) {
+    const tierLimit = instance.state.isPro ? instance.config.PRO_TIME_LIMIT : instance.config.FREE_TIME_LIMIT;
+    const customLimit = instance.config.TIME_LIMIT;
+    return customLimit > 0 ? Math.min(customLimit, tierLimit) : tierLimit;
+  }
+
+  /**
+   * Format seconds into MM:SS format for display (H:MM:SS from an hour up)
    */
   function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor(seconds / 60) % 60;
     const secs = seconds % 60;
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+    if (hours > 0) {
+      return `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${Math.floor(seconds / 60)}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Format seconds for screen readers ("1 minute 30 seconds"; "2:00" reads badly)
+   */
+  function formatSpokenTime(instance, seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    const parts = [];
+    if (mins > 0) parts.push(t(instance, 'time.minutes', { count: mins }));
+    if (secs > 0 || mins === 0) parts.push(t(instance, 'time.seconds', { count: secs }));
+    return parts.join(' ');
+  }
+
+  /**
+   * Resize an image file to fit within maxDimension and re-encode it as JPEG
+   * Returns: Promise<{ dataUrl, width, height }>
+   */
+  function resizePhoto(file, options = {}) {
+    const maxDimension = options.maxDimension || CONFIG.PHOTO_MAX_DIMENSION;
+    const quality = options.quality || CONFIG.PHOTO_JPEG_QUALITY;
+
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+
+        const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.max(1, Math.round(img.naturalWidth * scale));
+        const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        // JPEG has no transparency: flatten onto white instead of black
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(img, 0, 0, width, height);
+
+        resolve({ dataUrl: canvas.toDataURL('image/jpeg', quality), width, height });
+      };
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Could not read image "${file.name}"`));
+      };
+
+      img.src = url;
+    });
+  }
+
+  /**
+   * Convert a base64 data URL back into a Blob (for uploads)
+   */
+  function dataURLToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = header.match(/data:([^;]+)/)[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+  }
+
+  /**
+   * Format a byte count for display (e.g. 1.4 MB)
+   */
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Find an element belonging to a widget instance by its data-fm name
+   * Looks in the instance's widget first, then in its modal.
+   */
+  function getElement(instance, name) {
+    const selector = `[data-fm="${name}"]`;
+    return instance.widget.querySelector(selector) || instance.overlay.querySelector(selector);
+  }
+
+  /**
+   * Check whether the user may start a recording (free users only)
+   * Uses the server's quota when QUOTA_URL is set, otherwise the
+   * localStorage counter. A 429 from the server always blocks until its
+   * Retry-After time.
+   * Returns: Promise<{ canRecord: boolean, usesLeft: number|null, retryAt: number|null }>
+   */
+  async function checkRateLimit(instance) {
+    if (instance.state.isPro) {
+      return { canRecord: true, usesLeft: Infinity, retryAt: null };
+    }
+
+    const { blockedUntil } = instance.state.quota;
+    if (blockedUntil && blockedUntil > Date.now()) {
+      return { canRecord: false, usesLeft: 0, retryAt: blockedUntil };
+    }
+
+    if (instance.config.QUOTA_URL) {
+      return fetchServerQuota(instance);
+    }
+
+    return checkLocalRateLimit(instance);
+  }
+
+  /**
+   * Ask the quota endpoint how many recordings are left
+   * Sends the site's cookies and, if Pro was ever granted, the entitlement
+   * token. If the endpoint can't be reached, recording is allowed: the
+   * transcription server still enforces its own limit.
+   */
+  async function fetchServerQuota(instance) {
+    const quota = instance.state.quota;
+
+    try {
+      const headers = { Accept: 'application/json' };
+      if (entitlement.token) {
+        headers.Authorization = `Bearer ${entitlement.token}`;
+      }
+
+      const response = await fetch(instance.config.QUOTA_URL, { credentials: 'include', headers });
+
+      if (response.status === 429) {
+        quota.remaining = 0;
+        quota.blockedUntil = Date.now() + parseRetryAfter(response.headers.get('Retry-After'));
+      } else if (!response.ok) {
+        throw new Error(`Quota request failed: ${response.status} ${response.statusText}`);
+      } else {
+        const data = await response.json() || {};
+        const remaining = typeof data.remaining === 'number' ||
+          (typeof data.remaining === 'string' && data.remaining.trim() !== '')
+          ? Number(data.remaining)
+          : NaN;
+
+        // No usable count (unlimited plan or misconfigured endpoint): the count
+        // is unknown, so don't lock the user out or show a number
+        if (!Number.isFinite(remaining)) {
+          quota.remaining = null;
+          quota.limit = null;
+          quota.blockedUntil = null;
+          updateQuotaLabel(instance);
+          return { canRecord: true, usesLeft: null, retryAt: null };
+        }
+
+        const resetAt = data.resetAt ? new Date(data.resetAt).getTime() : NaN;
+        quota.remaining = Math.max(0, remaining);
+        quota.limit = Number.isFinite(Number(data.limit)) ? Number(data.limit) : null;
+        quota.blockedUntil = quota.remaining === 0 && Number.isFinite(resetAt) ? resetAt : null;
+      }
+
+      updateQuotaLabel(instance);
+
+      return {
+        canRecord: quota.remaining > 0,
+        usesLeft: quota.remaining,
+        retryAt: quota.blockedUntil
+      };
+    } catch (error) {
+      console.warn('Could not check recording quota:', error);
+      return { canRecord: true, usesLeft: null, retryAt: null };
+    }
+  }
+
+  /**
+   * Read rate limit headers from a transcription response
+   * X-RateLimit-Remaining / X-RateLimit-Limit update the remaining count;
+   * a 429 blocks new recordings until Retry-After (default 60 seconds).
+   * getHeader: (name) → string|null
+   */
+  function applyRateLimitHeaders(instance, status, getHeader) {
+    const quota = instance.state.quota;
+    const remaining = getHeader('X-RateLimit-Remaining');
+    const limit = getHeader('X-RateLimit-Limit');
+
+    if (remaining !== null && remaining !== '' && Number.isFinite(Number(remaining))) {
+      quota.remaining = Math.max(0, Number(remaining));
+    }
+    if (limit !== null && limit !== '' && Number.isFinite(Number(limit))) {
+      quota.limit = Number(limit);
+    }
+    if (status === 429) {
+      quota.remaining = 0;
+      quota.blockedUntil = Date.now() + parseRetryAfter(getHeader('Retry-After'));
+    }
+
+    updateQuotaLabel(instance);
   }
 
   /**
-   * Check localStorage for rate limiting (free users only)
-   * Returns: { canRecord: boolean, usesLeft: number }
+   * Parse a Retry-After header (seconds or an HTTP date)
+   * Returns: milliseconds to wait
    */
-  function checkRateLimit() {
-    if (widgetState.isPro) {
-      return { canRecord: true, usesLeft: Infinity };
+  function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return 60 * 1000;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
     }
 
+    const date = new Date(value).getTime();
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 60 * 1000;
+  }
+
+  /**
+   * Describe a wait in words (e.g. "about 3 hours")
+   */
+  function formatWait(instance, ms) {
+    const minutes = Math.ceil(ms / 60000);
+    if (minutes < 60) return t(instance, 'wait.minutes', { count: Math.max(1, minutes) });
+    return t(instance, 'wait.hours', { count: Math.round(minutes / 60) });
+  }
+
+  /**
+   * Check the localStorage counter (used when there is no QUOTA_URL)
+   * Returns: { canRecord: boolean, usesLeft: number, retryAt: number|null }
+   */
+  function checkLocalRateLimit(instance) {
     const today = new Date().toDateString();
     const storageKey = 'familyMemory_usage';
     
@@ -79,22 +515,32 @@
         usage.count = 0;
       }
 
-      const usesLeft = CONFIG.FREE_DAILY_LIMIT - usage.count;
-      const canRecord = usage.count < CONFIG.FREE_DAILY_LIMIT;
+      const usesLeft = instance.config.FREE_DAILY_LIMIT - usage.count;
+      const canRecord = usage.count < instance.config.FREE_DAILY_LIMIT;
+
+      // The counter resets at local midnight
+      const tomorrow = new Date();
+      tomorrow.setHours(24, 0, 0, 0);
 
-      return { canRecord, usesLeft };
+      return { canRecord, usesLeft, retryAt: canRecord ? null : tomorrow.getTime() };
     } catch (e) {
       // If localStorage fails, allow recording but warn
       console.warn('localStorage not available:', e);
-      return { canRecord: true, usesLeft: 1 };
+      return { canRecord: true, usesLeft: 1, retryAt: null };
     }
   }
 
   /**
    * Increment the usage counter in localStorage
    */
-  function incrementUsageCount() {
-    if (widgetState.isPro) return;
+  function incrementUsageCount(instance) {
+    if (instance.state.isPro) return;
+
+    // The server counts uses itself; just refresh the displayed count
+    if (instance.config.QUOTA_URL) {
+      fetchServerQuota(instance);
+      return;
+    }
 
     const today = new Date().toDateString();
     const storageKey = 'familyMemory_usage';
@@ -113,998 +559,9022 @@
     } catch (e) {
       console.warn('Could not update usage count:', e);
     }
-  }
 
-  /**
-   * Convert audio blob to WAV format
-   * For simplicity, we'll send the recorded blob directly.
-   * The MediaRecorder will use the best available format.
-   */
-  function convertToWAV(blob) {
-    // In a production app, you might want to convert to WAV format here
-    // For now, we'll rely on the MediaRecorder's output
-    return blob;
+    updateQuotaLabel(instance);
   }
 
-  // ============================================================================
-  // UI CREATION
-  // ============================================================================
-
   /**
-   * Inject CSS styles into the page
+   * Show how many free recordings are left under the mic (hidden for Pro)
+   * Prefers the server's numbers; falls back to the localStorage counter.
    */
-  function injectStyles() {
-    const styleId = 'family-memory-widget-styles';
-    if (document.getElementById(styleId)) return;
-
-    const style = document.createElement('style');
-    style.id = styleId;
-    style.textContent = `
-      /* Widget container */
-      .fm-widget-container {
-        display: inline-block;
-        position: relative;
-        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-      }
+  function updateQuotaLabel(instance) {
+    const label = getElement(instance, 'quota-label');
+    if (!label) return;
 
-      /* Microphone button */
-      .fm-mic-button {
-        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        border: none;
-        border-radius: 50%;
-        width: 64px;
-        height: 64px;
-        cursor: pointer;
-        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
-        transition: all 0.3s ease;
-        position: relative;
-        overflow: hidden;
-      }
+    if (instance.state.isPro) {
+      label.textContent = '';
+      return;
+    }
 
-      .fm-mic-button:hover:not(:disabled) {
-        transform: scale(1.1);
-        box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3);
-      }
+    const quota = instance.state.quota;
 
-      .fm-mic-button:disabled {
-        opacity: 0.6;
-        cursor: not-allowed;
+    // A block that has run out: the count is unknown until the next check
+    if (quota.blockedUntil && quota.blockedUntil <= Date.now()) {
+      quota.blockedUntil = null;
+      if (quota.remaining === 0) {
+        quota.remaining = null;
       }
+    }
 
-      .fm-mic-button.recording {
-        background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
-        animation: pulse 1.5s ease-in-out infinite;
-      }
+    let remaining = quota.remaining;
+    let limit = quota.limit;
 
-      @keyframes pulse {
-        0%, 100% { transform: scale(1); }
-        50% { transform: scale(1.05); }
-      }
+    if (remaining === null && !instance.config.QUOTA_URL) {
+      const local = checkLocalRateLimit(instance);
+      remaining = Math.max(0, local.usesLeft);
+      limit = instance.config.FREE_DAILY_LIMIT;
+    }
 
-      /* Microphone icon */
-      .fm-mic-icon {
-        width: 28px;
-        height: 28px;
-        fill: white;
-      }
+    clearTimeout(instance.state.quotaTimer);
+
+    if (quota.blockedUntil) {
+      const wait = quota.blockedUntil - Date.now();
+      label.textContent = t(instance, 'quota.blocked', { wait: formatWait(instance, wait) });
+      // Keep the countdown current
+      instance.state.quotaTimer = setTimeout(() => updateQuotaLabel(instance), Math.min(wait, 60 * 1000));
+    } else if (remaining === null) {
+      label.textContent = '';
+    } else if (limit !== null) {
+      label.textContent = t(instance, 'quota.leftOf', { count: remaining, limit });
+    } else {
+      label.textContent = t(instance, 'quota.left', { count: remaining });
+    }
+  }
 
-      /* Progress bar container (shown during recording) */
-      .fm-progress-container {
-        position: absolute;
-        bottom: -40px;
-        left: 50%;
-        transform: translateX(-50%);
-        width: 200px;
-        background: white;
-        border-radius: 8px;
-        padding: 8px;
-        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
-        display: none;
-      }
+  /**
+   * Convert audio blob to WAV format
+   * Decodes the recorded blob (WebM/Opus or whatever MediaRecorder produced),
+   * resamples it to the requested sample rate and channel count, and encodes
+   * it as 16-bit PCM WAV.
+   * Returns: Promise<Blob> with type 'audio/wav'
+   */
+  async function convertToWAV(blob, options = {}) {
+    const sampleRate = options.sampleRate || CONFIG.WAV_SAMPLE_RATE;
+    const channels = options.channels || CONFIG.WAV_CHANNELS;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!AudioContextClass || !OfflineContextClass) {
+      throw new Error('Web Audio API not supported in this browser');
+    }
 
-      .fm-progress-container.active {
-        display: block;
-      }
+    // Decode the compressed recording into raw PCM
+    const arrayBuffer = await blob.arrayBuffer();
+    const audioContext = new AudioContextClass();
+    let decoded;
+    try {
+      decoded = await audioContext.decodeAudioData(arrayBuffer);
+    } finally {
+      audioContext.close();
+    }
 
-      /* Progress bar */
-      .fm-progress-bar {
-        width: 100%;
-        height: 24px;
-        background: linear-gradient(90deg, #10b981 0%, #ef4444 100%);
-        border-radius: 4px;
-        position: relative;
-        overflow: hidden;
-      }
+    // Resample / remix with an offline context so the output matches
+    // the requested sample rate and channel count exactly
+    const frameCount = Math.ceil(decoded.duration * sampleRate);
+    const offlineContext = new OfflineContextClass(channels, frameCount, sampleRate);
+    const source = offlineContext.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offlineContext.destination);
+    source.start(0);
+    const rendered = await offlineContext.startRendering();
+
+    return encodeWAV(rendered);
+  }
 
-      .fm-progress-fill {
-        height: 100%;
-        background: rgba(255, 255, 255, 0.3);
-        transition: width 0.3s linear;
-        position: absolute;
-        right: 0;
+  /**
+   * Encode an AudioBuffer as a 16-bit PCM WAV blob
+   * Writes a standard 44-byte RIFF/WAVE header followed by interleaved samples.
+   */
+  function encodeWAV(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const frameCount = audioBuffer.length;
+    const bytesPerSample = 2;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
       }
+    };
 
-      /* Time remaining text */
-      .fm-time-remaining {
-        position: absolute;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        color: white;
-        font-weight: 600;
-        font-size: 12px;
-        text-shadow: 0 1px 2px rgba(0, 0, 0, 0.5);
-        pointer-events: none;
-      }
+    // RIFF chunk descriptor
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // "fmt " sub-chunk (PCM)
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                        // Sub-chunk size
+    view.setUint16(20, 1, true);                         // Audio format: PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);   // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);        // Bits per sample
+
+    // "data" sub-chunk
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave channels and convert float [-1, 1] to signed 16-bit
+    const channelData = [];
+    for (let c = 0; c < channels; c++) {
+      channelData.push(audioBuffer.getChannelData(c));
+    }
 
-      /* Modal overlay */
-      .fm-modal-overlay {
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.7);
-        display: none;
-        align-items: center;
-        justify-content: center;
-        z-index: 10000;
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+      for (let c = 0; c < channels; c++) {
+        const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        offset += bytesPerSample;
       }
+    }
 
-      .fm-modal-overlay.active {
-        display: flex;
-      }
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
 
-      /* Modal content */
-      .fm-modal {
-        background: white;
-        border-radius: 12px;
-        padding: 32px;
-        max-width: 600px;
-        width: 90%;
-        max-height: 80vh;
-        overflow-y: auto;
-        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+  /**
+   * Downsample mono samples by averaging each output sample's input window
+   * (a cheap low-pass, good enough for speech)
+   */
+  function downsample(samples, fromRate, toRate) {
+    if (toRate >= fromRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const result = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(Math.floor((i + 1) * ratio), samples.length);
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
       }
+      result[i] = sum / Math.max(end - start, 1);
+    }
 
-      .fm-modal h2 {
-        margin: 0 0 16px 0;
-        color: #1f2937;
-        font-size: 24px;
-      }
+    return result;
+  }
 
-      /* Transcript editor */
+  /**
+   * Whether a recording of this many seconds is short enough to convert to WAV
+   */
+  function canConvertToWAV(instance, duration) {
+    return !(duration > instance.config.WAV_MAX_DURATION);
+  }
+
+  /**
+   * Get (and cache) the WAV version of the current recording
+   */
+  async function getRecordingAsWAV(instance) {
+    if (!instance.state.wavBlob) {
+      instance.state.wavBlob = await convertToWAV(instance.state.audioBlob, {
+        sampleRate: instance.config.WAV_SAMPLE_RATE,
+        channels: instance.config.WAV_CHANNELS
+      });
+    }
+    return instance.state.wavBlob;
+  }
+
+  /**
+   * Recording MIME types in order of preference
+   * The first one MediaRecorder supports is used: Chrome/Firefox record
+   * WebM or Ogg with Opus, Safari/iOS only records MP4 with AAC.
+   */
+  const RECORDING_MIME_TYPES = [
+    'audio/webm;codecs=opus',
+    'audio/webm',
+    'audio/ogg;codecs=opus',
+    'audio/mp4;codecs=mp4a.40.2',
+    'audio/mp4',
+    'audio/wav'
+  ];
+
+  /**
+   * File extension and display label for each audio container
+   */
+  const AUDIO_CONTAINERS = {
+    'audio/webm': { extension: 'webm', label: 'WebM' },
+    'audio/ogg': { extension: 'ogg', label: 'Ogg' },
+    'audio/mp4': { extension: 'm4a', label: 'MP4' },
+    'audio/x-m4a': { extension: 'm4a', label: 'MP4' },
+    'audio/aac': { extension: 'aac', label: 'AAC' },
+    'audio/mpeg': { extension: 'mp3', label: 'MP3' },
+    'audio/wav': { extension: 'wav', label: 'WAV' },
+    'audio/wave': { extension: 'wav', label: 'WAV' },
+    'audio/x-wav': { extension: 'wav', label: 'WAV' }
+  };
+
+  /**
+   * Pick the best recording MIME type this browser's MediaRecorder supports
+   * Returns: a MIME type, '' to let the browser choose, or null when there
+   * is no MediaRecorder at all (use the PCM recorder instead)
+   */
+  function negotiateRecordingFormat() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+
+    return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Describe the container of an audio MIME type
+   * Returns: { extension, label } - e.g. 'audio/mp4' → { extension: 'm4a', label: 'MP4' }
+   */
+  function getAudioFormat(mimeType) {
+    const baseType = String(mimeType || '').split(';')[0].trim().toLowerCase();
+    if (AUDIO_CONTAINERS[baseType]) {
+      return AUDIO_CONTAINERS[baseType];
+    }
+
+    const subtype = baseType.split('/')[1] || 'webm';
+    return { extension: subtype, label: subtype.toUpperCase() };
+  }
+
+  /**
+   * Turn text into a lowercase, dash-separated filename fragment
+   */
+  function slugify(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40)
+      .replace(/-+$/, '');
+  }
+
+  /**
+   * Build a timestamp-based filename for downloads
+   * The memory's title (or who it is about) is included when known.
+   */
+  function buildFilename(extension, metadata) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const name = getMetadataSlug(metadata);
+    return `family-memory-${name ? name + '-' : ''}${timestamp}.${extension}`;
+  }
+
+  /**
+   * Trigger a browser download for a blob
+   */
+  function triggerDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // CRC-32 lookup table for ZIP entries (built on first use)
+  let crcTable = null;
+
+  /**
+   * CRC-32 checksum of a byte array (as used by ZIP)
+   */
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Pack files into an uncompressed ZIP archive
+   * Audio and JPEG photos are already compressed, so entries are stored as-is.
+   * files: [{ name, bytes: Uint8Array }] (names are UTF-8, '/' separates folders)
+   */
+  function createZip(files, mimeType = 'application/zip') {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.bytes);
+
+      // Fields shared by the local header and the central directory entry
+      const writeCommon = (view, at) => {
+        view.setUint16(at, 20, true);                 // Version needed to extract
+        view.setUint16(at + 2, 0x0800, true);         // Flags: UTF-8 names
+        view.setUint16(at + 4, 0, true);              // Method: stored
+        view.setUint16(at + 6, dosTime, true);
+        view.setUint16(at + 8, dosDate, true);
+        view.setUint32(at + 10, crc, true);
+        view.setUint32(at + 14, file.bytes.length, true);
+        view.setUint32(at + 18, file.bytes.length, true);
+        view.setUint16(at + 22, name.length, true);
+      };
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      writeCommon(local, 4);
+      parts.push(local, name, file.bytes);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);                 // Version made by
+      writeCommon(central, 6);
+      central.setUint32(42, offset, true);            // Local header offset
+      directory.push(central, name);
+
+      offset += 30 + name.length + file.bytes.length;
+    });
+
+    const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: mimeType });
+  }
+
+  // ============================================================================
+  // LOCALIZATION
+  // ============================================================================
+
+  /**
+   * UI messages by language (CONFIG.LOCALE / data-locale)
+   * {name} placeholders are filled in by t(). Plural messages are objects keyed
+   * by Intl.PluralRules category (one, few, many, other) and use {count}.
+   * A key missing from a pack falls back to English.
+   */
+  const MESSAGES = {
+    en: {
+      // Widget
+      'widget.label': 'Family memory recorder',
+      'mic.start': 'Start recording',
+      'mic.stop': 'Stop recording',
+      'pause.pause': 'Pause recording',
+      'pause.resume': 'Resume recording',
+      'library.button': 'My Memories',
+      'photos.button': 'Add photos to your next recording',
+      'photos.pending': { one: '{count} photo will be attached to your next recording', other: '{count} photos will be attached to your next recording' },
+      'upload.button': 'Transcribe an audio file',
+      'settings.button': 'Microphone settings',
+      'progress.label': 'Recording time left',
+      'progress.left': '{time} left',
+      'progress.paused': 'Paused · {time} left',
+      'progress.level': 'Microphone level',
+      'recording.silenceWarning': "🔇 We can't hear you. Check that your microphone is on and not muted.",
+
+      // Free tier limits
+      'quota.left': { one: '{count} free recording left', other: '{count} free recordings left' },
+      'quota.leftOf': { one: '{count} of {limit} free recordings left', other: '{count} of {limit} free recordings left' },
+      'quota.blocked': 'Limit reached · try again in {wait}',
+      'limit.title': 'Recording limit reached',
+      'limit.message': "You've used all your free recordings for now. Upgrade to Pro for unlimited recordings!",
+      'limit.messageWait': "You've used all your free recordings for now. You can record again in {wait}. Upgrade to Pro for unlimited recordings!",
+      'limit.uploadMessageWait': "You've used all your free recordings for now. You can transcribe again in {wait}. Upgrade to Pro for unlimited recordings!",
+
+      // Durations
+      'wait.minutes': { one: 'a minute', other: '{count} minutes' },
+      'wait.hours': { one: 'about an hour', other: 'about {count} hours' },
+      'time.minutes': { one: '{count} minute', other: '{count} minutes' },
+      'time.seconds': { one: '{count} second', other: '{count} seconds' },
+
+      // Screen reader announcements
+      'a11y.recordingStarted': 'Recording started. {time} available.',
+      'a11y.paused': 'Recording paused',
+      'a11y.resumed': 'Recording resumed',
+      'a11y.stopped.user': 'Recording stopped.',
+      'a11y.stopped.limit': 'Time limit reached. Recording stopped.',
+      'a11y.stopped.silence': 'Recording stopped after a long silence.',
+      'a11y.stopped.device': 'Microphone disconnected. Recording stopped.',
+      'a11y.transcribed': 'Your memory has been transcribed.',
+
+      // Shared buttons
+      'button.cancel': 'Cancel',
+      'button.close': 'Close',
+      'button.done': 'Done',
+      'button.save': 'Save',
+
+      // Microphone settings
+      'settings.title': 'Microphone Settings',
+      'settings.microphone': 'Microphone',
+      'settings.systemDefault': 'System default',
+      'settings.unnamedMicrophone': 'Microphone {number}',
+      'settings.savedMicrophone': 'Saved microphone (not connected)',
+      'settings.permission': 'Show microphone names (asks for permission)',
+      'settings.echoCancellation': 'Echo cancellation',
+      'settings.noiseSuppression': 'Noise suppression',
+      'settings.autoGain': 'Automatic volume (gain control)',
+      'settings.hint': 'With a good external or USB microphone in a quiet room, turning these off usually sounds more natural.',
+      'settings.nextRecording': 'Changes apply to your next recording.',
+
+      // Interview prompts
+      'prompt.region': 'Interview question',
+      'prompt.shuffle': '🔀 Shuffle',
+      'prompt.shuffleTitle': 'Shuffle the remaining questions',
+      'prompt.skip': 'Skip ➜',
+      'prompt.next': 'Next question ➜',
+      'prompt.restart': '↺ Start over',
+      'prompt.progress': '{deck} · Question {number} of {total}',
+      'prompt.finished': "That's every question in this deck - thank you for sharing your memories!",
+      'prompt.defaultDeck': 'Questions',
+
+      // Audio file upload
+      'upload.title': 'Transcribe an Audio File',
+      'upload.intro': 'Already have a recording, like a voicemail or a digitized cassette? MP3, M4A, WAV, OGG, WebM or FLAC, up to {size} and {duration} long.',
+      'upload.drop': 'Drag an audio file here, or',
+      'upload.choose': '🎵 Choose File',
+      'upload.busy': 'Finish the current recording first.',
+      'upload.notAudio': '"{name}" is not an audio file.',
+      'upload.tooBig': '"{name}" is {size}. The limit is {limit}.',
+      'upload.checking': 'Checking the file...',
+      'upload.unreadable': '"{name}" could not be read. This browser may not support its format.',
+      'upload.tooLong': '"{name}" is {duration} long. The limit is {limit}.',
+      'upload.tooLongTitle': 'This recording is too long',
+      'upload.tooLongPro': '"{name}" is {duration} long. Free memories can be up to {limit}; Pro allows {proLimit}.',
+
+      // Transcription
+      'loading.title': 'Transcribing',
+      'loading.transcribing': 'Transcribing your memory...',
+      'loading.finishing': 'Finishing your transcript...',
+      'loading.uploading': 'Uploading... {loaded}',
+      'loading.uploadingOf': 'Uploading... {loaded} of {total} ({percent}%)',
+      'loading.stoppedSilence': { one: 'Recording stopped after {count} second of silence.', other: 'Recording stopped after {count} seconds of silence.' },
+      'loading.stoppedDevice': 'Recording stopped because the microphone was disconnected. Everything up to that point was kept.',
+      'error.microphone': 'Could not access microphone. Please check your permissions and try again.',
+      'error.rateLimit': "You've reached the transcription limit for now. Please try again in {wait}.",
+      'error.timeout': 'The transcription service took too long to respond ({details}). Please try again.',
+      'error.network': 'Could not reach the transcription service. Please check your internet connection and try again.',
+      'error.parse': 'The transcription service sent a response the widget could not read. Error: {details}',
+      'error.tooLarge': 'This recording is too large for the transcription service.',
+      'error.unauthorized': 'The transcription service refused the request (not authorized). Please contact the site owner.',
+      'error.server': 'The transcription service is having trouble (error {status}). Please try again later.',
+      'error.rejected': 'The transcription service rejected the recording (error {status}). Error: {details}',
+      'error.transcription': 'Failed to transcribe audio. Please try again. Error: {details}',
+
+      // Long-form recording
+      'longForm.started': '📝 Long-form recording: parts are transcribed as you go',
+      'longForm.progress': { one: '📝 {count} of {total} parts transcribed', other: '📝 {count} of {total} parts transcribed' },
+      'longForm.waiting': { one: '{count} waiting to retry', other: '{count} waiting to retry' },
+      'longForm.failed': { one: '{count} failed', other: '{count} failed' },
+      'longForm.offline': 'Waiting for the internet connection to come back...',
+      'longForm.transcribingPart': 'Transcribing part {number} of {total}...',
+      'longForm.failedTitle': "Some Parts Weren't Transcribed",
+      'longForm.failedMessage': { one: '{count} of {total} parts ({times}) could not be transcribed.', other: '{count} of {total} parts ({times}) could not be transcribed.' },
+      'longForm.skipFailed': 'Continue Without Them',
+      'longForm.retryFailed': 'Retry Failed Parts',
+      'longForm.gap': '{times} could not be transcribed',
+
+      // Transcript
+      'transcript.title': 'Your Family Memory',
+      'transcript.label': 'Transcript',
+      'transcript.language': 'Detected Language',
+      'transcript.unknown': 'Unknown',
+      'transcript.confidence': 'Confidence',
+      'transcript.duration': 'Duration',
+      'transcript.copy': 'Copy Text',
+      'transcript.downloadWav': 'Download WAV',
+      'transcript.downloadOriginal': 'Original ({format})',
+      'transcript.downloadLocked': 'Upgrade to Pro to download recordings',
+      'transcript.wavTooLong': 'WAV is only available for recordings up to {limit}. Download the original instead',
+      'transcript.downloadPro': 'Download Recording (Pro)',
+      'transcript.exportPdf': 'Export PDF',
+      'transcript.exportGedcom': 'Export GEDCOM',
+      'transcript.gedcomTitle': 'For family tree software',
+      'transcript.photosLocked': 'Upgrade to Pro to attach photos',
+      'transcript.photosPro': 'Add Photos (Pro)',
+      'transcript.playFromHere': 'Play from here',
+      'transcript.playFrom': 'Play from {time}',
+      'transcript.segment': 'Transcript from {time}',
+      'feedback.saved': 'Saved!',
+      'feedback.copied': 'Copied!',
+      'feedback.converting': 'Converting...',
+      'feedback.downloaded': 'Downloaded!',
+      'feedback.exported': 'Exported!',
+      'error.title': 'Error',
+      'error.save': 'Could not save this memory. Error: {details}',
+      'error.noRecording': 'No audio recording available to download.',
+      'error.download': 'Failed to download recording. Please try again. Error: {details}',
+      'error.pdfLibrary': 'PDF export library not loaded. Please include jsPDF library in your page.',
+      'error.pdf': 'Failed to export PDF. Please make sure jsPDF library is loaded. Error: {details}',
+      'error.gedcom': 'Failed to export GEDCOM. Error: {details}',
+
+      // Memory details
+      'meta.heading': 'About this memory',
+      'meta.title': 'Title',
+      'meta.titlePlaceholder': 'e.g. Summers at the river',
+      'meta.narrator': 'Narrator',
+      'meta.narratorPlaceholder': 'Who is speaking',
+      'meta.subjects': 'About',
+      'meta.subjectsPlaceholder': 'People, separated by commas',
+      'meta.relationship': 'Relationship',
+      'meta.relationshipPlaceholder': "Narrator is the subject's...",
+      'meta.date': 'When',
+      'meta.datePlaceholder': 'e.g. about 1952',
+      'meta.place': 'Where',
+      'meta.placePlaceholder': 'e.g. Kraków, Poland',
+      'meta.tags': 'Tags',
+      'meta.tagsPlaceholder': 'Separated by commas',
+
+      // PDF export
+      'pdf.title': 'Family Memory Transcript',
+      'pdf.date': 'Date: {date}',
+      'pdf.sourceFile': 'Source file: {name}',
+      'pdf.question': 'Question:',
+      'pdf.transcript': 'Transcript:',
+      'pdf.photos': 'Photos:',
+      'pdf.footer': 'Generated by Family Memory Widget',
+
+      // Photos
+      'photos.title': 'Photos for Your Next Recording',
+      'photos.intro': 'These photos are sent along with your next recording and saved with the memory.',
+      'photos.drop': 'Drag photos here, or',
+      'photos.choose': 'Choose Photos',
+      'photos.camera': 'Take Photo',
+      'photos.skipped': { one: '{count} file skipped (not an image)', other: '{count} files skipped (not an image)' },
+      'photos.tooMany': { one: 'Only {count} photo per memory', other: 'Only {count} photos per memory' },
+      'photos.preparing': 'Preparing photo {number} of {total}...',
+      'photos.alt': 'Photo {number}',
+      'photos.captionPlaceholder': 'Add a caption...',
+      'photos.captionLabel': 'Caption for photo {number}',
+      'photos.remove': 'Remove photo',
+      'photos.removeLabel': 'Remove photo {number}',
+
+      // Pro upgrade
+      'pro.hintTitle': 'Upgrade to Pro for ${price}',
+      'pro.hint': 'Get unlimited recording time, photo uploads, PDF and GEDCOM export, and audio downloads.',
+      'pro.upgradeNow': 'Upgrade Now',
+      'upgrade.price': 'Upgrade to Pro - Only ${price}',
+      'upgrade.featuresIntro': 'Pro features include:',
+      'upgrade.featureTime': 'Unlimited recording time (up to 5 minutes)',
+      'upgrade.featureLimits': 'No daily limits',
+      'upgrade.featurePhotos': 'Photo upload capability',
+      'upgrade.featurePdf': 'PDF export with timestamps',
+      'upgrade.featureGedcom': 'GEDCOM export for family tree software',
+      'upgrade.downloadTitle': 'Pro Feature: Download Recording',
+      'upgrade.downloadMessage': 'Download your audio recordings as WAV files. This feature is available with Pro upgrade.',
+      'upgrade.photosTitle': 'Pro Feature: Photos',
+      'upgrade.photosMessage': 'Attach photos with captions to your memories and include them in the PDF. This feature is available with Pro upgrade.',
+      'upgrade.pdfTitle': 'Pro Feature: PDF Export',
+      'upgrade.pdfMessage': 'Export your transcripts to PDF with Pro upgrade.',
+      'upgrade.gedcomTitle': 'Pro Feature: GEDCOM Export',
+      'upgrade.gedcomMessage': 'Export your memories to family tree software with Pro upgrade.',
+
+      // Library
+      'library.title': 'My Memories',
+      'library.titleOf': 'Memories of {subject}',
+      'library.search': 'Search your memories',
+      'library.searchPlaceholder': 'Search your memories...',
+      'library.loading': 'Loading...',
+      'library.empty': 'No saved memories yet. Record one with the microphone button!',
+      'library.noMatches': 'No memories match your search.',
+      'library.open': 'Open',
+      'library.delete': 'Delete',
+      'library.confirmDelete': 'Delete this memory? This cannot be undone.',
+      'error.open': 'Could not open this memory. Error: {details}',
+      'error.export': 'Could not export this memory. Error: {details}',
+      'error.loadLibrary': 'Could not load your saved memories. Error: {details}',
+      'error.delete': 'Could not delete this memory. Error: {details}',
+
+      // Upload queue
+      'queue.retry': 'Retry now',
+      'queue.discard': 'Discard failed',
+      'queue.confirmDiscard': {
+        one: 'Discard the recording that could not be uploaded? It will be deleted from this browser.\n\n{error}',
+        other: 'Discard the {count} recordings that could not be uploaded? They will be deleted from this browser.\n\n{error}'
+      },
+      'queue.waiting': { one: '{count} recording waiting to upload', other: '{count} recordings waiting to upload' },
+      'queue.waitingOffline': { one: '{count} recording waiting to upload (offline)', other: '{count} recordings waiting to upload (offline)' },
+      'queue.attention': { one: '{count} needs attention', other: '{count} need attention' },
+      'queue.transcribed': 'A saved recording was transcribed - find it in 📚 My Memories',
+      'queue.title': 'Saved for Later',
+      'queue.safe': 'Your recording is safe.',
+      'queue.reasonServer': 'The transcription service is not responding right now. It will be uploaded automatically when the connection is back, and the transcript will appear in 📚 My Memories.',
+      'queue.reasonOffline': 'You appear to be offline. It will be uploaded automatically when the connection is back, and the transcript will appear in 📚 My Memories.',
+      'queue.reasonLimit': "You've reached the transcription limit for now. It will be uploaded automatically in {wait}, and the transcript will appear in 📚 My Memories.",
+      'queue.retryNow': 'Retry Now'
+    },
+    es: {
+      // Widget
+      'widget.label': 'Grabadora de recuerdos familiares',
+      'mic.start': 'Empezar a grabar',
+      'mic.stop': 'Detener la grabación',
+      'pause.pause': 'Pausar la grabación',
+      'pause.resume': 'Reanudar la grabación',
+      'library.button': 'Mis recuerdos',
+      'photos.button': 'Añadir fotos a tu próxima grabación',
+      'photos.pending': { one: '{count} foto se adjuntará a tu próxima grabación', other: '{count} fotos se adjuntarán a tu próxima grabación' },
+      'upload.button': 'Transcribir un archivo de audio',
+      'settings.button': 'Ajustes del micrófono',
+      'progress.label': 'Tiempo de grabación restante',
+      'progress.left': 'Quedan {time}',
+      'progress.paused': 'En pausa · quedan {time}',
+      'progress.level': 'Nivel del micrófono',
+      'recording.silenceWarning': '🔇 No te oímos. Comprueba que el micrófono esté encendido y no silenciado.',
+
+      // Free tier limits
+      'quota.left': { one: 'Queda {count} grabación gratuita', other: 'Quedan {count} grabaciones gratuitas' },
+      'quota.leftOf': { one: 'Queda {count} de {limit} grabaciones gratuitas', other: 'Quedan {count} de {limit} grabaciones gratuitas' },
+      'quota.blocked': 'Límite alcanzado · vuelve a intentarlo en {wait}',
+      'limit.title': 'Límite de grabaciones alcanzado',
+      'limit.message': 'Has usado todas tus grabaciones gratuitas por ahora. ¡Pásate a Pro para grabar sin límites!',
+      'limit.messageWait': 'Has usado todas tus grabaciones gratuitas por ahora. Podrás volver a grabar en {wait}. ¡Pásate a Pro para grabar sin límites!',
+      'limit.uploadMessageWait': 'Has usado todas tus grabaciones gratuitas por ahora. Podrás volver a transcribir en {wait}. ¡Pásate a Pro para grabar sin límites!',
+
+      // Durations
+      'wait.minutes': { one: 'un minuto', other: '{count} minutos' },
+      'wait.hours': { one: 'una hora aproximadamente', other: 'unas {count} horas' },
+      'time.minutes': { one: '{count} minuto', other: '{count} minutos' },
+      'time.seconds': { one: '{count} segundo', other: '{count} segundos' },
+
+      // Screen reader announcements
+      'a11y.recordingStarted': 'Grabación iniciada. Dispones de {time}.',
+      'a11y.paused': 'Grabación en pausa',
+      'a11y.resumed': 'Grabación reanudada',
+      'a11y.stopped.user': 'Grabación detenida.',
+      'a11y.stopped.limit': 'Se alcanzó el tiempo máximo. Grabación detenida.',
+      'a11y.stopped.silence': 'Grabación detenida tras un largo silencio.',
+      'a11y.stopped.device': 'Micrófono desconectado. Grabación detenida.',
+      'a11y.transcribed': 'Tu recuerdo se ha transcrito.',
+
+      // Shared buttons
+      'button.cancel': 'Cancelar',
+      'button.close': 'Cerrar',
+      'button.done': 'Listo',
+      'button.save': 'Guardar',
+
+      // Microphone settings
+      'settings.title': 'Ajustes del micrófono',
+      'settings.microphone': 'Micrófono',
+      'settings.systemDefault': 'Predeterminado del sistema',
+      'settings.unnamedMicrophone': 'Micrófono {number}',
+      'settings.savedMicrophone': 'Micrófono guardado (no conectado)',
+      'settings.permission': 'Mostrar los nombres de los micrófonos (pide permiso)',
+      'settings.echoCancellation': 'Cancelación de eco',
+      'settings.noiseSuppression': 'Supresión de ruido',
+      'settings.autoGain': 'Volumen automático (control de ganancia)',
+      'settings.hint': 'Con un buen micrófono externo o USB en una habitación tranquila, desactivar estas opciones suele sonar más natural.',
+      'settings.nextRecording': 'Los cambios se aplican a tu próxima grabación.',
+
+      // Interview prompts
+      'prompt.region': 'Pregunta de la entrevista',
+      'prompt.shuffle': '🔀 Mezclar',
+      'prompt.shuffleTitle': 'Mezclar las preguntas restantes',
+      'prompt.skip': 'Saltar ➜',
+      'prompt.next': 'Siguiente pregunta ➜',
+      'prompt.restart': '↺ Empezar de nuevo',
+      'prompt.progress': '{deck} · Pregunta {number} de {total}',
+      'prompt.finished': 'Esas son todas las preguntas de esta lista. ¡Gracias por compartir tus recuerdos!',
+      'prompt.defaultDeck': 'Preguntas',
+
+      // Audio file upload
+      'upload.title': 'Transcribir un archivo de audio',
+      'upload.intro': '¿Ya tienes una grabación, como un mensaje de voz o una casete digitalizada? MP3, M4A, WAV, OGG, WebM o FLAC, de hasta {size} y {duration} de duración.',
+      'upload.drop': 'Arrastra un archivo de audio aquí, o',
+      'upload.choose': '🎵 Elegir archivo',
+      'upload.busy': 'Termina primero la grabación actual.',
+      'upload.notAudio': '«{name}» no es un archivo de audio.',
+      'upload.tooBig': '«{name}» ocupa {size}. El límite es {limit}.',
+      'upload.checking': 'Comprobando el archivo...',
+      'upload.unreadable': 'No se pudo leer «{name}». Puede que este navegador no admita su formato.',
+      'upload.tooLong': '«{name}» dura {duration}. El límite es {limit}.',
+      'upload.tooLongTitle': 'Esta grabación es demasiado larga',
+      'upload.tooLongPro': '«{name}» dura {duration}. Los recuerdos gratuitos pueden durar hasta {limit}; Pro permite {proLimit}.',
+
+      // Transcription
+      'loading.title': 'Transcribiendo',
+      'loading.transcribing': 'Transcribiendo tu recuerdo...',
+      'loading.finishing': 'Terminando tu transcripción...',
+      'loading.uploading': 'Subiendo... {loaded}',
+      'loading.uploadingOf': 'Subiendo... {loaded} de {total} ({percent} %)',
+      'loading.stoppedSilence': { one: 'La grabación se detuvo tras {count} segundo de silencio.', other: 'La grabación se detuvo tras {count} segundos de silencio.' },
+      'loading.stoppedDevice': 'La grabación se detuvo porque el micrófono se desconectó. Se ha conservado todo lo grabado hasta ese momento.',
+      'error.microphone': 'No se pudo acceder al micrófono. Comprueba los permisos y vuelve a intentarlo.',
+      'error.rateLimit': 'Has alcanzado el límite de transcripciones por ahora. Vuelve a intentarlo en {wait}.',
+      'error.timeout': 'El servicio de transcripción tardó demasiado en responder ({details}). Vuelve a intentarlo.',
+      'error.network': 'No se pudo conectar con el servicio de transcripción. Comprueba tu conexión a internet y vuelve a intentarlo.',
+      'error.parse': 'El servicio de transcripción envió una respuesta que no se pudo leer. Error: {details}',
+      'error.tooLarge': 'Esta grabación es demasiado grande para el servicio de transcripción.',
+      'error.unauthorized': 'El servicio de transcripción rechazó la solicitud (no autorizada). Ponte en contacto con el responsable del sitio.',
+      'error.server': 'El servicio de transcripción tiene problemas (error {status}). Vuelve a intentarlo más tarde.',
+      'error.rejected': 'El servicio de transcripción rechazó la grabación (error {status}). Error: {details}',
+      'error.transcription': 'No se pudo transcribir el audio. Vuelve a intentarlo. Error: {details}',
+
+      // Long-form recording
+      'longForm.started': '📝 Grabación larga: las partes se transcriben sobre la marcha',
+      'longForm.progress': { one: '📝 {count} de {total} partes transcrita', other: '📝 {count} de {total} partes transcritas' },
+      'longForm.waiting': { one: '{count} pendiente de reintento', other: '{count} pendientes de reintento' },
+      'longForm.failed': { one: '{count} fallida', other: '{count} fallidas' },
+      'longForm.offline': 'Esperando a que vuelva la conexión a internet...',
+      'longForm.transcribingPart': 'Transcribiendo la parte {number} de {total}...',
+      'longForm.failedTitle': 'Algunas partes no se transcribieron',
+      'longForm.failedMessage': { one: 'No se pudo transcribir {count} de {total} partes ({times}).', other: 'No se pudieron transcribir {count} de {total} partes ({times}).' },
+      'longForm.skipFailed': 'Continuar sin ellas',
+      'longForm.retryFailed': 'Reintentar las partes fallidas',
+      'longForm.gap': 'No se pudo transcribir {times}',
+
+      // Transcript
+      'transcript.title': 'Tu recuerdo familiar',
+      'transcript.label': 'Transcripción',
+      'transcript.language': 'Idioma detectado',
+      'transcript.unknown': 'Desconocido',
+      'transcript.confidence': 'Confianza',
+      'transcript.duration': 'Duración',
+      'transcript.copy': 'Copiar texto',
+      'transcript.downloadWav': 'Descargar WAV',
+      'transcript.downloadOriginal': 'Original ({format})',
+      'transcript.downloadLocked': 'Pásate a Pro para descargar las grabaciones',
+      'transcript.wavTooLong': 'El WAV solo está disponible para grabaciones de hasta {limit}. Descarga el original',
+      'transcript.downloadPro': 'Descargar grabación (Pro)',
+      'transcript.exportPdf': 'Exportar PDF',
+      'transcript.exportGedcom': 'Exportar GEDCOM',
+      'transcript.gedcomTitle': 'Para programas de árboles genealógicos',
+      'transcript.photosLocked': 'Pásate a Pro para adjuntar fotos',
+      'transcript.photosPro': 'Añadir fotos (Pro)',
+      'transcript.playFromHere': 'Reproducir desde aquí',
+      'transcript.playFrom': 'Reproducir desde {time}',
+      'transcript.segment': 'Transcripción desde {time}',
+      'feedback.saved': '¡Guardado!',
+      'feedback.copied': '¡Copiado!',
+      'feedback.converting': 'Convirtiendo...',
+      'feedback.downloaded': '¡Descargado!',
+      'feedback.exported': '¡Exportado!',
+      'error.title': 'Error',
+      'error.save': 'No se pudo guardar este recuerdo. Error: {details}',
+      'error.noRecording': 'No hay ninguna grabación de audio para descargar.',
+      'error.download': 'No se pudo descargar la grabación. Vuelve a intentarlo. Error: {details}',
+      'error.pdfLibrary': 'La biblioteca de exportación a PDF no está cargada. Incluye la biblioteca jsPDF en tu página.',
+      'error.pdf': 'No se pudo exportar el PDF. Asegúrate de que la biblioteca jsPDF esté cargada. Error: {details}',
+      'error.gedcom': 'No se pudo exportar el GEDCOM. Error: {details}',
+
+      // Memory details
+      'meta.heading': 'Sobre este recuerdo',
+      'meta.title': 'Título',
+      'meta.titlePlaceholder': 'p. ej. Veranos en el río',
+      'meta.narrator': 'Narrador',
+      'meta.narratorPlaceholder': 'Quién habla',
+      'meta.subjects': 'Sobre',
+      'meta.subjectsPlaceholder': 'Personas, separadas por comas',
+      'meta.relationship': 'Parentesco',
+      'meta.relationshipPlaceholder': 'El narrador es ... de la persona',
+      'meta.date': 'Cuándo',
+      'meta.datePlaceholder': 'p. ej. hacia 1952',
+      'meta.place': 'Dónde',
+      'meta.placePlaceholder': 'p. ej. Cracovia, Polonia',
+      'meta.tags': 'Etiquetas',
+      'meta.tagsPlaceholder': 'Separadas por comas',
+
+      // PDF export
+      'pdf.title': 'Transcripción de un recuerdo familiar',
+      'pdf.date': 'Fecha: {date}',
+      'pdf.sourceFile': 'Archivo de origen: {name}',
+      'pdf.question': 'Pregunta:',
+      'pdf.transcript': 'Transcripción:',
+      'pdf.photos': 'Fotos:',
+      'pdf.footer': 'Generado con Family Memory Widget',
+
+      // Photos
+      'photos.title': 'Fotos para tu próxima grabación',
+      'photos.intro': 'Estas fotos se envían con tu próxima grabación y se guardan con el recuerdo.',
+      'photos.drop': 'Arrastra fotos aquí, o',
+      'photos.choose': 'Elegir fotos',
+      'photos.camera': 'Hacer una foto',
+      'photos.skipped': { one: '{count} archivo omitido (no es una imagen)', other: '{count} archivos omitidos (no son imágenes)' },
+      'photos.tooMany': { one: 'Solo {count} foto por recuerdo', other: 'Solo {count} fotos por recuerdo' },
+      'photos.preparing': 'Preparando la foto {number} de {total}...',
+      'photos.alt': 'Foto {number}',
+      'photos.captionPlaceholder': 'Añade un pie de foto...',
+      'photos.captionLabel': 'Pie de la foto {number}',
+      'photos.remove': 'Quitar foto',
+      'photos.removeLabel': 'Quitar la foto {number}',
+
+      // Pro upgrade
+      'pro.hintTitle': 'Pásate a Pro por ${price}',
+      'pro.hint': 'Consigue tiempo de grabación ilimitado, subida de fotos, exportación a PDF y GEDCOM y descargas de audio.',
+      'pro.upgradeNow': 'Pasar a Pro',
+      'upgrade.price': 'Pásate a Pro - Solo ${price}',
+      'upgrade.featuresIntro': 'Pro incluye:',
+      'upgrade.featureTime': 'Tiempo de grabación ilimitado (hasta 5 minutos)',
+      'upgrade.featureLimits': 'Sin límites diarios',
+      'upgrade.featurePhotos': 'Subida de fotos',
+      'upgrade.featurePdf': 'Exportación a PDF con marcas de tiempo',
+      'upgrade.featureGedcom': 'Exportación GEDCOM para programas de árboles genealógicos',
+      'upgrade.downloadTitle': 'Función Pro: descargar grabación',
+      'upgrade.downloadMessage': 'Descarga tus grabaciones de audio como archivos WAV. Esta función está disponible con Pro.',
+      'upgrade.photosTitle': 'Función Pro: fotos',
+      'upgrade.photosMessage': 'Adjunta fotos con pie a tus recuerdos e inclúyelas en el PDF. Esta función está disponible con Pro.',
+      'upgrade.pdfTitle': 'Función Pro: exportar a PDF',
+      'upgrade.pdfMessage': 'Exporta tus transcripciones a PDF con Pro.',
+      'upgrade.gedcomTitle': 'Función Pro: exportar a GEDCOM',
+      'upgrade.gedcomMessage': 'Exporta tus recuerdos a programas de árboles genealógicos con Pro.',
+
+      // Library
+      'library.title': 'Mis recuerdos',
+      'library.titleOf': 'Recuerdos de {subject}',
+      'library.search': 'Buscar en tus recuerdos',
+      'library.searchPlaceholder': 'Buscar en tus recuerdos...',
+      'library.loading': 'Cargando...',
+      'library.empty': 'Aún no hay recuerdos guardados. ¡Graba uno con el botón del micrófono!',
+      'library.noMatches': 'Ningún recuerdo coincide con tu búsqueda.',
+      'library.open': 'Abrir',
+      'library.delete': 'Eliminar',
+      'library.confirmDelete': '¿Eliminar este recuerdo? No se puede deshacer.',
+      'error.open': 'No se pudo abrir este recuerdo. Error: {details}',
+      'error.export': 'No se pudo exportar este recuerdo. Error: {details}',
+      'error.loadLibrary': 'No se pudieron cargar tus recuerdos guardados. Error: {details}',
+      'error.delete': 'No se pudo eliminar este recuerdo. Error: {details}',
+
+      // Upload queue
+      'queue.retry': 'Reintentar ahora',
+      'queue.discard': 'Descartar fallidas',
+      'queue.confirmDiscard': {
+        one: '¿Descartar la grabación que no se pudo subir? Se borrará de este navegador.\n\n{error}',
+        other: '¿Descartar las {count} grabaciones que no se pudieron subir? Se borrarán de este navegador.\n\n{error}'
+      },
+      'queue.waiting': { one: '{count} grabación pendiente de subir', other: '{count} grabaciones pendientes de subir' },
+      'queue.waitingOffline': { one: '{count} grabación pendiente de subir (sin conexión)', other: '{count} grabaciones pendientes de subir (sin conexión)' },
+      'queue.attention': { one: '{count} necesita atención', other: '{count} necesitan atención' },
+      'queue.transcribed': 'Se transcribió una grabación guardada: la encontrarás en 📚 Mis recuerdos',
+      'queue.title': 'Guardada para más tarde',
+      'queue.safe': 'Tu grabación está a salvo.',
+      'queue.reasonServer': 'El servicio de transcripción no responde en este momento. Se subirá automáticamente cuando vuelva la conexión y la transcripción aparecerá en 📚 Mis recuerdos.',
+      'queue.reasonOffline': 'Parece que no tienes conexión. Se subirá automáticamente cuando vuelva la conexión y la transcripción aparecerá en 📚 Mis recuerdos.',
+      'queue.reasonLimit': 'Has alcanzado el límite de transcripciones por ahora. Se subirá automáticamente en {wait} y la transcripción aparecerá en 📚 Mis recuerdos.',
+      'queue.retryNow': 'Reintentar ahora'
+    },
+    fr: {
+      // Widget
+      'widget.label': 'Enregistreur de souvenirs de famille',
+      'mic.start': 'Commencer l’enregistrement',
+      'mic.stop': 'Arrêter l’enregistrement',
+      'pause.pause': 'Mettre l’enregistrement en pause',
+      'pause.resume': 'Reprendre l’enregistrement',
+      'library.button': 'Mes souvenirs',
+      'photos.button': 'Ajouter des photos à votre prochain enregistrement',
+      'photos.pending': { one: '{count} photo sera jointe à votre prochain enregistrement', other: '{count} photos seront jointes à votre prochain enregistrement' },
+      'upload.button': 'Transcrire un fichier audio',
+      'settings.button': 'Réglages du micro',
+      'progress.label': 'Temps d’enregistrement restant',
+      'progress.left': 'Encore {time}',
+      'progress.paused': 'En pause · encore {time}',
+      'progress.level': 'Niveau du micro',
+      'recording.silenceWarning': '🔇 Nous ne vous entendons pas. Vérifiez que votre micro est allumé et non coupé.',
+
+      // Free tier limits
+      'quota.left': { one: '{count} enregistrement gratuit restant', other: '{count} enregistrements gratuits restants' },
+      'quota.leftOf': { one: '{count} enregistrement gratuit restant sur {limit}', other: '{count} enregistrements gratuits restants sur {limit}' },
+      'quota.blocked': 'Limite atteinte · réessayez dans {wait}',
+      'limit.title': 'Limite d’enregistrements atteinte',
+      'limit.message': 'Vous avez utilisé tous vos enregistrements gratuits pour le moment. Passez à Pro pour enregistrer sans limite !',
+      'limit.messageWait': 'Vous avez utilisé tous vos enregistrements gratuits pour le moment. Vous pourrez enregistrer à nouveau dans {wait}. Passez à Pro pour enregistrer sans limite !',
+      'limit.uploadMessageWait': 'Vous avez utilisé tous vos enregistrements gratuits pour le moment. Vous pourrez transcrire à nouveau dans {wait}. Passez à Pro pour enregistrer sans limite !',
+
+      // Durations
+      'wait.minutes': { one: 'une minute', other: '{count} minutes' },
+      'wait.hours': { one: 'environ une heure', other: 'environ {count} heures' },
+      'time.minutes': { one: '{count} minute', other: '{count} minutes' },
+      'time.seconds': { one: '{count} seconde', other: '{count} secondes' },
+
+      // Screen reader announcements
+      'a11y.recordingStarted': 'Enregistrement démarré. Durée disponible : {time}.',
+      'a11y.paused': 'Enregistrement en pause',
+      'a11y.resumed': 'Enregistrement repris',
+      'a11y.stopped.user': 'Enregistrement arrêté.',
+      'a11y.stopped.limit': 'Durée maximale atteinte. Enregistrement arrêté.',
+      'a11y.stopped.silence': 'Enregistrement arrêté après un long silence.',
+      'a11y.stopped.device': 'Micro déconnecté. Enregistrement arrêté.',
+      'a11y.transcribed': 'Votre souvenir a été transcrit.',
+
+      // Shared buttons
+      'button.cancel': 'Annuler',
+      'button.close': 'Fermer',
+      'button.done': 'Terminé',
+      'button.save': 'Enregistrer',
+
+      // Microphone settings
+      'settings.title': 'Réglages du micro',
+      'settings.microphone': 'Micro',
+      'settings.systemDefault': 'Micro par défaut du système',
+      'settings.unnamedMicrophone': 'Micro {number}',
+      'settings.savedMicrophone': 'Micro enregistré (non connecté)',
+      'settings.permission': 'Afficher le nom des micros (demande l’autorisation)',
+      'settings.echoCancellation': 'Annulation de l’écho',
+      'settings.noiseSuppression': 'Réduction du bruit',
+      'settings.autoGain': 'Volume automatique (contrôle du gain)',
+      'settings.hint': 'Avec un bon micro externe ou USB dans une pièce calme, le son est souvent plus naturel quand ces options sont désactivées.',
+      'settings.nextRecording': 'Les modifications s’appliquent à votre prochain enregistrement.',
+
+      // Interview prompts
+      'prompt.region': 'Question d’entretien',
+      'prompt.shuffle': '🔀 Mélanger',
+      'prompt.shuffleTitle': 'Mélanger les questions restantes',
+      'prompt.skip': 'Passer ➜',
+      'prompt.next': 'Question suivante ➜',
+      'prompt.restart': '↺ Recommencer',
+      'prompt.progress': '{deck} · Question {number} sur {total}',
+      'prompt.finished': 'C’était la dernière question de cette série. Merci d’avoir partagé vos souvenirs !',
+      'prompt.defaultDeck': 'Questions',
+
+      // Audio file upload
+      'upload.title': 'Transcrire un fichier audio',
+      'upload.intro': 'Vous avez déjà un enregistrement, comme un message vocal ou une cassette numérisée ? MP3, M4A, WAV, OGG, WebM ou FLAC, jusqu’à {size} et {duration}.',
+      'upload.drop': 'Déposez un fichier audio ici, ou',
+      'upload.choose': '🎵 Choisir un fichier',
+      'upload.busy': 'Terminez d’abord l’enregistrement en cours.',
+      'upload.notAudio': '« {name} » n’est pas un fichier audio.',
+      'upload.tooBig': '« {name} » fait {size}. La limite est de {limit}.',
+      'upload.checking': 'Vérification du fichier...',
+      'upload.unreadable': 'Impossible de lire « {name} ». Ce navigateur ne prend peut-être pas en charge son format.',
+      'upload.tooLong': '« {name} » dure {duration}. La limite est de {limit}.',
+      'upload.tooLongTitle': 'Cet enregistrement est trop long',
+      'upload.tooLongPro': '« {name} » dure {duration}. Les souvenirs gratuits peuvent durer jusqu’à {limit} ; Pro permet {proLimit}.',
+
+      // Transcription
+      'loading.title': 'Transcription',
+      'loading.transcribing': 'Transcription de votre souvenir...',
+      'loading.finishing': 'Finalisation de votre transcription...',
+      'loading.uploading': 'Envoi... {loaded}',
+      'loading.uploadingOf': 'Envoi... {loaded} sur {total} ({percent} %)',
+      'loading.stoppedSilence': { one: 'Enregistrement arrêté après {count} seconde de silence.', other: 'Enregistrement arrêté après {count} secondes de silence.' },
+      'loading.stoppedDevice': 'L’enregistrement s’est arrêté car le micro a été déconnecté. Tout ce qui précède a été conservé.',
+      'error.microphone': 'Impossible d’accéder au micro. Vérifiez les autorisations et réessayez.',
+      'error.rateLimit': 'Vous avez atteint la limite de transcriptions pour le moment. Réessayez dans {wait}.',
+      'error.timeout': 'Le service de transcription a mis trop de temps à répondre ({details}). Veuillez réessayer.',
+      'error.network': 'Impossible de joindre le service de transcription. Vérifiez votre connexion internet et réessayez.',
+      'error.parse': 'Le service de transcription a envoyé une réponse illisible. Erreur : {details}',
+      'error.tooLarge': 'Cet enregistrement est trop volumineux pour le service de transcription.',
+      'error.unauthorized': 'Le service de transcription a refusé la demande (non autorisée). Contactez le responsable du site.',
+      'error.server': 'Le service de transcription rencontre un problème (erreur {status}). Réessayez plus tard.',
+      'error.rejected': 'Le service de transcription a refusé l’enregistrement (erreur {status}). Erreur : {details}',
+      'error.transcription': 'Impossible de transcrire l’audio. Veuillez réessayer. Erreur : {details}',
+
+      // Long-form recording
+      'longForm.started': '📝 Enregistrement long : les parties sont transcrites au fur et à mesure',
+      'longForm.progress': { one: '📝 {count} partie sur {total} transcrite', other: '📝 {count} parties sur {total} transcrites' },
+      'longForm.waiting': { one: '{count} en attente de nouvel essai', other: '{count} en attente de nouvel essai' },
+      'longForm.failed': { one: '{count} en échec', other: '{count} en échec' },
+      'longForm.offline': 'En attente du retour de la connexion internet...',
+      'longForm.transcribingPart': 'Transcription de la partie {number} sur {total}...',
+      'longForm.failedTitle': 'Certaines parties n’ont pas été transcrites',
+      'longForm.failedMessage': { one: '{count} partie sur {total} ({times}) n’a pas pu être transcrite.', other: '{count} parties sur {total} ({times}) n’ont pas pu être transcrites.' },
+      'longForm.skipFailed': 'Continuer sans elles',
+      'longForm.retryFailed': 'Réessayer les parties en échec',
+      'longForm.gap': '{times} n’a pas pu être transcrit',
+
+      // Transcript
+      'transcript.title': 'Votre souvenir de famille',
+      'transcript.label': 'Transcription',
+      'transcript.language': 'Langue détectée',
+      'transcript.unknown': 'Inconnue',
+      'transcript.confidence': 'Confiance',
+      'transcript.duration': 'Durée',
+      'transcript.copy': 'Copier le texte',
+      'transcript.downloadWav': 'Télécharger en WAV',
+      'transcript.downloadOriginal': 'Original ({format})',
+      'transcript.downloadLocked': 'Passez à Pro pour télécharger les enregistrements',
+      'transcript.wavTooLong': 'Le WAV n’est disponible que pour les enregistrements de {limit} maximum. Téléchargez l’original',
+      'transcript.downloadPro': 'Télécharger l’enregistrement (Pro)',
+      'transcript.exportPdf': 'Exporter en PDF',
+      'transcript.exportGedcom': 'Exporter en GEDCOM',
+      'transcript.gedcomTitle': 'Pour les logiciels de généalogie',
+      'transcript.photosLocked': 'Passez à Pro pour joindre des photos',
+      'transcript.photosPro': 'Ajouter des photos (Pro)',
+      'transcript.playFromHere': 'Lire à partir d’ici',
+      'transcript.playFrom': 'Lire à partir de {time}',
+      'transcript.segment': 'Transcription à partir de {time}',
+      'feedback.saved': 'Enregistré !',
+      'feedback.copied': 'Copié !',
+      'feedback.converting': 'Conversion...',
+      'feedback.downloaded': 'Téléchargé !',
+      'feedback.exported': 'Exporté !',
+      'error.title': 'Erreur',
+      'error.save': 'Impossible d’enregistrer ce souvenir. Erreur : {details}',
+      'error.noRecording': 'Aucun enregistrement audio à télécharger.',
+      'error.download': 'Impossible de télécharger l’enregistrement. Veuillez réessayer. Erreur : {details}',
+      'error.pdfLibrary': 'La bibliothèque d’export PDF n’est pas chargée. Ajoutez la bibliothèque jsPDF à votre page.',
+      'error.pdf': 'Impossible d’exporter le PDF. Vérifiez que la bibliothèque jsPDF est chargée. Erreur : {details}',
+      'error.gedcom': 'Impossible d’exporter le GEDCOM. Erreur : {details}',
+
+      // Memory details
+      'meta.heading': 'À propos de ce souvenir',
+      'meta.title': 'Titre',
+      'meta.titlePlaceholder': 'ex. Les étés au bord de la rivière',
+      'meta.narrator': 'Narrateur',
+      'meta.narratorPlaceholder': 'Qui parle',
+      'meta.subjects': 'À propos de',
+      'meta.subjectsPlaceholder': 'Personnes, séparées par des virgules',
+      'meta.relationship': 'Lien de parenté',
+      'meta.relationshipPlaceholder': 'Le narrateur est ... de la personne',
+      'meta.date': 'Quand',
+      'meta.datePlaceholder': 'ex. vers 1952',
+      'meta.place': 'Où',
+      'meta.placePlaceholder': 'ex. Cracovie, Pologne',
+      'meta.tags': 'Mots-clés',
+      'meta.tagsPlaceholder': 'Séparés par des virgules',
+
+      // PDF export
+      'pdf.title': 'Transcription d’un souvenir de famille',
+      'pdf.date': 'Date : {date}',
+      'pdf.sourceFile': 'Fichier source : {name}',
+      'pdf.question': 'Question :',
+      'pdf.transcript': 'Transcription :',
+      'pdf.photos': 'Photos :',
+      'pdf.footer': 'Généré avec Family Memory Widget',
+
+      // Photos
+      'photos.title': 'Photos pour votre prochain enregistrement',
+      'photos.intro': 'Ces photos sont envoyées avec votre prochain enregistrement et conservées avec le souvenir.',
+      'photos.drop': 'Déposez des photos ici, ou',
+      'photos.choose': 'Choisir des photos',
+      'photos.camera': 'Prendre une photo',
+      'photos.skipped': { one: '{count} fichier ignoré (ce n’est pas une image)', other: '{count} fichiers ignorés (ce ne sont pas des images)' },
+      'photos.tooMany': { one: '{count} photo maximum par souvenir', other: '{count} photos maximum par souvenir' },
+      'photos.preparing': 'Préparation de la photo {number} sur {total}...',
+      'photos.alt': 'Photo {number}',
+      'photos.captionPlaceholder': 'Ajouter une légende...',
+      'photos.captionLabel': 'Légende de la photo {number}',
+      'photos.remove': 'Retirer la photo',
+      'photos.removeLabel': 'Retirer la photo {number}',
+
+      // Pro upgrade
+      'pro.hintTitle': 'Passez à Pro pour ${price}',
+      'pro.hint': 'Profitez d’un temps d’enregistrement illimité, de l’ajout de photos, de l’export PDF et GEDCOM et du téléchargement audio.',
+      'pro.upgradeNow': 'Passer à Pro',
+      'upgrade.price': 'Passez à Pro - Seulement ${price}',
+      'upgrade.featuresIntro': 'Pro comprend :',
+      'upgrade.featureTime': 'Temps d’enregistrement illimité (jusqu’à 5 minutes)',
+      'upgrade.featureLimits': 'Aucune limite quotidienne',
+      'upgrade.featurePhotos': 'Ajout de photos',
+      'upgrade.featurePdf': 'Export PDF avec horodatage',
+      'upgrade.featureGedcom': 'Export GEDCOM pour les logiciels de généalogie',
+      'upgrade.downloadTitle': 'Fonction Pro : télécharger l’enregistrement',
+      'upgrade.downloadMessage': 'Téléchargez vos enregistrements audio en fichiers WAV. Cette fonction est disponible avec Pro.',
+      'upgrade.photosTitle': 'Fonction Pro : photos',
+      'upgrade.photosMessage': 'Joignez des photos légendées à vos souvenirs et intégrez-les au PDF. Cette fonction est disponible avec Pro.',
+      'upgrade.pdfTitle': 'Fonction Pro : export PDF',
+      'upgrade.pdfMessage': 'Exportez vos transcriptions en PDF avec Pro.',
+      'upgrade.gedcomTitle': 'Fonction Pro : export GEDCOM',
+      'upgrade.gedcomMessage': 'Exportez vos souvenirs vers un logiciel de généalogie avec Pro.',
+
+      // Library
+      'library.title': 'Mes souvenirs',
+      'library.titleOf': 'Souvenirs de {subject}',
+      'library.search': 'Rechercher dans vos souvenirs',
+      'library.searchPlaceholder': 'Rechercher dans vos souvenirs...',
+      'library.loading': 'Chargement...',
+      'library.empty': 'Aucun souvenir enregistré pour l’instant. Enregistrez-en un avec le bouton du micro !',
+      'library.noMatches': 'Aucun souvenir ne correspond à votre recherche.',
+      'library.open': 'Ouvrir',
+      'library.delete': 'Supprimer',
+      'library.confirmDelete': 'Supprimer ce souvenir ? Cette action est irréversible.',
+      'error.open': 'Impossible d’ouvrir ce souvenir. Erreur : {details}',
+      'error.export': 'Impossible d’exporter ce souvenir. Erreur : {details}',
+      'error.loadLibrary': 'Impossible de charger vos souvenirs enregistrés. Erreur : {details}',
+      'error.delete': 'Impossible de supprimer ce souvenir. Erreur : {details}',
+
+      // Upload queue
+      'queue.retry': 'Réessayer',
+      'queue.discard': 'Supprimer les échecs',
+      'queue.confirmDiscard': {
+        one: 'Supprimer l’enregistrement qui n’a pas pu être envoyé ? Il sera effacé de ce navigateur.\n\n{error}',
+        other: 'Supprimer les {count} enregistrements qui n’ont pas pu être envoyés ? Ils seront effacés de ce navigateur.\n\n{error}'
+      },
+      'queue.waiting': { one: '{count} enregistrement en attente d’envoi', other: '{count} enregistrements en attente d’envoi' },
+      'queue.waitingOffline': { one: '{count} enregistrement en attente d’envoi (hors ligne)', other: '{count} enregistrements en attente d’envoi (hors ligne)' },
+      'queue.attention': { one: '{count} demande votre attention', other: '{count} demandent votre attention' },
+      'queue.transcribed': 'Un enregistrement en attente a été transcrit : retrouvez-le dans 📚 Mes souvenirs',
+      'queue.title': 'Conservé pour plus tard',
+      'queue.safe': 'Votre enregistrement est en sécurité.',
+      'queue.reasonServer': 'Le service de transcription ne répond pas pour le moment. L’enregistrement sera envoyé automatiquement au retour de la connexion, et la transcription apparaîtra dans 📚 Mes souvenirs.',
+      'queue.reasonOffline': 'Vous semblez être hors ligne. L’enregistrement sera envoyé automatiquement au retour de la connexion, et la transcription apparaîtra dans 📚 Mes souvenirs.',
+      'queue.reasonLimit': 'Vous avez atteint la limite de transcriptions pour le moment. L’enregistrement sera envoyé automatiquement dans {wait}, et la transcription apparaîtra dans 📚 Mes souvenirs.',
+      'queue.retryNow': 'Réessayer maintenant'
+    },
+    de: {
+      // Widget
+      'widget.label': 'Rekorder für Familienerinnerungen',
+      'mic.start': 'Aufnahme starten',
+      'mic.stop': 'Aufnahme beenden',
+      'pause.pause': 'Aufnahme pausieren',
+      'pause.resume': 'Aufnahme fortsetzen',
+      'library.button': 'Meine Erinnerungen',
+      'photos.button': 'Fotos zur nächsten Aufnahme hinzufügen',
+      'photos.pending': { one: '{count} Foto wird an deine nächste Aufnahme angehängt', other: '{count} Fotos werden an deine nächste Aufnahme angehängt' },
+      'upload.button': 'Audiodatei transkribieren',
+      'settings.button': 'Mikrofoneinstellungen',
+      'progress.label': 'Verbleibende Aufnahmezeit',
+      'progress.left': 'Noch {time}',
+      'progress.paused': 'Pausiert · noch {time}',
+      'progress.level': 'Mikrofonpegel',
+      'recording.silenceWarning': '🔇 Wir hören dich nicht. Prüfe, ob dein Mikrofon eingeschaltet und nicht stummgeschaltet ist.',
+
+      // Free tier limits
+      'quota.left': { one: 'Noch {count} kostenlose Aufnahme', other: 'Noch {count} kostenlose Aufnahmen' },
+      'quota.leftOf': { one: 'Noch {count} von {limit} kostenlosen Aufnahmen', other: 'Noch {count} von {limit} kostenlosen Aufnahmen' },
+      'quota.blocked': 'Limit erreicht · versuche es in {wait} erneut',
+      'limit.title': 'Aufnahmelimit erreicht',
+      'limit.message': 'Du hast vorerst alle kostenlosen Aufnahmen verbraucht. Mit Pro nimmst du unbegrenzt auf!',
+      'limit.messageWait': 'Du hast vorerst alle kostenlosen Aufnahmen verbraucht. In {wait} kannst du wieder aufnehmen. Mit Pro nimmst du unbegrenzt auf!',
+      'limit.uploadMessageWait': 'Du hast vorerst alle kostenlosen Aufnahmen verbraucht. In {wait} kannst du wieder transkribieren. Mit Pro nimmst du unbegrenzt auf!',
+
+      // Durations
+      'wait.minutes': { one: 'einer Minute', other: '{count} Minuten' },
+      'wait.hours': { one: 'etwa einer Stunde', other: 'etwa {count} Stunden' },
+      'time.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+      'time.seconds': { one: '{count} Sekunde', other: '{count} Sekunden' },
+
+      // Screen reader announcements
+      'a11y.recordingStarted': 'Aufnahme gestartet. {time} verfügbar.',
+      'a11y.paused': 'Aufnahme pausiert',
+      'a11y.resumed': 'Aufnahme fortgesetzt',
+      'a11y.stopped.user': 'Aufnahme beendet.',
+      'a11y.stopped.limit': 'Zeitlimit erreicht. Aufnahme beendet.',
+      'a11y.stopped.silence': 'Aufnahme nach langer Stille beendet.',
+      'a11y.stopped.device': 'Mikrofon getrennt. Aufnahme beendet.',
+      'a11y.transcribed': 'Deine Erinnerung wurde transkribiert.',
+
+      // Shared buttons
+      'button.cancel': 'Abbrechen',
+      'button.close': 'Schließen',
+      'button.done': 'Fertig',
+      'button.save': 'Speichern',
+
+      // Microphone settings
+      'settings.title': 'Mikrofoneinstellungen',
+      'settings.microphone': 'Mikrofon',
+      'settings.systemDefault': 'Systemstandard',
+      'settings.unnamedMicrophone': 'Mikrofon {number}',
+      'settings.savedMicrophone': 'Gespeichertes Mikrofon (nicht verbunden)',
+      'settings.permission': 'Mikrofonnamen anzeigen (fragt nach Erlaubnis)',
+      'settings.echoCancellation': 'Echounterdrückung',
+      'settings.noiseSuppression': 'Rauschunterdrückung',
+      'settings.autoGain': 'Automatische Lautstärke (Verstärkungsregelung)',
+      'settings.hint': 'Mit einem guten externen oder USB-Mikrofon in einem ruhigen Raum klingt es meist natürlicher, wenn diese Optionen ausgeschaltet sind.',
+      'settings.nextRecording': 'Änderungen gelten ab deiner nächsten Aufnahme.',
+
+      // Interview prompts
+      'prompt.region': 'Interviewfrage',
+      'prompt.shuffle': '🔀 Mischen',
+      'prompt.shuffleTitle': 'Die restlichen Fragen mischen',
+      'prompt.skip': 'Überspringen ➜',
+      'prompt.next': 'Nächste Frage ➜',
+      'prompt.restart': '↺ Von vorn beginnen',
+      'prompt.progress': '{deck} · Frage {number} von {total}',
+      'prompt.finished': 'Das waren alle Fragen dieser Reihe - danke, dass du deine Erinnerungen geteilt hast!',
+      'prompt.defaultDeck': 'Fragen',
+
+      // Audio file upload
+      'upload.title': 'Audiodatei transkribieren',
+      'upload.intro': 'Du hast schon eine Aufnahme, etwa eine Sprachnachricht oder eine digitalisierte Kassette? MP3, M4A, WAV, OGG, WebM oder FLAC, bis {size} und {duration} lang.',
+      'upload.drop': 'Audiodatei hierher ziehen oder',
+      'upload.choose': '🎵 Datei auswählen',
+      'upload.busy': 'Beende zuerst die laufende Aufnahme.',
+      'upload.notAudio': '„{name}“ ist keine Audiodatei.',
+      'upload.tooBig': '„{name}“ ist {size} groß. Die Grenze liegt bei {limit}.',
+      'upload.checking': 'Datei wird geprüft...',
+      'upload.unreadable': '„{name}“ konnte nicht gelesen werden. Dieser Browser unterstützt das Format möglicherweise nicht.',
+      'upload.tooLong': '„{name}“ ist {duration} lang. Die Grenze liegt bei {limit}.',
+      'upload.tooLongTitle': 'Diese Aufnahme ist zu lang',
+      'upload.tooLongPro': '„{name}“ ist {duration} lang. Kostenlose Erinnerungen dürfen bis {limit} lang sein; Pro erlaubt {proLimit}.',
+
+      // Transcription
+      'loading.title': 'Transkription',
+      'loading.transcribing': 'Deine Erinnerung wird transkribiert...',
+      'loading.finishing': 'Transkript wird fertiggestellt...',
+      'loading.uploading': 'Wird hochgeladen... {loaded}',
+      'loading.uploadingOf': 'Wird hochgeladen... {loaded} von {total} ({percent} %)',
+      'loading.stoppedSilence': { one: 'Die Aufnahme wurde nach {count} Sekunde Stille beendet.', other: 'Die Aufnahme wurde nach {count} Sekunden Stille beendet.' },
+      'loading.stoppedDevice': 'Die Aufnahme wurde beendet, weil das Mikrofon getrennt wurde. Alles bis dahin Aufgenommene wurde behalten.',
+      'error.microphone': 'Kein Zugriff auf das Mikrofon. Bitte prüfe die Berechtigungen und versuche es erneut.',
+      'error.rateLimit': 'Du hast das Transkriptionslimit vorerst erreicht. Bitte versuche es in {wait} erneut.',
+      'error.timeout': 'Der Transkriptionsdienst hat zu lange für die Antwort gebraucht ({details}). Bitte versuche es erneut.',
+      'error.network': 'Der Transkriptionsdienst ist nicht erreichbar. Bitte prüfe deine Internetverbindung und versuche es erneut.',
+      'error.parse': 'Der Transkriptionsdienst hat eine unlesbare Antwort gesendet. Fehler: {details}',
+      'error.tooLarge': 'Diese Aufnahme ist zu groß für den Transkriptionsdienst.',
+      'error.unauthorized': 'Der Transkriptionsdienst hat die Anfrage abgelehnt (nicht autorisiert). Bitte wende dich an den Betreiber der Website.',
+      'error.server': 'Der Transkriptionsdienst hat Probleme (Fehler {status}). Bitte versuche es später erneut.',
+      'error.rejected': 'Der Transkriptionsdienst hat die Aufnahme abgelehnt (Fehler {status}). Fehler: {details}',
+      'error.transcription': 'Die Aufnahme konnte nicht transkribiert werden. Bitte versuche es erneut. Fehler: {details}',
+
+      // Long-form recording
+      'longForm.started': '📝 Lange Aufnahme: Teile werden laufend transkribiert',
+      'longForm.progress': { one: '📝 {count} von {total} Teilen transkribiert', other: '📝 {count} von {total} Teilen transkribiert' },
+      'longForm.waiting': { one: '{count} wartet auf neuen Versuch', other: '{count} warten auf neuen Versuch' },
+      'longForm.failed': { one: '{count} fehlgeschlagen', other: '{count} fehlgeschlagen' },
+      'longForm.offline': 'Warte auf die Internetverbindung...',
+      'longForm.transcribingPart': 'Teil {number} von {total} wird transkribiert...',
+      'longForm.failedTitle': 'Einige Teile wurden nicht transkribiert',
+      'longForm.failedMessage': { one: '{count} von {total} Teilen ({times}) konnte nicht transkribiert werden.', other: '{count} von {total} Teilen ({times}) konnten nicht transkribiert werden.' },
+      'longForm.skipFailed': 'Ohne sie fortfahren',
+      'longForm.retryFailed': 'Fehlgeschlagene Teile wiederholen',
+      'longForm.gap': '{times} konnte nicht transkribiert werden',
+
+      // Transcript
+      'transcript.title': 'Deine Familienerinnerung',
+      'transcript.label': 'Transkript',
+      'transcript.language': 'Erkannte Sprache',
+      'transcript.unknown': 'Unbekannt',
+      'transcript.confidence': 'Sicherheit',
+      'transcript.duration': 'Dauer',
+      'transcript.copy': 'Text kopieren',
+      'transcript.downloadWav': 'WAV herunterladen',
+      'transcript.downloadOriginal': 'Original ({format})',
+      'transcript.downloadLocked': 'Mit Pro kannst du Aufnahmen herunterladen',
+      'transcript.wavTooLong': 'WAV gibt es nur für Aufnahmen bis {limit}. Lade stattdessen das Original herunter',
+      'transcript.downloadPro': 'Aufnahme herunterladen (Pro)',
+      'transcript.exportPdf': 'Als PDF exportieren',
+      'transcript.exportGedcom': 'Als GEDCOM exportieren',
+      'transcript.gedcomTitle': 'Für Ahnenforschungsprogramme',
+      'transcript.photosLocked': 'Mit Pro kannst du Fotos anhängen',
+      'transcript.photosPro': 'Fotos hinzufügen (Pro)',
+      'transcript.playFromHere': 'Ab hier abspielen',
+      'transcript.playFrom': 'Ab {time} abspielen',
+      'transcript.segment': 'Transkript ab {time}',
+      'feedback.saved': 'Gespeichert!',
+      'feedback.copied': 'Kopiert!',
+      'feedback.converting': 'Wird umgewandelt...',
+      'feedback.downloaded': 'Heruntergeladen!',
+      'feedback.exported': 'Exportiert!',
+      'error.title': 'Fehler',
+      'error.save': 'Diese Erinnerung konnte nicht gespeichert werden. Fehler: {details}',
+      'error.noRecording': 'Keine Audioaufnahme zum Herunterladen vorhanden.',
+      'error.download': 'Die Aufnahme konnte nicht heruntergeladen werden. Bitte versuche es erneut. Fehler: {details}',
+      'error.pdfLibrary': 'Die PDF-Bibliothek ist nicht geladen. Bitte binde die jsPDF-Bibliothek in deine Seite ein.',
+      'error.pdf': 'Das PDF konnte nicht exportiert werden. Bitte prüfe, ob die jsPDF-Bibliothek geladen ist. Fehler: {details}',
+      'error.gedcom': 'GEDCOM-Export fehlgeschlagen. Fehler: {details}',
+
+      // Memory details
+      'meta.heading': 'Über diese Erinnerung',
+      'meta.title': 'Titel',
+      'meta.titlePlaceholder': 'z. B. Sommer am Fluss',
+      'meta.narrator': 'Erzähler',
+      'meta.narratorPlaceholder': 'Wer spricht',
+      'meta.subjects': 'Über',
+      'meta.subjectsPlaceholder': 'Personen, durch Kommas getrennt',
+      'meta.relationship': 'Verwandtschaft',
+      'meta.relationshipPlaceholder': 'Der Erzähler ist ... der Person',
+      'meta.date': 'Wann',
+      'meta.datePlaceholder': 'z. B. um 1952',
+      'meta.place': 'Wo',
+      'meta.placePlaceholder': 'z. B. Krakau, Polen',
+      'meta.tags': 'Schlagwörter',
+      'meta.tagsPlaceholder': 'Durch Kommas getrennt',
+
+      // PDF export
+      'pdf.title': 'Transkript einer Familienerinnerung',
+      'pdf.date': 'Datum: {date}',
+      'pdf.sourceFile': 'Quelldatei: {name}',
+      'pdf.question': 'Frage:',
+      'pdf.transcript': 'Transkript:',
+      'pdf.photos': 'Fotos:',
+      'pdf.footer': 'Erstellt mit dem Family Memory Widget',
+
+      // Photos
+      'photos.title': 'Fotos für deine nächste Aufnahme',
+      'photos.intro': 'Diese Fotos werden mit deiner nächsten Aufnahme gesendet und mit der Erinnerung gespeichert.',
+      'photos.drop': 'Fotos hierher ziehen oder',
+      'photos.choose': 'Fotos auswählen',
+      'photos.camera': 'Foto aufnehmen',
+      'photos.skipped': { one: '{count} Datei übersprungen (kein Bild)', other: '{count} Dateien übersprungen (keine Bilder)' },
+      'photos.tooMany': { one: 'Nur {count} Foto pro Erinnerung', other: 'Nur {count} Fotos pro Erinnerung' },
+      'photos.preparing': 'Foto {number} von {total} wird vorbereitet...',
+      'photos.alt': 'Foto {number}',
+      'photos.captionPlaceholder': 'Bildunterschrift hinzufügen...',
+      'photos.captionLabel': 'Bildunterschrift für Foto {number}',
+      'photos.remove': 'Foto entfernen',
+      'photos.removeLabel': 'Foto {number} entfernen',
+
+      // Pro upgrade
+      'pro.hintTitle': 'Upgrade auf Pro für ${price}',
+      'pro.hint': 'Unbegrenzte Aufnahmezeit, Foto-Uploads, PDF- und GEDCOM-Export sowie Audio-Downloads.',
+      'pro.upgradeNow': 'Jetzt upgraden',
+      'upgrade.price': 'Upgrade auf Pro - nur ${price}',
+      'upgrade.featuresIntro': 'Pro bietet:',
+      'upgrade.featureTime': 'Unbegrenzte Aufnahmezeit (bis zu 5 Minuten)',
+      'upgrade.featureLimits': 'Keine Tageslimits',
+      'upgrade.featurePhotos': 'Foto-Uploads',
+      'upgrade.featurePdf': 'PDF-Export mit Zeitstempeln',
+      'upgrade.featureGedcom': 'GEDCOM-Export für Ahnenforschungsprogramme',
+      'upgrade.downloadTitle': 'Pro-Funktion: Aufnahme herunterladen',
+      'upgrade.downloadMessage': 'Lade deine Audioaufnahmen als WAV-Dateien herunter. Diese Funktion ist mit Pro verfügbar.',
+      'upgrade.photosTitle': 'Pro-Funktion: Fotos',
+      'upgrade.photosMessage': 'Hänge Fotos mit Bildunterschriften an deine Erinnerungen an und übernimm sie ins PDF. Diese Funktion ist mit Pro verfügbar.',
+      'upgrade.pdfTitle': 'Pro-Funktion: PDF-Export',
+      'upgrade.pdfMessage': 'Exportiere deine Transkripte mit Pro als PDF.',
+      'upgrade.gedcomTitle': 'Pro-Funktion: GEDCOM-Export',
+      'upgrade.gedcomMessage': 'Exportiere deine Erinnerungen mit Pro in Ahnenforschungsprogramme.',
+
+      // Library
+      'library.title': 'Meine Erinnerungen',
+      'library.titleOf': 'Erinnerungen an {subject}',
+      'library.search': 'Erinnerungen durchsuchen',
+      'library.searchPlaceholder': 'Erinnerungen durchsuchen...',
+      'library.loading': 'Wird geladen...',
+      'library.empty': 'Noch keine gespeicherten Erinnerungen. Nimm eine mit der Mikrofontaste auf!',
+      'library.noMatches': 'Keine Erinnerung passt zu deiner Suche.',
+      'library.open': 'Öffnen',
+      'library.delete': 'Löschen',
+      'library.confirmDelete': 'Diese Erinnerung löschen? Das kann nicht rückgängig gemacht werden.',
+      'error.open': 'Diese Erinnerung konnte nicht geöffnet werden. Fehler: {details}',
+      'error.export': 'Diese Erinnerung konnte nicht exportiert werden. Fehler: {details}',
+      'error.loadLibrary': 'Deine gespeicherten Erinnerungen konnten nicht geladen werden. Fehler: {details}',
+      'error.delete': 'Diese Erinnerung konnte nicht gelöscht werden. Fehler: {details}',
+
+      // Upload queue
+      'queue.retry': 'Jetzt erneut versuchen',
+      'queue.discard': 'Fehlgeschlagene verwerfen',
+      'queue.confirmDiscard': {
+        one: 'Die Aufnahme verwerfen, die nicht hochgeladen werden konnte? Sie wird aus diesem Browser gelöscht.\n\n{error}',
+        other: 'Die {count} Aufnahmen verwerfen, die nicht hochgeladen werden konnten? Sie werden aus diesem Browser gelöscht.\n\n{error}'
+      },
+      'queue.waiting': { one: '{count} Aufnahme wartet auf den Upload', other: '{count} Aufnahmen warten auf den Upload' },
+      'queue.waitingOffline': { one: '{count} Aufnahme wartet auf den Upload (offline)', other: '{count} Aufnahmen warten auf den Upload (offline)' },
+      'queue.attention': { one: '{count} braucht Aufmerksamkeit', other: '{count} brauchen Aufmerksamkeit' },
+      'queue.transcribed': 'Eine gespeicherte Aufnahme wurde transkribiert - du findest sie unter 📚 Meine Erinnerungen',
+      'queue.title': 'Für später gespeichert',
+      'queue.safe': 'Deine Aufnahme ist sicher.',
+      'queue.reasonServer': 'Der Transkriptionsdienst antwortet gerade nicht. Die Aufnahme wird automatisch hochgeladen, sobald die Verbindung wieder steht, und das Transkript erscheint unter 📚 Meine Erinnerungen.',
+      'queue.reasonOffline': 'Du scheinst offline zu sein. Die Aufnahme wird automatisch hochgeladen, sobald die Verbindung wieder steht, und das Transkript erscheint unter 📚 Meine Erinnerungen.',
+      'queue.reasonLimit': 'Du hast das Transkriptionslimit vorerst erreicht. Die Aufnahme wird in {wait} automatisch hochgeladen, und das Transkript erscheint unter 📚 Meine Erinnerungen.',
+      'queue.retryNow': 'Jetzt erneut versuchen'
+    },
+    pl: {
+      // Widget
+      'widget.label': 'Rejestrator rodzinnych wspomnień',
+      'mic.start': 'Rozpocznij nagrywanie',
+      'mic.stop': 'Zatrzymaj nagrywanie',
+      'pause.pause': 'Wstrzymaj nagrywanie',
+      'pause.resume': 'Wznów nagrywanie',
+      'library.button': 'Moje wspomnienia',
+      'photos.button': 'Dodaj zdjęcia do następnego nagrania',
+      'photos.pending': {
+        one: '{count} zdjęcie zostanie dołączone do następnego nagrania',
+        few: '{count} zdjęcia zostaną dołączone do następnego nagrania',
+        many: '{count} zdjęć zostanie dołączonych do następnego nagrania',
+        other: '{count} zdjęcia zostanie dołączone do następnego nagrania'
+      },
+      'upload.button': 'Transkrybuj plik audio',
+      'settings.button': 'Ustawienia mikrofonu',
+      'progress.label': 'Pozostały czas nagrania',
+      'progress.left': 'Zostało {time}',
+      'progress.paused': 'Wstrzymano · zostało {time}',
+      'progress.level': 'Poziom mikrofonu',
+      'recording.silenceWarning': '🔇 Nie słyszymy cię. Sprawdź, czy mikrofon jest włączony i nie jest wyciszony.',
+
+      // Free tier limits
+      'quota.left': {
+        one: 'Zostało {count} darmowe nagranie',
+        few: 'Zostały {count} darmowe nagrania',
+        many: 'Zostało {count} darmowych nagrań',
+        other: 'Zostało {count} darmowego nagrania'
+      },
+      'quota.leftOf': {
+        one: 'Zostało {count} z {limit} darmowych nagrań',
+        few: 'Zostały {count} z {limit} darmowych nagrań',
+        many: 'Zostało {count} z {limit} darmowych nagrań',
+        other: 'Zostało {count} z {limit} darmowych nagrań'
+      },
+      'quota.blocked': 'Limit wyczerpany · spróbuj ponownie za {wait}',
+      'limit.title': 'Osiągnięto limit nagrań',
+      'limit.message': 'Na razie wykorzystano wszystkie darmowe nagrania. Przejdź na Pro, aby nagrywać bez ograniczeń!',
+      'limit.messageWait': 'Na razie wykorzystano wszystkie darmowe nagrania. Ponownie możesz nagrywać za {wait}. Przejdź na Pro, aby nagrywać bez ograniczeń!',
+      'limit.uploadMessageWait': 'Na razie wykorzystano wszystkie darmowe nagrania. Ponownie możesz transkrybować za {wait}. Przejdź na Pro, aby nagrywać bez ograniczeń!',
+
+      // Durations
+      'wait.minutes': { one: 'minutę', few: '{count} minuty', many: '{count} minut', other: '{count} minuty' },
+      'wait.hours': { one: 'około godzinę', few: 'około {count} godziny', many: 'około {count} godzin', other: 'około {count} godziny' },
+      'time.minutes': { one: '{count} minuta', few: '{count} minuty', many: '{count} minut', other: '{count} minuty' },
+      'time.seconds': { one: '{count} sekunda', few: '{count} sekundy', many: '{count} sekund', other: '{count} sekundy' },
+
+      // Screen reader announcements
+      'a11y.recordingStarted': 'Nagrywanie rozpoczęte. Dostępny czas: {time}.',
+      'a11y.paused': 'Nagrywanie wstrzymane',
+      'a11y.resumed': 'Nagrywanie wznowione',
+      'a11y.stopped.user': 'Nagrywanie zatrzymane.',
+      'a11y.stopped.limit': 'Osiągnięto limit czasu. Nagrywanie zatrzymane.',
+      'a11y.stopped.silence': 'Nagrywanie zatrzymane po długiej ciszy.',
+      'a11y.stopped.device': 'Mikrofon odłączony. Nagrywanie zatrzymane.',
+      'a11y.transcribed': 'Twoje wspomnienie zostało przepisane.',
+
+      // Shared buttons
+      'button.cancel': 'Anuluj',
+      'button.close': 'Zamknij',
+      'button.done': 'Gotowe',
+      'button.save': 'Zapisz',
+
+      // Microphone settings
+      'settings.title': 'Ustawienia mikrofonu',
+      'settings.microphone': 'Mikrofon',
+      'settings.systemDefault': 'Domyślny systemowy',
+      'settings.unnamedMicrophone': 'Mikrofon {number}',
+      'settings.savedMicrophone': 'Zapisany mikrofon (niepodłączony)',
+      'settings.permission': 'Pokaż nazwy mikrofonów (wymaga zgody)',
+      'settings.echoCancellation': 'Usuwanie echa',
+      'settings.noiseSuppression': 'Redukcja szumów',
+      'settings.autoGain': 'Automatyczna głośność (regulacja wzmocnienia)',
+      'settings.hint': 'Z dobrym zewnętrznym lub USB mikrofonem w cichym pomieszczeniu wyłączenie tych opcji zwykle brzmi naturalniej.',
+      'settings.nextRecording': 'Zmiany obowiązują od następnego nagrania.',
+
+      // Interview prompts
+      'prompt.region': 'Pytanie wywiadu',
+      'prompt.shuffle': '🔀 Przetasuj',
+      'prompt.shuffleTitle': 'Przetasuj pozostałe pytania',
+      'prompt.skip': 'Pomiń ➜',
+      'prompt.next': 'Następne pytanie ➜',
+      'prompt.restart': '↺ Zacznij od nowa',
+      'prompt.progress': '{deck} · Pytanie {number} z {total}',
+      'prompt.finished': 'To już wszystkie pytania z tej listy - dziękujemy za podzielenie się wspomnieniami!',
+      'prompt.defaultDeck': 'Pytania',
+
+      // Audio file upload
+      'upload.title': 'Transkrybuj plik audio',
+      'upload.intro': 'Masz już nagranie, np. wiadomość głosową lub zdigitalizowaną kasetę? MP3, M4A, WAV, OGG, WebM lub FLAC, do {size} i {duration} długości.',
+      'upload.drop': 'Przeciągnij tu plik audio lub',
+      'upload.choose': '🎵 Wybierz plik',
+      'upload.busy': 'Najpierw zakończ bieżące nagranie.',
+      'upload.notAudio': '„{name}” nie jest plikiem audio.',
+      'upload.tooBig': '„{name}” ma {size}. Limit to {limit}.',
+      'upload.checking': 'Sprawdzanie pliku...',
+      'upload.unreadable': 'Nie udało się odczytać „{name}”. Ta przeglądarka może nie obsługiwać tego formatu.',
+      'upload.tooLong': '„{name}” trwa {duration}. Limit to {limit}.',
+      'upload.tooLongTitle': 'To nagranie jest za długie',
+      'upload.tooLongPro': '„{name}” trwa {duration}. Darmowe wspomnienia mogą trwać do {limit}; Pro pozwala na {proLimit}.',
+
+      // Transcription
+      'loading.title': 'Transkrypcja',
+      'loading.transcribing': 'Przepisywanie twojego wspomnienia...',
+      'loading.finishing': 'Kończenie transkrypcji...',
+      'loading.uploading': 'Wysyłanie... {loaded}',
+      'loading.uploadingOf': 'Wysyłanie... {loaded} z {total} ({percent}%)',
+      'loading.stoppedSilence': {
+        one: 'Nagrywanie zatrzymało się po {count} sekundzie ciszy.',
+        few: 'Nagrywanie zatrzymało się po {count} sekundach ciszy.',
+        many: 'Nagrywanie zatrzymało się po {count} sekundach ciszy.',
+        other: 'Nagrywanie zatrzymało się po {count} sekundy ciszy.'
+      },
+      'loading.stoppedDevice': 'Nagrywanie zatrzymało się, ponieważ mikrofon został odłączony. Wszystko, co nagrano do tej chwili, zostało zachowane.',
+      'error.microphone': 'Brak dostępu do mikrofonu. Sprawdź uprawnienia i spróbuj ponownie.',
+      'error.rateLimit': 'Na razie osiągnięto limit transkrypcji. Spróbuj ponownie za {wait}.',
+      'error.timeout': 'Usługa transkrypcji zbyt długo nie odpowiadała ({details}). Spróbuj ponownie.',
+      'error.network': 'Nie można połączyć się z usługą transkrypcji. Sprawdź połączenie z internetem i spróbuj ponownie.',
+      'error.parse': 'Usługa transkrypcji przysłała odpowiedź, której nie można odczytać. Błąd: {details}',
+      'error.tooLarge': 'To nagranie jest za duże dla usługi transkrypcji.',
+      'error.unauthorized': 'Usługa transkrypcji odrzuciła żądanie (brak autoryzacji). Skontaktuj się z właścicielem strony.',
+      'error.server': 'Usługa transkrypcji ma problemy (błąd {status}). Spróbuj ponownie później.',
+      'error.rejected': 'Usługa transkrypcji odrzuciła nagranie (błąd {status}). Błąd: {details}',
+      'error.transcription': 'Nie udało się przepisać nagrania. Spróbuj ponownie. Błąd: {details}',
+
+      // Long-form recording
+      'longForm.started': '📝 Długie nagranie: części są przepisywane na bieżąco',
+      'longForm.progress': { one: '📝 Przepisano {count} z {total} części', few: '📝 Przepisano {count} z {total} części', many: '📝 Przepisano {count} z {total} części', other: '📝 Przepisano {count} z {total} części' },
+      'longForm.waiting': { one: '{count} czeka na ponowienie', few: '{count} czekają na ponowienie', many: '{count} czeka na ponowienie', other: '{count} czeka na ponowienie' },
+      'longForm.failed': { one: '{count} nieudana', few: '{count} nieudane', many: '{count} nieudanych', other: '{count} nieudanej' },
+      'longForm.offline': 'Oczekiwanie na połączenie z internetem...',
+      'longForm.transcribingPart': 'Przepisywanie części {number} z {total}...',
+      'longForm.failedTitle': 'Niektórych części nie przepisano',
+      'longForm.failedMessage': {
+        one: 'Nie udało się przepisać {count} z {total} części ({times}).',
+        few: 'Nie udało się przepisać {count} z {total} części ({times}).',
+        many: 'Nie udało się przepisać {count} z {total} części ({times}).',
+        other: 'Nie udało się przepisać {count} z {total} części ({times}).'
+      },
+      'longForm.skipFailed': 'Kontynuuj bez nich',
+      'longForm.retryFailed': 'Ponów nieudane części',
+      'longForm.gap': 'Nie udało się przepisać {times}',
+
+      // Transcript
+      'transcript.title': 'Twoje rodzinne wspomnienie',
+      'transcript.label': 'Transkrypcja',
+      'transcript.language': 'Wykryty język',
+      'transcript.unknown': 'Nieznany',
+      'transcript.confidence': 'Pewność',
+      'transcript.duration': 'Czas trwania',
+      'transcript.copy': 'Kopiuj tekst',
+      'transcript.downloadWav': 'Pobierz WAV',
+      'transcript.downloadOriginal': 'Oryginał ({format})',
+      'transcript.downloadLocked': 'Przejdź na Pro, aby pobierać nagrania',
+      'transcript.wavTooLong': 'WAV jest dostępny tylko dla nagrań do {limit}. Pobierz oryginał',
+      'transcript.downloadPro': 'Pobierz nagranie (Pro)',
+      'transcript.exportPdf': 'Eksportuj PDF',
+      'transcript.exportGedcom': 'Eksportuj GEDCOM',
+      'transcript.gedcomTitle': 'Dla programów do drzew genealogicznych',
+      'transcript.photosLocked': 'Przejdź na Pro, aby dołączać zdjęcia',
+      'transcript.photosPro': 'Dodaj zdjęcia (Pro)',
+      'transcript.playFromHere': 'Odtwórz od tego miejsca',
+      'transcript.playFrom': 'Odtwórz od {time}',
+      'transcript.segment': 'Transkrypcja od {time}',
+      'feedback.saved': 'Zapisano!',
+      'feedback.copied': 'Skopiowano!',
+      'feedback.converting': 'Konwertowanie...',
+      'feedback.downloaded': 'Pobrano!',
+      'feedback.exported': 'Wyeksportowano!',
+      'error.title': 'Błąd',
+      'error.save': 'Nie udało się zapisać tego wspomnienia. Błąd: {details}',
+      'error.noRecording': 'Brak nagrania do pobrania.',
+      'error.download': 'Nie udało się pobrać nagrania. Spróbuj ponownie. Błąd: {details}',
+      'error.pdfLibrary': 'Biblioteka eksportu PDF nie jest załadowana. Dodaj bibliotekę jsPDF do swojej strony.',
+      'error.pdf': 'Nie udało się wyeksportować PDF. Upewnij się, że biblioteka jsPDF jest załadowana. Błąd: {details}',
+      'error.gedcom': 'Nie udało się wyeksportować GEDCOM. Błąd: {details}',
+
+      // Memory details
+      'meta.heading': 'O tym wspomnieniu',
+      'meta.title': 'Tytuł',
+      'meta.titlePlaceholder': 'np. Lata nad rzeką',
+      'meta.narrator': 'Narrator',
+      'meta.narratorPlaceholder': 'Kto mówi',
+      'meta.subjects': 'O kim',
+      'meta.subjectsPlaceholder': 'Osoby, oddzielone przecinkami',
+      'meta.relationship': 'Pokrewieństwo',
+      'meta.relationshipPlaceholder': 'Narrator jest dla tej osoby...',
+      'meta.date': 'Kiedy',
+      'meta.datePlaceholder': 'np. około 1952',
+      'meta.place': 'Gdzie',
+      'meta.placePlaceholder': 'np. Kraków, Polska',
+      'meta.tags': 'Tagi',
+      'meta.tagsPlaceholder': 'Oddzielone przecinkami',
+
+      // PDF export
+      'pdf.title': 'Transkrypcja rodzinnego wspomnienia',
+      'pdf.date': 'Data: {date}',
+      'pdf.sourceFile': 'Plik źródłowy: {name}',
+      'pdf.question': 'Pytanie:',
+      'pdf.transcript': 'Transkrypcja:',
+      'pdf.photos': 'Zdjęcia:',
+      'pdf.footer': 'Wygenerowano przez Family Memory Widget',
+
+      // Photos
+      'photos.title': 'Zdjęcia do następnego nagrania',
+      'photos.intro': 'Te zdjęcia zostaną wysłane z następnym nagraniem i zapisane razem ze wspomnieniem.',
+      'photos.drop': 'Przeciągnij tu zdjęcia lub',
+      'photos.choose': 'Wybierz zdjęcia',
+      'photos.camera': 'Zrób zdjęcie',
+      'photos.skipped': {
+        one: 'Pominięto {count} plik (to nie obraz)',
+        few: 'Pominięto {count} pliki (to nie obrazy)',
+        many: 'Pominięto {count} plików (to nie obrazy)',
+        other: 'Pominięto {count} pliku (to nie obrazy)'
+      },
+      'photos.tooMany': {
+        one: 'Najwyżej {count} zdjęcie na wspomnienie',
+        few: 'Najwyżej {count} zdjęcia na wspomnienie',
+        many: 'Najwyżej {count} zdjęć na wspomnienie',
+        other: 'Najwyżej {count} zdjęcia na wspomnienie'
+      },
+      'photos.preparing': 'Przygotowywanie zdjęcia {number} z {total}...',
+      'photos.alt': 'Zdjęcie {number}',
+      'photos.captionPlaceholder': 'Dodaj podpis...',
+      'photos.captionLabel': 'Podpis zdjęcia {number}',
+      'photos.remove': 'Usuń zdjęcie',
+      'photos.removeLabel': 'Usuń zdjęcie {number}',
+
+      // Pro upgrade
+      'pro.hintTitle': 'Przejdź na Pro za ${price}',
+      'pro.hint': 'Nieograniczony czas nagrywania, dodawanie zdjęć, eksport do PDF i GEDCOM oraz pobieranie nagrań.',
+      'pro.upgradeNow': 'Przejdź na Pro',
+      'upgrade.price': 'Przejdź na Pro - tylko ${price}',
+      'upgrade.featuresIntro': 'Pro obejmuje:',
+      'upgrade.featureTime': 'Nieograniczony czas nagrywania (do 5 minut)',
+      'upgrade.featureLimits': 'Brak dziennych limitów',
+      'upgrade.featurePhotos': 'Dodawanie zdjęć',
+      'upgrade.featurePdf': 'Eksport do PDF ze znacznikami czasu',
+      'upgrade.featureGedcom': 'Eksport GEDCOM dla programów do drzew genealogicznych',
+      'upgrade.downloadTitle': 'Funkcja Pro: pobieranie nagrań',
+      'upgrade.downloadMessage': 'Pobieraj nagrania jako pliki WAV. Ta funkcja jest dostępna w wersji Pro.',
+      'upgrade.photosTitle': 'Funkcja Pro: zdjęcia',
+      'upgrade.photosMessage': 'Dołączaj do wspomnień zdjęcia z podpisami i umieszczaj je w PDF. Ta funkcja jest dostępna w wersji Pro.',
+      'upgrade.pdfTitle': 'Funkcja Pro: eksport do PDF',
+      'upgrade.pdfMessage': 'Eksportuj transkrypcje do PDF w wersji Pro.',
+      'upgrade.gedcomTitle': 'Funkcja Pro: eksport GEDCOM',
+      'upgrade.gedcomMessage': 'Eksportuj wspomnienia do programów genealogicznych w wersji Pro.',
+
+      // Library
+      'library.title': 'Moje wspomnienia',
+      'library.titleOf': 'Wspomnienia: {subject}',
+      'library.search': 'Szukaj we wspomnieniach',
+      'library.searchPlaceholder': 'Szukaj we wspomnieniach...',
+      'library.loading': 'Wczytywanie...',
+      'library.empty': 'Nie ma jeszcze zapisanych wspomnień. Nagraj pierwsze przyciskiem mikrofonu!',
+      'library.noMatches': 'Żadne wspomnienie nie pasuje do wyszukiwania.',
+      'library.open': 'Otwórz',
+      'library.delete': 'Usuń',
+      'library.confirmDelete': 'Usunąć to wspomnienie? Tej operacji nie można cofnąć.',
+      'error.open': 'Nie udało się otworzyć tego wspomnienia. Błąd: {details}',
+      'error.export': 'Nie udało się wyeksportować tego wspomnienia. Błąd: {details}',
+      'error.loadLibrary': 'Nie udało się wczytać zapisanych wspomnień. Błąd: {details}',
+      'error.delete': 'Nie udało się usunąć tego wspomnienia. Błąd: {details}',
+
+      // Upload queue
+      'queue.retry': 'Ponów teraz',
+      'queue.discard': 'Odrzuć nieudane',
+      'queue.confirmDiscard': {
+        one: 'Odrzucić nagranie, którego nie udało się wysłać? Zostanie usunięte z tej przeglądarki.\n\n{error}',
+        few: 'Odrzucić {count} nagrania, których nie udało się wysłać? Zostaną usunięte z tej przeglądarki.\n\n{error}',
+        many: 'Odrzucić {count} nagrań, których nie udało się wysłać? Zostaną usunięte z tej przeglądarki.\n\n{error}',
+        other: 'Odrzucić {count} nagrania, których nie udało się wysłać? Zostaną usunięte z tej przeglądarki.\n\n{error}'
+      },
+      'queue.waiting': {
+        one: '{count} nagranie czeka na wysłanie',
+        few: '{count} nagrania czekają na wysłanie',
+        many: '{count} nagrań czeka na wysłanie',
+        other: '{count} nagrania czeka na wysłanie'
+      },
+      'queue.waitingOffline': {
+        one: '{count} nagranie czeka na wysłanie (offline)',
+        few: '{count} nagrania czekają na wysłanie (offline)',
+        many: '{count} nagrań czeka na wysłanie (offline)',
+        other: '{count} nagrania czeka na wysłanie (offline)'
+      },
+      'queue.attention': { one: '{count} wymaga uwagi', few: '{count} wymagają uwagi', many: '{count} wymaga uwagi', other: '{count} wymaga uwagi' },
+      'queue.transcribed': 'Zapisane nagranie zostało przepisane - znajdziesz je w 📚 Moje wspomnienia',
+      'queue.title': 'Zapisano na później',
+      'queue.safe': 'Twoje nagranie jest bezpieczne.',
+      'queue.reasonServer': 'Usługa transkrypcji teraz nie odpowiada. Nagranie zostanie wysłane automatycznie po przywróceniu połączenia, a transkrypcja pojawi się w 📚 Moje wspomnienia.',
+      'queue.reasonOffline': 'Wygląda na to, że jesteś offline. Nagranie zostanie wysłane automatycznie po przywróceniu połączenia, a transkrypcja pojawi się w 📚 Moje wspomnienia.',
+      'queue.reasonLimit': 'Na razie osiągnięto limit transkrypcji. Nagranie zostanie wysłane automatycznie za {wait}, a transkrypcja pojawi się w 📚 Moje wspomnienia.',
+      'queue.retryNow': 'Ponów teraz'
+    },
+    he: {
+      // Widget
+      'widget.label': 'מקליט זיכרונות משפחתיים',
+      'mic.start': 'התחלת הקלטה',
+      'mic.stop': 'עצירת ההקלטה',
+      'pause.pause': 'השהיית ההקלטה',
+      'pause.resume': 'המשך ההקלטה',
+      'library.button': 'הזיכרונות שלי',
+      'photos.button': 'הוספת תמונות להקלטה הבאה',
+      'photos.pending': { one: 'תמונה אחת תצורף להקלטה הבאה', two: 'שתי תמונות יצורפו להקלטה הבאה', other: '{count} תמונות יצורפו להקלטה הבאה' },
+      'upload.button': 'תמלול קובץ שמע',
+      'settings.button': 'הגדרות מיקרופון',
+      'progress.label': 'זמן הקלטה שנותר',
+      'progress.left': 'נותרו {time}',
+      'progress.paused': 'מושהה · נותרו {time}',
+      'progress.level': 'עוצמת המיקרופון',
+      'recording.silenceWarning': '🔇 איננו שומעים אותך. כדאי לבדוק שהמיקרופון פועל ואינו מושתק.',
+
+      // Free tier limits
+      'quota.left': { one: 'נותרה הקלטה חינמית אחת', two: 'נותרו שתי הקלטות חינמיות', other: 'נותרו {count} הקלטות חינמיות' },
+      'quota.leftOf': { one: 'נותרה הקלטה חינמית אחת מתוך {limit}', two: 'נותרו שתיים מתוך {limit} הקלטות חינמיות', other: 'נותרו {count} מתוך {limit} הקלטות חינמיות' },
+      'quota.blocked': 'הגעת למגבלה · אפשר לנסות שוב בעוד {wait}',
+      'limit.title': 'הגעת למגבלת ההקלטות',
+      'limit.message': 'ניצלת בינתיים את כל ההקלטות החינמיות. עם Pro אפשר להקליט ללא הגבלה!',
+      'limit.messageWait': 'ניצלת בינתיים את כל ההקלטות החינמיות. אפשר יהיה להקליט שוב בעוד {wait}. עם Pro אפשר להקליט ללא הגבלה!',
+      'limit.uploadMessageWait': 'ניצלת בינתיים את כל ההקלטות החינמיות. אפשר יהיה לתמלל שוב בעוד {wait}. עם Pro אפשר להקליט ללא הגבלה!',
+
+      // Durations
+      'wait.minutes': { one: 'דקה', two: 'שתי דקות', other: '{count} דקות' },
+      'wait.hours': { one: 'כשעה', two: 'כשעתיים', other: 'כ-{count} שעות' },
+      'time.minutes': { one: 'דקה אחת', two: 'שתי דקות', other: '{count} דקות' },
+      'time.seconds': { one: 'שנייה אחת', two: 'שתי שניות', other: '{count} שניות' },
+
+      // Screen reader announcements
+      'a11y.recordingStarted': 'ההקלטה התחילה. זמן זמין: {time}.',
+      'a11y.paused': 'ההקלטה הושהתה',
+      'a11y.resumed': 'ההקלטה נמשכת',
+      'a11y.stopped.user': 'ההקלטה נעצרה.',
+      'a11y.stopped.limit': 'הגעת למגבלת הזמן. ההקלטה נעצרה.',
+      'a11y.stopped.silence': 'ההקלטה נעצרה אחרי שקט ממושך.',
+      'a11y.stopped.device': 'המיקרופון נותק. ההקלטה נעצרה.',
+      'a11y.transcribed': 'הזיכרון שלך תומלל.',
+
+      // Shared buttons
+      'button.cancel': 'ביטול',
+      'button.close': 'סגירה',
+      'button.done': 'סיום',
+      'button.save': 'שמירה',
+
+      // Microphone settings
+      'settings.title': 'הגדרות מיקרופון',
+      'settings.microphone': 'מיקרופון',
+      'settings.systemDefault': 'ברירת המחדל של המערכת',
+      'settings.unnamedMicrophone': 'מיקרופון {number}',
+      'settings.savedMicrophone': 'מיקרופון שמור (לא מחובר)',
+      'settings.permission': 'הצגת שמות המיקרופונים (דורש הרשאה)',
+      'settings.echoCancellation': 'ביטול הד',
+      'settings.noiseSuppression': 'הפחתת רעשים',
+      'settings.autoGain': 'עוצמה אוטומטית (בקרת הגבר)',
+      'settings.hint': 'עם מיקרופון חיצוני או USB איכותי בחדר שקט, כיבוי האפשרויות האלה נשמע בדרך כלל טבעי יותר.',
+      'settings.nextRecording': 'השינויים יחולו מההקלטה הבאה.',
+
+      // Interview prompts
+      'prompt.region': 'שאלת ראיון',
+      'prompt.shuffle': '🔀 ערבוב',
+      'prompt.shuffleTitle': 'ערבוב השאלות שנותרו',
+      'prompt.skip': 'דילוג ⬅',
+      'prompt.next': 'השאלה הבאה ⬅',
+      'prompt.restart': '↻ התחלה מחדש',
+      'prompt.progress': '{deck} · שאלה {number} מתוך {total}',
+      'prompt.finished': 'אלה כל השאלות ברשימה הזו - תודה ששיתפת את הזיכרונות שלך!',
+      'prompt.defaultDeck': 'שאלות',
+
+      // Audio file upload
+      'upload.title': 'תמלול קובץ שמע',
+      'upload.intro': 'כבר יש לך הקלטה, כמו הודעה קולית או קלטת שעברה המרה לדיגיטל? MP3, M4A, WAV, OGG, WebM או FLAC, עד {size} ובאורך של עד {duration}.',
+      'upload.drop': 'אפשר לגרור לכאן קובץ שמע, או',
+      'upload.choose': '🎵 בחירת קובץ',
+      'upload.busy': 'יש לסיים קודם את ההקלטה הנוכחית.',
+      'upload.notAudio': '"{name}" אינו קובץ שמע.',
+      'upload.tooBig': 'הגודל של "{name}" הוא {size}. המגבלה היא {limit}.',
+      'upload.checking': 'בודקים את הקובץ...',
+      'upload.unreadable': 'לא ניתן לקרוא את "{name}". ייתכן שהדפדפן הזה לא תומך בפורמט שלו.',
+      'upload.tooLong': 'האורך של "{name}" הוא {duration}. המגבלה היא {limit}.',
+      'upload.tooLongTitle': 'ההקלטה הזו ארוכה מדי',
+      'upload.tooLongPro': 'האורך של "{name}" הוא {duration}. זיכרונות חינמיים מוגבלים ל-{limit}; ב-Pro אפשר עד {proLimit}.',
+
+      // Transcription
+      'loading.title': 'תמלול',
+      'loading.transcribing': 'מתמללים את הזיכרון שלך...',
+      'loading.finishing': 'משלימים את התמליל...',
+      'loading.uploading': 'מעלים... {loaded}',
+      'loading.uploadingOf': 'מעלים... {loaded} מתוך {total} ({percent}%)',
+      'loading.stoppedSilence': { one: 'ההקלטה נעצרה אחרי שנייה של שקט.', two: 'ההקלטה נעצרה אחרי שתי שניות של שקט.', other: 'ההקלטה נעצרה אחרי {count} שניות של שקט.' },
+      'loading.stoppedDevice': 'ההקלטה נעצרה כי המיקרופון נותק. כל מה שהוקלט עד אז נשמר.',
+      'error.microphone': 'אין גישה למיקרופון. יש לבדוק את ההרשאות ולנסות שוב.',
+      'error.rateLimit': 'הגעת בינתיים למגבלת התמלולים. אפשר לנסות שוב בעוד {wait}.',
+      'error.timeout': 'שירות התמלול לא הגיב בזמן ({details}). כדאי לנסות שוב.',
+      'error.network': 'אין חיבור לשירות התמלול. יש לבדוק את החיבור לאינטרנט ולנסות שוב.',
+      'error.parse': 'שירות התמלול שלח תשובה שלא ניתן לקרוא. שגיאה: {details}',
+      'error.tooLarge': 'ההקלטה הזו גדולה מדי עבור שירות התמלול.',
+      'error.unauthorized': 'שירות התמלול דחה את הבקשה (אין הרשאה). יש לפנות לבעלי האתר.',
+      'error.server': 'יש תקלה בשירות התמלול (שגיאה {status}). כדאי לנסות שוב מאוחר יותר.',
+      'error.rejected': 'שירות התמלול דחה את ההקלטה (שגיאה {status}). שגיאה: {details}',
+      'error.transcription': 'התמלול נכשל. כדאי לנסות שוב. שגיאה: {details}',
+
+      // Long-form recording
+      'longForm.started': '📝 הקלטה ארוכה: החלקים מתומללים תוך כדי',
+      'longForm.progress': { one: '📝 תומלל חלק {count} מתוך {total}', two: '📝 תומללו שני חלקים מתוך {total}', other: '📝 תומללו {count} מתוך {total} חלקים' },
+      'longForm.waiting': { one: 'אחד ממתין לניסיון חוזר', two: 'שניים ממתינים לניסיון חוזר', other: '{count} ממתינים לניסיון חוזר' },
+      'longForm.failed': { one: 'אחד נכשל', two: 'שניים נכשלו', other: '{count} נכשלו' },
+      'longForm.offline': 'ממתינים לחזרת החיבור לאינטרנט...',
+      'longForm.transcribingPart': 'מתמללים את חלק {number} מתוך {total}...',
+      'longForm.failedTitle': 'חלק מהקטעים לא תומללו',
+      'longForm.failedMessage': { one: 'לא ניתן היה לתמלל חלק אחד מתוך {total} ({times}).', two: 'לא ניתן היה לתמלל שני חלקים מתוך {total} ({times}).', other: 'לא ניתן היה לתמלל {count} מתוך {total} חלקים ({times}).' },
+      'longForm.skipFailed': 'המשך בלעדיהם',
+      'longForm.retryFailed': 'ניסיון חוזר לחלקים שנכשלו',
+      'longForm.gap': 'לא ניתן היה לתמלל את {times}',
+
+      // Transcript
+      'transcript.title': 'הזיכרון המשפחתי שלך',
+      'transcript.label': 'תמליל',
+      'transcript.language': 'השפה שזוהתה',
+      'transcript.unknown': 'לא ידוע',
+      'transcript.confidence': 'רמת ודאות',
+      'transcript.duration': 'משך',
+      'transcript.copy': 'העתקת הטקסט',
+      'transcript.downloadWav': 'הורדת WAV',
+      'transcript.downloadOriginal': 'מקור ({format})',
+      'transcript.downloadLocked': 'שדרוג ל-Pro מאפשר להוריד הקלטות',
+      'transcript.wavTooLong': 'WAV זמין רק להקלטות של עד {limit}. אפשר להוריד את המקור',
+      'transcript.downloadPro': 'הורדת ההקלטה (Pro)',
+      'transcript.exportPdf': 'ייצוא PDF',
+      'transcript.exportGedcom': 'ייצוא GEDCOM',
+      'transcript.gedcomTitle': 'לתוכנות אילן יוחסין',
+      'transcript.photosLocked': 'שדרוג ל-Pro מאפשר לצרף תמונות',
+      'transcript.photosPro': 'הוספת תמונות (Pro)',
+      'transcript.playFromHere': 'ניגון מכאן',
+      'transcript.playFrom': 'ניגון מ-{time}',
+      'transcript.segment': 'תמליל מ-{time}',
+      'feedback.saved': 'נשמר!',
+      'feedback.copied': 'הועתק!',
+      'feedback.converting': 'ממירים...',
+      'feedback.downloaded': 'הורד!',
+      'feedback.exported': 'יוצא!',
+      'error.title': 'שגיאה',
+      'error.save': 'לא ניתן היה לשמור את הזיכרון. שגיאה: {details}',
+      'error.noRecording': 'אין הקלטה להורדה.',
+      'error.download': 'ההורדה נכשלה. כדאי לנסות שוב. שגיאה: {details}',
+      'error.pdfLibrary': 'ספריית הייצוא ל-PDF לא נטענה. יש לכלול את ספריית jsPDF בדף.',
+      'error.pdf': 'ייצוא ה-PDF נכשל. יש לוודא שספריית jsPDF נטענה. שגיאה: {details}',
+      'error.gedcom': 'ייצוא ה-GEDCOM נכשל. שגיאה: {details}',
+
+      // Memory details
+      'meta.heading': 'על הזיכרון הזה',
+      'meta.title': 'כותרת',
+      'meta.titlePlaceholder': 'למשל: קיצים ליד הנהר',
+      'meta.narrator': 'מספר/ת',
+      'meta.narratorPlaceholder': 'מי מדבר/ת',
+      'meta.subjects': 'על מי',
+      'meta.subjectsPlaceholder': 'אנשים, מופרדים בפסיקים',
+      'meta.relationship': 'קרבה',
+      'meta.relationshipPlaceholder': 'המספר/ת הוא/היא ... של',
+      'meta.date': 'מתי',
+      'meta.datePlaceholder': 'למשל: בערך 1952',
+      'meta.place': 'איפה',
+      'meta.placePlaceholder': 'למשל: קרקוב, פולין',
+      'meta.tags': 'תגיות',
+      'meta.tagsPlaceholder': 'מופרדות בפסיקים',
+
+      // PDF export
+      'pdf.title': 'תמליל של זיכרון משפחתי',
+      'pdf.date': 'תאריך: {date}',
+      'pdf.sourceFile': 'קובץ מקור: {name}',
+      'pdf.question': 'שאלה:',
+      'pdf.transcript': 'תמליל:',
+      'pdf.photos': 'תמונות:',
+      'pdf.footer': 'נוצר באמצעות Family Memory Widget',
+
+      // Photos
+      'photos.title': 'תמונות להקלטה הבאה',
+      'photos.intro': 'התמונות האלה יישלחו עם ההקלטה הבאה ויישמרו יחד עם הזיכרון.',
+      'photos.drop': 'אפשר לגרור לכאן תמונות, או',
+      'photos.choose': 'בחירת תמונות',
+      'photos.camera': 'צילום תמונה',
+      'photos.skipped': { one: 'דילגנו על קובץ אחד (אינו תמונה)', two: 'דילגנו על שני קבצים (אינם תמונות)', other: 'דילגנו על {count} קבצים (אינם תמונות)' },
+      'photos.tooMany': { one: 'אפשר לצרף רק תמונה אחת לכל זיכרון', two: 'אפשר לצרף עד שתי תמונות לכל זיכרון', other: 'אפשר לצרף עד {count} תמונות לכל זיכרון' },
+      'photos.preparing': 'מכינים את תמונה {number} מתוך {total}...',
+      'photos.alt': 'תמונה {number}',
+      'photos.captionPlaceholder': 'הוספת כיתוב...',
+      'photos.captionLabel': 'כיתוב לתמונה {number}',
+      'photos.remove': 'הסרת התמונה',
+      'photos.removeLabel': 'הסרת תמונה {number}',
+
+      // Pro upgrade
+      'pro.hintTitle': 'שדרוג ל-Pro ב-${price}',
+      'pro.hint': 'זמן הקלטה ללא הגבלה, העלאת תמונות, ייצוא ל-PDF ול-GEDCOM והורדת הקלטות.',
+      'pro.upgradeNow': 'לשדרוג עכשיו',
+      'upgrade.price': 'שדרוג ל-Pro - רק ${price}',
+      'upgrade.featuresIntro': 'ב-Pro תקבלו:',
+      'upgrade.featureTime': 'זמן הקלטה ללא הגבלה (עד 5 דקות)',
+      'upgrade.featureLimits': 'בלי מגבלות יומיות',
+      'upgrade.featurePhotos': 'העלאת תמונות',
+      'upgrade.featurePdf': 'ייצוא ל-PDF עם חותמות זמן',
+      'upgrade.featureGedcom': 'ייצוא GEDCOM לתוכנות אילן יוחסין',
+      'upgrade.downloadTitle': 'תכונת Pro: הורדת הקלטות',
+      'upgrade.downloadMessage': 'הורדת ההקלטות כקובצי WAV. התכונה זמינה בשדרוג ל-Pro.',
+      'upgrade.photosTitle': 'תכונת Pro: תמונות',
+      'upgrade.photosMessage': 'צירוף תמונות עם כיתובים לזיכרונות והכללתן ב-PDF. התכונה זמינה בשדרוג ל-Pro.',
+      'upgrade.pdfTitle': 'תכונת Pro: ייצוא ל-PDF',
+      'upgrade.pdfMessage': 'ייצוא התמלילים ל-PDF זמין בשדרוג ל-Pro.',
+      'upgrade.gedcomTitle': 'תכונת Pro: ייצוא GEDCOM',
+      'upgrade.gedcomMessage': 'ייצוא הזיכרונות לתוכנות אילן יוחסין זמין בשדרוג ל-Pro.',
+
+      // Library
+      'library.title': 'הזיכרונות שלי',
+      'library.titleOf': 'זיכרונות על {subject}',
+      'library.search': 'חיפוש בזיכרונות',
+      'library.searchPlaceholder': 'חיפוש בזיכרונות...',
+      'library.loading': 'טוען...',
+      'library.empty': 'עדיין אין זיכרונות שמורים. אפשר להקליט אחד בכפתור המיקרופון!',
+      'library.noMatches': 'אין זיכרונות שמתאימים לחיפוש.',
+      'library.open': 'פתיחה',
+      'library.delete': 'מחיקה',
+      'library.confirmDelete': 'למחוק את הזיכרון הזה? אי אפשר לבטל את הפעולה.',
+      'error.open': 'לא ניתן היה לפתוח את הזיכרון. שגיאה: {details}',
+      'error.export': 'לא ניתן היה לייצא את הזיכרון. שגיאה: {details}',
+      'error.loadLibrary': 'לא ניתן היה לטעון את הזיכרונות השמורים. שגיאה: {details}',
+      'error.delete': 'לא ניתן היה למחוק את הזיכרון. שגיאה: {details}',
+
+      // Upload queue
+      'queue.retry': 'לנסות שוב עכשיו',
+      'queue.discard': 'למחוק את הנכשלות',
+      'queue.confirmDiscard': {
+        one: 'למחוק את ההקלטה שלא הצליחה לעלות? היא תימחק מהדפדפן הזה.\n\n{error}',
+        two: 'למחוק את שתי ההקלטות שלא הצליחו לעלות? הן יימחקו מהדפדפן הזה.\n\n{error}',
+        other: 'למחוק את {count} ההקלטות שלא הצליחו לעלות? הן יימחקו מהדפדפן הזה.\n\n{error}'
+      },
+      'queue.waiting': { one: 'הקלטה אחת ממתינה להעלאה', two: 'שתי הקלטות ממתינות להעלאה', other: '{count} הקלטות ממתינות להעלאה' },
+      'queue.waitingOffline': { one: 'הקלטה אחת ממתינה להעלאה (אין חיבור)', two: 'שתי הקלטות ממתינות להעלאה (אין חיבור)', other: '{count} הקלטות ממתינות להעלאה (אין חיבור)' },
+      'queue.attention': { one: 'אחת דורשת טיפול', two: 'שתיים דורשות טיפול', other: '{count} דורשות טיפול' },
+      'queue.transcribed': 'הקלטה שמורה תומללה - אפשר למצוא אותה ב📚 הזיכרונות שלי',
+      'queue.title': 'נשמר להמשך',
+      'queue.safe': 'ההקלטה שלך שמורה.',
+      'queue.reasonServer': 'שירות התמלול לא מגיב כרגע. ההקלטה תועלה אוטומטית כשהחיבור יחזור, והתמליל יופיע ב📚 הזיכרונות שלי.',
+      'queue.reasonOffline': 'נראה שאין חיבור לאינטרנט. ההקלטה תועלה אוטומטית כשהחיבור יחזור, והתמליל יופיע ב📚 הזיכרונות שלי.',
+      'queue.reasonLimit': 'הגעת בינתיים למגבלת התמלולים. ההקלטה תועלה אוטומטית בעוד {wait}, והתמליל יופיע ב📚 הזיכרונות שלי.',
+      'queue.retryNow': 'לנסות שוב עכשיו'
+    }
+  };
+
+  // Languages written right to left (the widget and modal flip with dir="rtl")
+  const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur', 'yi'];
+
+  // Intl.PluralRules per locale, created on first use
+  const pluralRules = {};
+
+  /**
+   * Pick the message pack for a LOCALE setting: the exact tag (pt-BR), then
+   * its language (pt), then the browser's languages the same way, then English
+   */
+  function resolveLocale(locale) {
+    const findPack = (tag) => {
+      const normalized = String(tag).trim().replace('_', '-').toLowerCase();
+      const exact = Object.keys(MESSAGES).find(name => name.toLowerCase() === normalized);
+      const language = normalized.split('-')[0];
+      return exact || (MESSAGES[language] ? language : null);
+    };
+
+    if (locale) {
+      const pack = findPack(locale);
+      if (pack) return pack;
+      console.warn(`No messages for locale "${locale}", using the browser's language`);
+    }
+
+    const browserLanguages = navigator.languages && navigator.languages.length > 0
+      ? navigator.languages
+      : [navigator.language];
+    for (const tag of browserLanguages.filter(Boolean)) {
+      const pack = findPack(tag);
+      if (pack) return pack;
+    }
+
+    return 'en';
+  }
+
+  /**
+   * The locale to hand to Intl and toLocaleString
+   * A pack registered under a name that isn't a valid language tag (e.g.
+   * 'klingon_x') would make them throw a RangeError, so use English rules.
+   */
+  function getIntlLocale(locale) {
+    try {
+      return Intl.getCanonicalLocales(locale)[0] || 'en';
+    } catch (error) {
+      return 'en';
+    }
+  }
+
+  /**
+   * Text direction for a locale: 'rtl' or 'ltr'
+   */
+  function getTextDirection(locale) {
+    return RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Translate a message key into the instance's language
+   * params: values for {name} placeholders; params.count picks the plural form
+   */
+  function t(instance, key, params = {}) {
+    const locale = instance.config.LOCALE;
+    const pack = MESSAGES[locale] || MESSAGES.en;
+    let message = key in pack ? pack[key] : MESSAGES.en[key];
+
+    if (message === undefined) {
+      console.warn(`Missing message "${key}"`);
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      if (!pluralRules[locale]) {
+        pluralRules[locale] = new Intl.PluralRules(getIntlLocale(locale));
+      }
+      message = message[pluralRules[locale].select(params.count)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? String(params[name]) : placeholder);
+  }
+
+  /**
+   * Add a language pack, or override messages of an existing one
+   * Call before init() (or before the widgets it should apply to are created).
+   * promptDecks: optional translations of the built-in decks, keyed by deck id
+   */
+  function registerLocale(locale, messages, promptDecks) {
+    MESSAGES[locale] = { ...(MESSAGES[locale] || {}), ...messages };
+
+    if (promptDecks) {
+      PROMPT_DECK_TRANSLATIONS[locale] = { ...(PROMPT_DECK_TRANSLATIONS[locale] || {}), ...promptDecks };
+    }
+  }
+
+  // ============================================================================
+  // SAFE RENDERING
+  // ============================================================================
+
+  // Marks markup built by html`` so nesting it doesn't escape it again
+  const SAFE_HTML = Symbol('safeHTML');
+
+  /**
+   * Escape text for HTML element content and quoted attribute values
+   */
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Tagged template for widget markup
+   * Every interpolated value is escaped as text - transcripts, API responses,
+   * config and stored records can never add elements or attributes - except
+   * markup from another html`` (so templates can nest). Arrays are joined;
+   * null, undefined and false render nothing.
+   * Usage: render(modal, html`<h2>${title}</h2>`)
+   */
+  function html(strings, ...values) {
+    const toMarkup = (value) => {
+      if (value === null || value === undefined || value === false) return '';
+      if (Array.isArray(value)) return value.map(toMarkup).join('');
+      if (value[SAFE_HTML]) return value.markup;
+      return escapeHTML(value);
+    };
+
+    const markup = strings.reduce((result, string, i) => result + toMarkup(values[i - 1]) + string);
+    return { [SAFE_HTML]: true, markup };
+  }
+
+  /**
+   * Replace an element's content with html`` markup
+   * Anything else is shown as plain text, never parsed as HTML.
+   */
+  function render(element, template) {
+    if (template && template[SAFE_HTML]) {
+      element.innerHTML = template.markup;
+    } else {
+      element.textContent = template === null || template === undefined ? '' : String(template);
+    }
+  }
+
+  /**
+   * Allow only http(s) and mailto links (blocks javascript: and data: URLs)
+   * Returns: the absolute URL, or '#' if it is unsafe or invalid
+   */
+  function safeURL(url) {
+    try {
+      const parsed = new URL(String(url), window.location.href);
+      return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : '#';
+    } catch (e) {
+      return '#';
+    }
+  }
+
+  // ============================================================================
+  // STYLES & THEMES
+  // ============================================================================
+
+  /**
+   * Theme custom properties and their light-theme values
+   * Hosts override them as --fm-<name> (e.g. --fm-primary) on the widget's
+   * container or any ancestor; inside the shadow roots they resolve to --_<name>.
+   */
+  const THEME_DEFAULTS = {
+    'font-family': '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    'primary': '#667eea',
+    'primary-hover': '#5568d3',
+    'primary-end': '#764ba2',
+    'on-primary': '#ffffff',
+    'recording-start': '#f093fb',
+    'recording': '#f5576c',
+    'background': '#ffffff',
+    'surface': '#f9fafb',
+    'text': '#1f2937',
+    'text-muted': '#6b7280',
+    'border': '#e5e7eb',
+    'input-border': '#d1d5db',
+    'button-secondary': '#e5e7eb',
+    'button-secondary-hover': '#d1d5db',
+    'highlight': '#eef2ff',
+    'word-highlight': '#fde68a',
+    'accent': '#7c3aed',
+    'accent-surface': '#f5f3ff',
+    'accent-border': '#ddd6fe',
+    'warning': '#b45309',
+    'error-background': '#fee2e2',
+    'error-text': '#991b1b',
+    'pro-background': 'linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%)',
+    'pro-text': '#78350f',
+    'overlay': 'rgba(0, 0, 0, 0.7)',
+    'radius': '12px',
+    'button-radius': '6px',
+    'mic-size': '64px',
+    'side-button-size': '40px'
+  };
+
+  /**
+   * Built-in themes (THEME): the values that differ from the light theme
+   * 'auto' follows the system's dark mode and increased-contrast settings.
+   */
+  const THEMES = {
+    light: {},
+    dark: {
+      'primary': '#818cf8',
+      'primary-hover': '#a5b4fc',
+      'primary-end': '#a78bfa',
+      'on-primary': '#111827',
+      'recording-start': '#f0abfc',
+      'recording': '#fb7185',
+      'background': '#1f2937',
+      'surface': '#111827',
+      'text': '#f9fafb',
+      'text-muted': '#9ca3af',
+      'border': '#374151',
+      'input-border': '#4b5563',
+      'button-secondary': '#374151',
+      'button-secondary-hover': '#4b5563',
+      'highlight': '#312e81',
+      'word-highlight': '#92400e',
+      'accent': '#c4b5fd',
+      'accent-surface': '#2e1065',
+      'accent-border': '#5b21b6',
+      'warning': '#fbbf24',
+      'error-background': '#7f1d1d',
+      'error-text': '#fecaca',
+      'pro-background': 'linear-gradient(135deg, #b45309 0%, #92400e 100%)',
+      'pro-text': '#fef3c7',
+      'overlay': 'rgba(0, 0, 0, 0.8)'
+    },
+    'high-contrast': {
+      'primary': '#ffff00',
+      'primary-hover': '#ffffff',
+      'primary-end': '#ffff00',
+      'on-primary': '#000000',
+      'recording-start': '#ff4d4d',
+      'recording': '#ff4d4d',
+      'background': '#000000',
+      'surface': '#000000',
+      'text': '#ffffff',
+      'text-muted': '#ffffff',
+      'border': '#ffffff',
+      'input-border': '#ffffff',
+      'button-secondary': '#000000',
+      'button-secondary-hover': '#333333',
+      'highlight': '#ffff00',
+      'word-highlight': '#00ffff',
+      'accent': '#00ffff',
+      'accent-surface': '#000000',
+      'accent-border': '#ffffff',
+      'warning': '#ffff00',
+      'error-background': '#000000',
+      'error-text': '#ff8080',
+      'pro-background': '#000000',
+      'pro-text': '#ffff00',
+      'overlay': 'rgba(0, 0, 0, 0.9)'
+    }
+  };
+
+  // This script's CSP nonce, used for the fallback <style> unless STYLE_NONCE is set
+  const SCRIPT_NONCE = (document.currentScript && document.currentScript.nonce) || '';
+
+  // One stylesheet shared by every widget's shadow roots (constructable stylesheets)
+  let widgetStyleSheet = null;
+
+  /**
+   * Theme variables for a selector: --_<name> uses the host's --fm-<name> if set
+   */
+  function themeRule(selector, values) {
+    const declarations = Object.keys(values)
+      .map(name => `        --_${name}: var(--fm-${name}, ${values[name]});`)
+      .join('\n');
+    return `      ${selector} {\n${declarations}\n      }`;
+  }
+
+  /**
+   * High-contrast extras: outline controls and panels, dark text on highlights
+   */
+  function highContrastRules(host) {
+    return `
+      ${host} .fm-button,
+      ${host} .fm-modal,
+      ${host} .fm-progress-container,
+      ${host} .fm-prompt-card,
+      ${host} .fm-pro-hint,
+      ${host} .fm-error {
+        border: 2px solid currentColor;
+      }
+
+      ${host} .fm-segment.active,
+      ${host} .fm-word.active {
+        color: #000000;
+      }
+
+      ${host} :focus-visible {
+        outline: 3px solid #ffff00;
+        outline-offset: 2px;
+      }`;
+  }
+
+  /**
+   * The widget's complete stylesheet: theme variables, then components
+   */
+  function getWidgetCSS() {
+    const themes = Object.keys(THEMES)
+      .filter(name => name !== 'light')
+      .map(name => themeRule(`:host([data-theme="${name}"])`, THEMES[name]))
+      .join('\n\n');
+
+    return `
+      /* Theme (see THEME_DEFAULTS) */
+${themeRule(':host', THEME_DEFAULTS)}
+
+${themes}
+
+      @media (prefers-color-scheme: dark) {
+${themeRule(':host([data-theme="auto"])', THEMES.dark)}
+      }
+
+      @media (prefers-contrast: more) {
+${themeRule(':host([data-theme="auto"])', THEMES['high-contrast'])}
+${highContrastRules(':host([data-theme="auto"])')}
+      }
+${highContrastRules(':host([data-theme="high-contrast"])')}
+
+      /* Shadow hosts: don't inherit the page's text styles */
+      :host {
+        all: initial;
+        display: inline-block;
+        font-family: var(--_font-family);
+        color: var(--_text);
+      }
+
+      *, *::before, *::after {
+        box-sizing: border-box;
+      }
+
+      /* Widget container */
+      .fm-widget-container {
+        display: inline-block;
+        position: relative;
+        font-family: var(--_font-family);
+      }
+
+      /* Microphone button */
+      .fm-mic-button {
+        background: linear-gradient(135deg, var(--_primary) 0%, var(--_primary-end) 100%);
+        border: none;
+        border-radius: 50%;
+        width: var(--_mic-size);
+        height: var(--_mic-size);
+        cursor: pointer;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+        transition: all 0.3s ease;
+        position: relative;
+        overflow: hidden;
+        vertical-align: middle;
+      }
+
+      .fm-mic-button:hover:not(:disabled) {
+        transform: scale(1.1);
+        box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3);
+      }
+
+      .fm-mic-button:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+
+      .fm-mic-button.recording {
+        background: linear-gradient(135deg, var(--_recording-start) 0%, var(--_recording) 100%);
+        animation: pulse 1.5s ease-in-out infinite;
+      }
+
+      .fm-mic-button.recording.paused {
+        animation: none;
+        opacity: 0.7;
+      }
+
+      @keyframes pulse {
+        0%, 100% { transform: scale(1); }
+        50% { transform: scale(1.05); }
+      }
+
+      /* Secondary round buttons next to the mic (library, etc.) */
+      .fm-side-button {
+        background: var(--_background);
+        border: 2px solid var(--_border);
+        border-radius: 50%;
+        width: var(--_side-button-size);
+        height: var(--_side-button-size);
+        margin-inline-start: 8px;
+        vertical-align: middle;
+        cursor: pointer;
+        font-size: 18px;
+        line-height: 1;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+        transition: all 0.2s;
+      }
+
+      .fm-side-button:hover:not(:disabled) {
+        border-color: var(--_primary);
+        transform: scale(1.05);
+      }
+
+      .fm-side-button:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+
+      /* Pause/resume button (only visible while recording) */
+      .fm-pause-button {
+        display: none;
+      }
+
+      .fm-pause-button.active {
+        display: inline-block;
+      }
+
+      /* Microphone icon */
+      .fm-mic-icon,
+      .fm-stop-icon {
+        width: calc(var(--_mic-size) * 0.44);
+        height: calc(var(--_mic-size) * 0.44);
+        fill: var(--_on-primary);
+      }
+
+      /* Free recordings left (hidden when empty) */
+      .fm-quota-label {
+        margin-top: 8px;
+        font-size: 12px;
+        color: var(--_text-muted);
+      }
+
+      .fm-quota-label:empty {
+        display: none;
+      }
+
+      /* Upload queue status (shown while uploads are waiting) */
+      .fm-queue-status {
+        display: none;
+        margin-top: 8px;
+        font-size: 12px;
+        color: var(--_text-muted);
+      }
+
+      .fm-queue-status.active {
+        display: block;
+      }
+
+      .fm-queue-retry {
+        background: none;
+        border: none;
+        padding: 0;
+        margin-inline-start: 6px;
+        color: var(--_primary);
+        font-size: 12px;
+        font-weight: 600;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
+      /* Progress bar container (shown during recording) */
+      .fm-progress-container {
+        position: absolute;
+        bottom: -40px;
+        left: 50%;
+        transform: translateX(-50%);
+        width: 200px;
+        background: var(--_background);
+        border-radius: 8px;
+        padding: 8px;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+        display: none;
+      }
+
+      .fm-progress-container.active {
+        display: block;
+      }
+
+      .fm-progress-container.paused .fm-progress-bar {
+        opacity: 0.6;
+      }
+
+      /* Progress bar */
+      .fm-progress-bar {
+        width: 100%;
+        height: 24px;
+        background: linear-gradient(90deg, #10b981 0%, #ef4444 100%);
+        border-radius: 4px;
+        position: relative;
+        overflow: hidden;
+      }
+
+      .fm-progress-fill {
+        height: 100%;
+        background: rgba(255, 255, 255, 0.3);
+        transition: width 0.3s linear;
+        position: absolute;
+        inset-inline-end: 0;
+      }
+
+      /* Time remaining text */
+      .fm-time-remaining {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        color: white;
+        font-weight: 600;
+        font-size: 12px;
+        text-shadow: 0 1px 2px rgba(0, 0, 0, 0.5);
+        pointer-events: none;
+      }
+
+      /* Microphone level meter (under the progress bar) */
+      .fm-level-meter {
+        display: none;
+        height: 6px;
+        margin-top: 6px;
+        background: var(--_border);
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      .fm-level-meter.active {
+        display: block;
+      }
+
+      .fm-level-fill {
+        height: 100%;
+        width: 0;
+        background: linear-gradient(90deg, #10b981 0%, #10b981 70%, #f59e0b 85%, #ef4444 100%);
+        background-size: 200px 100%;
+        transition: width 0.08s linear;
+      }
+
+      /* Silence warning (shown when the first seconds are silent) */
+      .fm-silence-warning {
+        display: none;
+        margin-top: 6px;
+        font-size: 11px;
+        line-height: 1.3;
+        color: var(--_warning);
+      }
+
+      .fm-silence-warning.active {
+        display: block;
+      }
+
+      .fm-chunk-status {
+        margin-top: 6px;
+        font-size: 11px;
+        color: var(--_text-muted);
+      }
+
+      .fm-chunk-status:empty {
+        display: none;
+      }
+
+      .fm-live-transcript {
+        margin-top: 6px;
+        max-height: 72px;
+        overflow-y: auto;
+        font-size: 12px;
+        line-height: 1.4;
+        color: var(--_text);
+      }
+
+      .fm-live-transcript:empty {
+        display: none;
+      }
+
+      .fm-live-interim {
+        color: var(--_text-muted);
+        opacity: 0.8;
+      }
+
+      /* Interview prompt card (above the mic) */
+      .fm-prompt-card {
+        display: none;
+        max-width: 320px;
+        margin-bottom: 12px;
+        padding: 12px 14px;
+        background: var(--_accent-surface);
+        border: 1px solid var(--_accent-border);
+        border-radius: 10px;
+      }
+
+      .fm-prompt-card.active {
+        display: block;
+      }
+
+      .fm-prompt-progress {
+        font-size: 11px;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.04em;
+        color: var(--_accent);
+      }
+
+      .fm-prompt-text {
+        margin: 6px 0 10px;
+        font-size: 17px;
+        line-height: 1.4;
+        color: var(--_text);
+      }
+
+      .fm-prompt-actions {
+        display: flex;
+        justify-content: space-between;
+      }
+
+      .fm-prompt-action {
+        background: none;
+        border: none;
+        padding: 0;
+        color: var(--_primary);
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .fm-prompt-action:disabled {
+        color: var(--_text-muted);
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      /* The question shown above an answer in the transcript modal */
+      .fm-memory-prompt {
+        margin-bottom: 12px;
+        padding: 10px 12px;
+        background: var(--_accent-surface);
+        border-inline-start: 3px solid var(--_accent);
+        border-radius: 4px;
+        font-style: italic;
+        color: var(--_text);
+      }
+
+      /* Modal overlay */
+      .fm-modal-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: var(--_overlay);
+        display: none;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+      }
+
+      .fm-modal-overlay.active {
+        display: flex;
+      }
+
+      /* Modal content */
+      .fm-modal {
+        background: var(--_background);
+        color: var(--_text);
+        border-radius: var(--_radius);
+        padding: 32px;
+        max-width: 600px;
+        width: 90%;
+        max-height: 80vh;
+        overflow-y: auto;
+        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+      }
+
+      .fm-modal h2 {
+        margin: 0 0 16px 0;
+        color: var(--_text);
+        font-size: 24px;
+      }
+
+      /* Transcript editor */
       .fm-transcript-editor {
         width: 100%;
-        min-height: 150px;
-        padding: 12px;
-        border: 2px solid #e5e7eb;
+        min-height: 150px;
+        padding: 12px;
+        border: 2px solid var(--_border);
+        border-radius: 8px;
+        font-size: 16px;
+        line-height: 1.6;
+        resize: vertical;
+        font-family: inherit;
+        margin-bottom: 16px;
+        background: var(--_background);
+        color: var(--_text);
+      }
+
+      .fm-transcript-editor:focus {
+        outline: none;
+        border-color: var(--_primary);
+      }
+
+      /* Audio player and timed segments */
+      .fm-audio-player {
+        width: 100%;
+        margin-bottom: 12px;
+      }
+
+      .fm-segments {
+        max-height: 300px;
+        overflow-y: auto;
+        border: 2px solid var(--_border);
+        border-radius: 8px;
+        padding: 8px;
+        margin-bottom: 16px;
+      }
+
+      .fm-segment {
+        display: flex;
+        gap: 10px;
+        align-items: baseline;
+        padding: 6px 8px;
+        border-radius: 6px;
+        transition: background 0.2s;
+      }
+
+      .fm-segment.active {
+        background: var(--_highlight);
+      }
+
+      .fm-segment-time {
+        flex-shrink: 0;
+        background: none;
+        border: none;
+        padding: 0;
+        color: var(--_primary);
+        font-size: 12px;
+        font-weight: 600;
+        font-variant-numeric: tabular-nums;
+        cursor: pointer;
+      }
+
+      .fm-segment-time:hover {
+        text-decoration: underline;
+      }
+
+      .fm-segment-text {
+        flex: 1;
+        font-size: 16px;
+        line-height: 1.6;
+        color: var(--_text);
+        outline: none;
+        border-radius: 4px;
+      }
+
+      .fm-segment-text:focus {
+        box-shadow: 0 0 0 2px var(--_primary);
+      }
+
+      .fm-word.active {
+        background: var(--_word-highlight);
+        border-radius: 3px;
+      }
+
+      /* "About this memory" form */
+      .fm-memory-form {
+        margin-bottom: 16px;
+        border: 1px solid var(--_border);
+        border-radius: 8px;
+        padding: 8px 12px;
+        font-size: 14px;
+      }
+
+      .fm-memory-form summary {
+        cursor: pointer;
+        font-weight: 600;
+        color: var(--_text);
+      }
+
+      .fm-memory-fields {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px 12px;
+        margin-top: 10px;
+      }
+
+      .fm-memory-field {
+        display: flex;
+        flex-direction: column;
+        font-size: 12px;
+        color: var(--_text-muted);
+      }
+
+      .fm-memory-field-wide {
+        grid-column: 1 / -1;
+      }
+
+      .fm-memory-field input {
+        margin-top: 4px;
+        padding: 6px 8px;
+        border: 1px solid var(--_input-border);
+        background: var(--_background);
+        color: var(--_text);
+        border-radius: 6px;
+        font-size: 14px;
+        font-family: inherit;
+      }
+
+      .fm-library-title {
+        font-weight: 600;
+        color: var(--_text);
+        margin-bottom: 2px;
+      }
+
+      /* Metadata display */
+      .fm-metadata {
+        display: flex;
+        gap: 16px;
+        margin-bottom: 16px;
+        padding: 12px;
+        background: var(--_surface);
+        border-radius: 8px;
+        font-size: 14px;
+      }
+
+      .fm-metadata-item {
+        display: flex;
+        flex-direction: column;
+      }
+
+      .fm-metadata-label {
+        color: var(--_text-muted);
+        font-size: 12px;
+        margin-bottom: 4px;
+      }
+
+      .fm-metadata-value {
+        color: var(--_text);
+        font-weight: 600;
+      }
+
+      /* Buttons */
+      .fm-button-group {
+        display: flex;
+        gap: 12px;
+        justify-content: flex-end;
+      }
+
+      .fm-button {
+        padding: 10px 20px;
+        border: none;
+        border-radius: var(--_button-radius);
+        font-size: 14px;
+        font-weight: 600;
+        cursor: pointer;
+        transition: all 0.2s;
+      }
+
+      .fm-button-primary {
+        background: var(--_primary);
+        color: var(--_on-primary);
+      }
+
+      .fm-button-primary:hover {
+        background: var(--_primary-hover);
+      }
+
+      .fm-button-secondary {
+        background: var(--_button-secondary);
+        color: var(--_text);
+      }
+
+      .fm-button-secondary:hover {
+        background: var(--_button-secondary-hover);
+      }
+
+      .fm-button-disabled {
+        opacity: 0.5;
+        cursor: not-allowed !important;
+      }
+
+      .fm-button-disabled:hover {
+        background: var(--_button-secondary) !important;
+      }
+
+      /* Pro upgrade hint */
+      .fm-pro-hint {
+        background: var(--_pro-background);
+        color: var(--_pro-text);
+        padding: 12px 16px;
+        border-radius: 8px;
+        margin-bottom: 16px;
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      .fm-pro-hint strong {
+        display: block;
+        margin-bottom: 4px;
+      }
+
+      .fm-pro-features {
+        margin: 8px 0;
+        padding-inline-start: 20px;
+      }
+
+      .fm-upgrade-link {
+        color: var(--_pro-text);
+        text-decoration: underline;
+        font-weight: 600;
+      }
+
+      /* Loading spinner */
+      .fm-loading {
+        text-align: center;
+        padding: 32px;
+      }
+
+      .fm-spinner {
+        border: 3px solid var(--_border);
+        border-top: 3px solid var(--_primary);
+        border-radius: 50%;
+        width: 40px;
+        height: 40px;
+        animation: spin 1s linear infinite;
+        margin: 0 auto 16px;
+      }
+
+      .fm-loading-note {
+        color: var(--_text-muted);
+        font-size: 13px;
+      }
+
+      /* Upload progress (inside the loading modal) */
+      .fm-upload-progress {
+        display: none;
+        height: 6px;
+        max-width: 280px;
+        margin: 0 auto 16px;
+        background: var(--_border);
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      .fm-upload-progress.active {
+        display: block;
+      }
+
+      .fm-upload-progress-fill {
+        height: 100%;
+        width: 0;
+        background: var(--_primary);
+        transition: width 0.2s ease;
+      }
+
+      @keyframes spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
+
+      /* Photo count badge on the 📷 side button */
+      .fm-side-button[data-count]::after {
+        content: attr(data-count);
+        position: absolute;
+        top: -4px;
+        inset-inline-end: -4px;
+        min-width: 16px;
+        height: 16px;
+        padding: 0 4px;
+        border-radius: 8px;
+        background: var(--_primary);
+        color: var(--_on-primary);
+        font-size: 10px;
+        line-height: 16px;
+        box-sizing: border-box;
+      }
+
+      .fm-side-button[data-count] {
+        position: relative;
+      }
+
+      /* Photo attachments (the audio upload drop zone shares these styles) */
+      .fm-photo-drop,
+      .fm-upload-drop {
+        border: 2px dashed var(--_input-border);
+        border-radius: 8px;
+        padding: 16px;
+        text-align: center;
+        color: var(--_text-muted);
+        font-size: 13px;
+        margin-bottom: 12px;
+        transition: border-color 0.2s, background 0.2s;
+      }
+
+      .fm-photo-drop.dragover,
+      .fm-upload-drop.dragover {
+        border-color: var(--_primary);
+        background: var(--_highlight);
+      }
+
+      .fm-photo-drop .fm-button,
+      .fm-upload-drop .fm-button {
+        display: inline-block;
+        margin: 8px 4px 0;
+      }
+
+      .fm-photo-intro,
+      .fm-upload-intro {
+        color: var(--_text-muted);
+        font-size: 14px;
+        margin: 0 0 12px;
+      }
+
+      .fm-photo-status,
+      .fm-upload-status {
+        font-size: 12px;
+        color: var(--_text-muted);
+        margin-top: 8px;
+        min-height: 1em;
+      }
+
+      .fm-photo-list {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+        gap: 12px;
+        margin-bottom: 16px;
+      }
+
+      .fm-photo-item {
+        position: relative;
+      }
+
+      .fm-photo-thumb {
+        width: 100%;
+        height: 96px;
+        object-fit: cover;
+        border-radius: 6px;
+        display: block;
+      }
+
+      .fm-photo-caption {
+        width: 100%;
+        margin-top: 4px;
+        padding: 4px 6px;
+        border: 1px solid var(--_border);
+        border-radius: 4px;
+        font-size: 12px;
+        font-family: inherit;
+        background: var(--_background);
+        color: var(--_text);
+      }
+
+      .fm-photo-remove {
+        position: absolute;
+        top: 4px;
+        inset-inline-end: 4px;
+        width: 22px;
+        height: 22px;
+        border: none;
+        border-radius: 50%;
+        background: rgba(0, 0, 0, 0.6);
+        color: white;
+        font-size: 12px;
+        line-height: 22px;
+        cursor: pointer;
+      }
+
+      /* Microphone settings */
+      .fm-settings-field {
+        display: block;
+        margin-bottom: 8px;
+      }
+
+      .fm-settings-select {
+        display: block;
+        width: 100%;
+        margin-top: 4px;
+        padding: 8px 10px;
+        border: 2px solid var(--_border);
         border-radius: 8px;
-        font-size: 16px;
-        line-height: 1.6;
-        resize: vertical;
+        font-size: 14px;
+        font-family: inherit;
+        background: var(--_background);
+        color: var(--_text);
+      }
+
+      .fm-settings-permission {
+        background: none;
+        border: none;
+        padding: 0;
+        color: var(--_primary);
+        font-size: 13px;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
+      .fm-settings-toggle {
+        display: block;
+        margin: 12px 0;
+        font-size: 14px;
+        cursor: pointer;
+      }
+
+      .fm-settings-toggle input {
+        margin-inline-end: 8px;
+      }
+
+      .fm-settings-hint {
+        color: var(--_text-muted);
+        font-size: 13px;
+        margin: 16px 0 0;
+      }
+
+      /* Memory library */
+      .fm-library-search {
+        width: 100%;
+        padding: 10px 12px;
+        border: 2px solid var(--_border);
+        border-radius: 8px;
+        font-size: 14px;
         font-family: inherit;
         margin-bottom: 16px;
+        background: var(--_background);
+        color: var(--_text);
+      }
+
+      .fm-library-search:focus {
+        outline: none;
+        border-color: var(--_primary);
+      }
+
+      .fm-library-list {
+        margin-bottom: 16px;
+      }
+
+      .fm-library-item {
+        display: flex;
+        gap: 12px;
+        align-items: flex-start;
+        justify-content: space-between;
+        padding: 12px;
+        border-bottom: 1px solid var(--_border);
+      }
+
+      .fm-library-item:last-child {
+        border-bottom: none;
+      }
+
+      .fm-library-meta {
+        color: var(--_text-muted);
+        font-size: 12px;
+        margin-bottom: 4px;
+      }
+
+      .fm-library-snippet {
+        margin: 0;
+        color: var(--_text);
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      .fm-library-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        flex-shrink: 0;
+      }
+
+      .fm-library-actions .fm-button {
+        padding: 6px 10px;
+        font-size: 12px;
+      }
+
+      .fm-library-empty {
+        color: var(--_text-muted);
+        text-align: center;
+        padding: 24px 0;
+        font-size: 14px;
+      }
+
+      /* Error message */
+      .fm-error {
+        background: var(--_error-background);
+        color: var(--_error-text);
+        padding: 12px 16px;
+        border-radius: 8px;
+        margin-bottom: 16px;
+        font-size: 14px;
+      }
+
+      /* Accessibility: screen-reader-only text, focus rings, reduced motion */
+      .fm-visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        padding: 0;
+        margin: -1px;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+      }
+
+      button:focus-visible,
+      summary:focus-visible,
+      a:focus-visible,
+      select:focus-visible,
+      input[type="checkbox"]:focus-visible,
+      label.fm-button:focus-within {
+        outline: 3px solid var(--_primary);
+        outline-offset: 2px;
+      }
+
+      [tabindex="-1"]:focus {
+        outline: none;
+      }
+
+      .fm-mic-button .fm-stop-icon,
+      .fm-mic-button.recording .fm-mic-icon {
+        display: none;
+      }
+
+      .fm-mic-button.recording .fm-stop-icon {
+        display: inline;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        *, *::before, *::after {
+          animation-duration: 0.01ms !important;
+          animation-iteration-count: 1 !important;
+          transition-duration: 0.01ms !important;
+          scroll-behavior: auto !important;
+        }
+
+        .fm-mic-button:hover:not(:disabled),
+        .fm-side-button:hover:not(:disabled) {
+          transform: none;
+        }
+
+        /* A steady ring instead of the pulse */
+        .fm-mic-button.recording {
+          box-shadow: 0 0 0 4px var(--_background), 0 0 0 7px var(--_recording);
+        }
+      }
+    `;
+  }
+
+  /**
+   * Give a shadow root the widget's styles
+   * Uses a shared constructable stylesheet (not subject to a CSP's style-src);
+   * older browsers get a <style> element carrying the CSP nonce.
+   */
+  function adoptStyles(root, nonce) {
+    if ('adoptedStyleSheets' in root && typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype) {
+      try {
+        if (!widgetStyleSheet) {
+          widgetStyleSheet = new CSSStyleSheet();
+          widgetStyleSheet.replaceSync(getWidgetCSS());
+        }
+        root.adoptedStyleSheets = [widgetStyleSheet];
+        return;
+      } catch (e) {
+        console.warn('Constructable stylesheets unavailable, using a <style> element:', e);
+      }
+    }
+
+    const style = document.createElement('style');
+    if (nonce) {
+      style.setAttribute('nonce', nonce);
+    }
+    style.textContent = getWidgetCSS();
+    root.appendChild(style);
+  }
+
+  /**
+   * A built-in theme name, falling back to 'light'
+   */
+  function getThemeName(theme) {
+    if (theme === 'auto' || Object.prototype.hasOwnProperty.call(THEMES, theme)) return theme;
+    console.warn(`Unknown theme "${theme}", using "light"`);
+    return 'light';
+  }
+
+  /**
+   * Create an element with an open shadow root holding the widget's styles
+   * The page's CSS can't reach inside; only the --fm-* theme variables do.
+   * Returns: { host, root }
+   */
+  function createShadowHost(tagName, config) {
+    const host = document.createElement(tagName);
+    host.dataset.theme = config.THEME;
+    host.lang = config.LOCALE;
+    host.dir = getTextDirection(config.LOCALE);
+
+    const root = host.attachShadow({ mode: 'open' });
+    adoptStyles(root, config.STYLE_NONCE || SCRIPT_NONCE);
+
+    return { host, root };
+  }
+
+  /**
+   * Switch an instance to another built-in theme
+   */
+  function setTheme(instance, theme) {
+    instance.config.THEME = getThemeName(theme);
+    instance.hosts.widget.dataset.theme = instance.config.THEME;
+    instance.hosts.modal.dataset.theme = instance.config.THEME;
+  }
+
+  /**
+   * The modal lives in its own host under <body>, so theme variables set on the
+   * widget's container don't reach it: copy them over before it opens
+   */
+  function syncModalTheme(instance) {
+    const computed = window.getComputedStyle(instance.container);
+    const modalHost = instance.hosts.modal;
+
+    Object.keys(THEME_DEFAULTS).forEach(name => {
+      const value = computed.getPropertyValue(`--fm-${name}`).trim();
+      if (value) {
+        modalHost.style.setProperty(`--fm-${name}`, value);
+      } else {
+        modalHost.style.removeProperty(`--fm-${name}`);
+      }
+    });
+  }
+
+  // ============================================================================
+  // UI CREATION
+  // ============================================================================
+
+
+  /**
+   * Create the main widget HTML structure
+   */
+  function createWidgetHTML(instance) {
+    const container = document.createElement('div');
+    container.className = 'fm-widget-container';
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', t(instance, 'widget.label'));
+    render(container, html`
+      <div class="fm-prompt-card" data-fm="prompt-card" role="region" aria-label="${t(instance, 'prompt.region')}">
+        <div class="fm-prompt-progress" data-fm="prompt-progress"></div>
+        <div class="fm-prompt-text" data-fm="prompt-text" aria-live="polite"></div>
+        <div class="fm-prompt-actions">
+          <button class="fm-prompt-action" data-fm="prompt-shuffle" title="${t(instance, 'prompt.shuffleTitle')}">${t(instance, 'prompt.shuffle')}</button>
+          <button class="fm-prompt-action" data-fm="prompt-next">${t(instance, 'prompt.skip')}</button>
+        </div>
+      </div>
+      <button class="fm-mic-button" data-fm="mic-button" title="${t(instance, 'mic.start')}" aria-label="${t(instance, 'mic.start')}">
+        <svg class="fm-mic-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false">
+          <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
+          <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
+        </svg>
+        <svg class="fm-stop-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false">
+          <rect x="6" y="6" width="12" height="12" rx="2"/>
+        </svg>
+      </button>
+      <button class="fm-side-button fm-pause-button" data-fm="pause-button" title="${t(instance, 'pause.pause')}" aria-label="${t(instance, 'pause.pause')}">⏸</button>
+      <button class="fm-side-button" data-fm="library-button" title="${t(instance, 'library.button')}" aria-label="${t(instance, 'library.button')}">📚</button>
+      <button class="fm-side-button" data-fm="photo-side-button" title="${t(instance, 'photos.button')}" aria-label="${t(instance, 'photos.button')}">📷</button>
+      <button class="fm-side-button" data-fm="upload-button" title="${t(instance, 'upload.button')}" aria-label="${t(instance, 'upload.button')}">📂</button>
+      <button class="fm-side-button" data-fm="settings-button" title="${t(instance, 'settings.button')}" aria-label="${t(instance, 'settings.button')}">⚙️</button>
+      <div class="fm-quota-label" data-fm="quota-label" aria-live="polite"></div>
+      <div class="fm-queue-status" data-fm="queue-status" role="status">
+        <span data-fm="queue-text"></span>
+        <button class="fm-queue-retry" data-fm="queue-retry">${t(instance, 'queue.retry')}</button>
+        <button class="fm-queue-retry" data-fm="queue-discard">${t(instance, 'queue.discard')}</button>
+      </div>
+      <div class="fm-progress-container" data-fm="progress-container">
+        <div class="fm-progress-bar" data-fm="progress-bar" role="progressbar" aria-label="${t(instance, 'progress.label')}" aria-valuemin="0">
+          <div class="fm-progress-fill" data-fm="progress-fill"></div>
+          <div class="fm-time-remaining" data-fm="time-remaining"></div>
+        </div>
+        <div class="fm-level-meter" data-fm="level-meter" title="${t(instance, 'progress.level')}" aria-hidden="true">
+          <div class="fm-level-fill" data-fm="level-fill"></div>
+        </div>
+        <div class="fm-silence-warning" data-fm="silence-warning">${t(instance, 'recording.silenceWarning')}</div>
+        <div class="fm-chunk-status" data-fm="chunk-status"></div>
+        <div class="fm-live-transcript" data-fm="live-transcript"></div>
+      </div>
+      <div class="fm-visually-hidden" data-fm="announcer" role="status" aria-live="polite" aria-atomic="true"></div>
+    `);
+
+    return container;
+  }
+
+  /**
+   * Create the modal for displaying transcript
+   */
+  function createModalHTML(instance) {
+    const modal = document.createElement('div');
+    modal.className = 'fm-modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    render(modal, html`
+      <div class="fm-modal" data-fm="modal" tabindex="-1">
+        <!-- Content will be dynamically inserted here -->
+      </div>
+      <div class="fm-visually-hidden" data-fm="modal-announcer" role="status" aria-live="polite" aria-atomic="true"></div>
+    `);
+
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeModal(instance);
+      }
+    });
+
+    // Keep keyboard focus inside; Escape closes
+    modal.addEventListener('keydown', (e) => handleModalKeydown(instance, e));
+
+    return modal;
+  }
+
+  // ============================================================================
+  // RECORDING FUNCTIONALITY
+  // ============================================================================
+
+  /**
+   * Start audio recording
+   * Ignored while already recording or while a start is waiting on the rate
+   * limit check or the microphone permission prompt.
+   */
+  async function startRecording(instance) {
+    const { state } = instance;
+    if (state.isRecording || state.isStarting) return;
+
+    state.isStarting = true;
+    try {
+      await beginRecording(instance);
+    } finally {
+      state.isStarting = false;
+    }
+  }
+
+  /**
+   * Check the rate limit, open the microphone and start the recorder
+   */
+  async function beginRecording(instance) {
+    // Check rate limit first
+    const { canRecord, retryAt } = await checkRateLimit(instance);
+
+    // Widget was removed while the quota was checked
+    if (instance.state.isDestroyed) return;
+
+    if (!canRecord) {
+      const message = retryAt
+        ? t(instance, 'limit.messageWait', { wait: formatWait(instance, retryAt - Date.now()) })
+        : t(instance, 'limit.message');
+      showUpgradeModal(instance, t(instance, 'limit.title'), message);
+      return;
+    }
+
+    let stream = null;
+
+    try {
+      // Request microphone access (chosen device and processing from ⚙️ settings)
+      stream = await openMicrophone(instance);
+
+      // Widget was removed while the permission prompt was open: release the mic
+      if (instance.state.isDestroyed) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+
+      instance.state.stream = stream;
+
+      // Unplugging the mic ends its track: keep what was recorded so far
+      stream.getAudioTracks().forEach(track => {
+        track.addEventListener('ended', () => handleMicrophoneLost(instance));
+      });
+
+      // Create the recorder in the best format this browser supports
+      const recorder = createRecorder(stream);
+      instance.state.mediaRecorder = recorder;
+      instance.state.audioChunks = [];
+
+      // Collect audio data
+      instance.state.mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          instance.state.audioChunks.push(event.data);
+          sendStreamData(instance, event.data);
+        }
+      };
+
+      // Handle recording completion
+      instance.state.mediaRecorder.onstop = () => {
+        // Stop all tracks to release microphone
+        stream.getTracks().forEach(track => track.stop());
+        instance.state.stream = null;
+
+        // Widget was removed mid-recording: just release the mic
+        if (instance.state.isDestroyed) return;
+
+        // Create blob from chunks (the recorder reports the container it actually wrote)
+        const audioBlob = new Blob(instance.state.audioChunks, { type: recorder.mimeType || 'audio/webm' });
+        
+        // Store the audio blob for later download
+        instance.state.audioBlob = audioBlob;
+        instance.state.wavBlob = null;
+        instance.state.currentMemoryId = null;
+        instance.state.sourceFileName = null;
+        instance.state.recordedAt = Date.now();
+        instance.state.metadata = getDefaultMetadata(instance.config);
+        instance.state.prompt = takeCurrentPrompt(instance);
+
+        // Photos added before recording belong to this memory
+        instance.state.photos = instance.state.pendingPhotos;
+        instance.state.pendingPhotos = [];
+        updatePhotoBadge(instance);
+
+        emit(instance, 'recordingstop', {
+          audioBlob,
+          duration: instance.state.recordingDuration,
+          reason: instance.state.stopReason
+        });
+
+        // Long-form recordings were transcribed chunk by chunk; otherwise send
+        // the whole recording (usage is only counted once it succeeds)
+        if (instance.state.longForm) {
+          finishLongForm(instance);
+        } else if (instance.state.liveStream) {
+          finishStreaming(instance, audioBlob);
+        } else {
+          sendToAPI(instance, audioBlob);
+        }
+      };
+
+      // Live streaming needs the audio in small slices while recording
+      const isStreaming = Boolean(instance.config.STREAM_URL) && !isLongForm(instance);
+      if (isStreaming) {
+        startStreaming(instance);
+      }
+
+      // Start recording
+      instance.state.mediaRecorder.start(isStreaming ? instance.config.STREAM_TIMESLICE : undefined);
+      instance.state.isRecording = true;
+      instance.state.isPaused = false;
+      instance.state.startTime = Date.now();
+      instance.state.segmentStartTime = instance.state.startTime;
+      instance.state.activeTime = 0;
+      instance.state.recordingDuration = 0;
+      instance.state.stopReason = null;
+
+      // Update UI
+      instance.state.lastAnnouncedRemaining = null;
+      updateRecordingUI(instance, true);
+      announce(instance, t(instance, 'a11y.recordingStarted', { time: formatSpokenTime(instance, getTimeLimit(instance)) }));
+
+      emit(instance, 'recordingstart', {});
+
+      // Start timer
+      startTimer(instance);
+
+      // Show the mic level and watch for silence
+      startLevelMeter(instance, stream);
+
+      // Long-form (Pro): transcribe chunks while recording continues
+      if (isLongForm(instance)) {
+        startChunking(instance, stream);
+      }
+
+    } catch (error) {
+      console.error('Error starting recording:', error);
+
+      // The recorder couldn't be created or started: release the mic so the
+      // browser's recording indicator goes off
+      const recorder = instance.state.mediaRecorder;
+      if (recorder) {
+        recorder.ondataavailable = null;
+        recorder.onstop = null;
+        if (recorder.state !== 'inactive') {
+          try {
+            recorder.stop();
+          } catch (e) {
+            // Already stopped
+          }
+        }
+      }
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+      instance.state.stream = null;
+      instance.state.mediaRecorder = null;
+
+      if (instance.state.isRecording) {
+        instance.state.isRecording = false;
+        clearInterval(instance.state.timerInterval);
+        instance.state.timerInterval = null;
+        stopLevelMeter(instance);
+        updateRecordingUI(instance, false);
+      }
+      discardLiveStream(instance);
+
+      showError(instance, t(instance, 'error.microphone'));
+    }
+  }
+
+  /**
+   * Create a recorder for the microphone stream
+   * Uses MediaRecorder with the negotiated format, or the PCM recorder when
+   * MediaRecorder is missing or refuses every format.
+   */
+  function createRecorder(stream) {
+    const mimeType = negotiateRecordingFormat();
+
+    if (mimeType !== null) {
+      try {
+        return new MediaRecorder(stream, mimeType ? { mimeType } : {});
+      } catch (error) {
+        console.warn('MediaRecorder could not be created, recording WAV instead:', error);
+      }
+    }
+
+    return createPCMRecorder(stream);
+  }
+
+  /**
+   * Web Audio fallback for browsers without MediaRecorder
+   * Captures mono samples with a ScriptProcessorNode and encodes them as a
+   * WAV file on stop. Implements the part of the MediaRecorder interface the
+   * widget uses: start/stop/pause/resume, state, mimeType, ondataavailable, onstop.
+   */
+  function createPCMRecorder(stream) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      throw new Error('This browser cannot record audio');
+    }
+
+    const audioContext = new AudioContextClass();
+    const source = audioContext.createMediaStreamSource(stream);
+    const processor = audioContext.createScriptProcessor(4096, 1, 1);
+    const mute = audioContext.createGain();
+    const chunks = [];
+    let length = 0;
+
+    const recorder = {
+      state: 'inactive',
+      mimeType: 'audio/wav',
+      ondataavailable: null,
+      onstop: null,
+
+      start() {
+        // The processor only runs while connected to the output, so route it through a muted gain
+        mute.gain.value = 0;
+        source.connect(processor);
+        processor.connect(mute);
+        mute.connect(audioContext.destination);
+
+        if (audioContext.state === 'suspended') {
+          audioContext.resume().catch(() => {});
+        }
+        recorder.state = 'recording';
+      },
+
+      pause() {
+        if (recorder.state === 'recording') recorder.state = 'paused';
+      },
+
+      resume() {
+        if (recorder.state === 'paused') recorder.state = 'recording';
+      },
+
+      stop() {
+        if (recorder.state === 'inactive') return;
+        recorder.state = 'inactive';
+
+        source.disconnect();
+        processor.disconnect();
+        mute.disconnect();
+
+        const samples = new Float32Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+          samples.set(chunk, offset);
+          offset += chunk.length;
+        });
+
+        const blob = encodeWAV({
+          numberOfChannels: 1,
+          sampleRate: audioContext.sampleRate,
+          length,
+          getChannelData: () => samples
+        });
+        audioContext.close().catch(() => {});
+
+        if (recorder.ondataavailable) recorder.ondataavailable({ data: blob });
+        if (recorder.onstop) recorder.onstop();
+      }
+    };
+
+    processor.onaudioprocess = (event) => {
+      if (recorder.state !== 'recording') return;
+      const input = event.inputBuffer.getChannelData(0);
+      chunks.push(new Float32Array(input));
+      length += input.length;
+    };
+
+    return recorder;
+  }
+
+  /**
+   * Stop audio recording
+   */
+  function stopRecording(instance, reason = 'user') {
+    if (instance.state.mediaRecorder && instance.state.isRecording) {
+      instance.state.stopReason = reason;
+
+      // Bank the final stretch of active time before stopping
+      if (!instance.state.isPaused) {
+        instance.state.activeTime += Date.now() - instance.state.segmentStartTime;
+      }
+      instance.state.recordingDuration = Math.round(instance.state.activeTime / 1000);
+
+      // Cut the last long-form chunk before the recorder finishes
+      stopChunking(instance);
+
+      instance.state.mediaRecorder.stop();
+      instance.state.isRecording = false;
+      instance.state.isPaused = false;
+
+      // Stop timer
+      if (instance.state.timerInterval) {
+        clearInterval(instance.state.timerInterval);
+        instance.state.timerInterval = null;
+      }
+
+      stopLevelMeter(instance);
+
+      // Update UI
+      updateRecordingUI(instance, false);
+      announce(instance, t(instance, `a11y.stopped.${STOP_REASONS.includes(reason) ? reason : 'user'}`));
+    }
+  }
+
+  /**
+   * Pause an in-progress recording
+   * The progress bar freezes and paused time does not count against the limit.
+   */
+  function pauseRecording(instance) {
+    const recorder = instance.state.mediaRecorder;
+    if (!recorder || !instance.state.isRecording || instance.state.isPaused) return;
+    if (recorder.state !== 'recording') return;
+
+    recorder.pause();
+    instance.state.activeTime += Date.now() - instance.state.segmentStartTime;
+    instance.state.isPaused = true;
+
+    updatePauseUI(instance, true);
+    announce(instance, t(instance, 'a11y.paused'));
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  function resumeRecording(instance) {
+    const recorder = instance.state.mediaRecorder;
+    if (!recorder || !instance.state.isRecording || !instance.state.isPaused) return;
+    if (recorder.state !== 'paused') return;
+
+    recorder.resume();
+    instance.state.segmentStartTime = Date.now();
+    instance.state.isPaused = false;
+
+    updatePauseUI(instance, false);
+    announce(instance, t(instance, 'a11y.resumed'));
+  }
+
+  /**
+   * Toggle between paused and recording
+   */
+  function togglePause(instance) {
+    if (instance.state.isPaused) {
+      resumeRecording(instance);
+    } else {
+      pauseRecording(instance);
+    }
+  }
+
+  /**
+   * Check whether the browser's MediaRecorder supports pause/resume
+   * (the PCM recorder used without MediaRecorder always does)
+   */
+  function isPauseSupported() {
+    if (typeof MediaRecorder === 'undefined') return true;
+
+    return typeof MediaRecorder.prototype.pause === 'function' &&
+      typeof MediaRecorder.prototype.resume === 'function';
+  }
+
+  /**
+   * Get active recording time in milliseconds (excluding pauses)
+   */
+  function getActiveRecordingTime(instance) {
+    if (instance.state.isPaused) {
+      return instance.state.activeTime;
+    }
+    return instance.state.activeTime + (Date.now() - instance.state.segmentStartTime);
+  }
+
+  /**
+   * Start the recording timer and progress bar
+   * Counts only active recording time, so pauses don't use up the limit.
+   */
+  function startTimer(instance) {
+    const maxTime = getTimeLimit(instance);
+
+    instance.state.timerInterval = setInterval(() => {
+      // Progress bar stays frozen while paused
+      if (instance.state.isPaused) return;
+
+      const elapsed = getActiveRecordingTime(instance) / 1000;
+      instance.state.recordingDuration = Math.min(Math.floor(elapsed), maxTime);
+
+      // Update progress bar
+      updateProgressBar(instance, instance.state.recordingDuration, maxTime);
+
+      // Auto-stop when time limit reached
+      if (elapsed >= maxTime) {
+        stopRecording(instance, 'limit');
+      }
+    }, 250);
+  }
+
+  /**
+   * Start the microphone level meter and silence detection
+   * An AnalyserNode samples the stream every 100ms. The meter shows the
+   * level in dB (-60 to 0), the silence warning appears if nothing has been
+   * heard after SILENCE_WARNING_SECONDS, and the recording stops after
+   * SILENCE_AUTO_STOP_SECONDS of silence once the speaker has started.
+   */
+  function startLevelMeter(instance, stream) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    instance.state.heardSound = false;
+    instance.state.lastSoundTime = 0;
+
+    try {
+      const audioContext = new AudioContextClass();
+      const source = audioContext.createMediaStreamSource(stream);
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = 1024;
+      source.connect(analyser);
+
+      // Some browsers start the context suspended after the permission prompt
+      if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+      }
+
+      instance.state.levelMeter = {
+        audioContext,
+        source,
+        analyser,
+        samples: new Uint8Array(analyser.fftSize),
+        interval: setInterval(() => updateLevelMeter(instance), 100)
+      };
+
+      const meter = getElement(instance, 'level-meter');
+      if (meter) meter.classList.add('active');
+    } catch (error) {
+      // The meter is a nicety: recording works without it
+      console.warn('Could not start level meter:', error);
+    }
+  }
+
+  /**
+   * Measure the current level (RMS, 0-1) from the analyser
+   */
+  function measureLevel(levelMeter) {
+    const { analyser, samples } = levelMeter;
+    analyser.getByteTimeDomainData(samples);
+
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const value = (samples[i] - 128) / 128;
+      sum += value * value;
+    }
+    return Math.sqrt(sum / samples.length);
+  }
+
+  /**
+   * Sample the mic, update the meter and apply the silence rules
+   */
+  function updateLevelMeter(instance) {
+    const { state, config } = instance;
+    if (!state.levelMeter || !state.isRecording) return;
+
+    const level = measureLevel(state.levelMeter);
+
+    // -60dB..0dB → 0..100%
+    const decibels = level > 0 ? 20 * Math.log10(level) : -Infinity;
+    const percent = Math.max(0, Math.min(100, ((decibels + 60) / 60) * 100));
+    const fill = getElement(instance, 'level-fill');
+    if (fill) fill.style.width = `${state.isPaused ? 0 : percent}%`;
+
+    // Paused time doesn't count as silence
+    if (state.isPaused) return;
+
+    const activeTime = getActiveRecordingTime(instance);
+
+    if (level >= config.SILENCE_THRESHOLD) {
+      state.heardSound = true;
+      state.lastSoundTime = activeTime;
+      showSilenceWarning(instance, false);
+      return;
+    }
+
+    if (!state.heardSound && config.SILENCE_WARNING_SECONDS > 0 &&
+        activeTime >= config.SILENCE_WARNING_SECONDS * 1000) {
+      showSilenceWarning(instance, true);
+    }
+
+    if (state.heardSound && config.SILENCE_AUTO_STOP_SECONDS > 0 &&
+        activeTime - state.lastSoundTime >= config.SILENCE_AUTO_STOP_SECONDS * 1000) {
+      stopRecording(instance, 'silence');
+    }
+  }
+
+  /**
+   * Show or hide the "we can't hear you" warning
+   */
+  function showSilenceWarning(instance, show) {
+    const warning = getElement(instance, 'silence-warning');
+    if (!warning) return;
+
+    if (show && !warning.classList.contains('active')) {
+      announce(instance, warning.textContent.trim(), true);
+    }
+    warning.classList.toggle('active', show);
+  }
+
+  /**
+   * Stop the level meter and release its audio context
+   */
+  function stopLevelMeter(instance) {
+    const levelMeter = instance.state.levelMeter;
+    instance.state.levelMeter = null;
+
+    const meter = getElement(instance, 'level-meter');
+    if (meter) meter.classList.remove('active');
+    const fill = getElement(instance, 'level-fill');
+    if (fill) fill.style.width = '0%';
+    showSilenceWarning(instance, false);
+
+    if (!levelMeter) return;
+
+    clearInterval(levelMeter.interval);
+    levelMeter.source.disconnect();
+    levelMeter.audioContext.close().catch(() => {});
+  }
+
+  /**
+   * Update progress bar display
+   */
+  function updateProgressBar(instance, current, max) {
+    const progressBar = getElement(instance, 'progress-bar');
+    const progressFill = getElement(instance, 'progress-fill');
+    const timeRemaining = getElement(instance, 'time-remaining');
+
+    if (progressBar && progressFill && timeRemaining) {
+      const remaining = max - current;
+      const percentage = (remaining / max) * 100;
+      
+      progressFill.style.width = `${percentage}%`;
+      timeRemaining.textContent = t(instance, 'progress.left', { time: formatTime(remaining) });
+
+      progressBar.setAttribute('aria-valuemax', max);
+      progressBar.setAttribute('aria-valuenow', remaining);
+      progressBar.setAttribute('aria-valuetext', t(instance, 'progress.left', { time: formatSpokenTime(instance, remaining) }));
+      announceTimeRemaining(instance, remaining, max);
+    }
+  }
+
+  /**
+   * Update UI to reflect recording state
+   */
+  function updateRecordingUI(instance, isRecording) {
+    const button = getElement(instance, 'mic-button');
+    const progressContainer = getElement(instance, 'progress-container');
+
+    if (button) {
+      const label = t(instance, isRecording ? 'mic.stop' : 'mic.start');
+      button.classList.toggle('recording', isRecording);
+      button.title = label;
+      button.setAttribute('aria-label', label);
+    }
+
+    if (progressContainer) {
+      if (isRecording) {
+        progressContainer.classList.add('active');
+      } else {
+        progressContainer.classList.remove('active');
+      }
+    }
+
+    const pauseButton = getElement(instance, 'pause-button');
+    if (pauseButton) {
+      pauseButton.classList.toggle('active', isRecording && isPauseSupported());
+    }
+
+    updatePauseUI(instance, false);
+    renderPromptCard(instance);
+  }
+
+  /**
+   * Update UI to reflect paused state
+   */
+  function updatePauseUI(instance, isPaused) {
+    const pauseButton = getElement(instance, 'pause-button');
+    const progressContainer = getElement(instance, 'progress-container');
+    const micButton = getElement(instance, 'mic-button');
+
+    if (pauseButton) {
+      const label = t(instance, isPaused ? 'pause.resume' : 'pause.pause');
+      pauseButton.textContent = isPaused ? '▶' : '⏸';
+      pauseButton.title = label;
+      pauseButton.setAttribute('aria-label', label);
+    }
+
+    if (progressContainer) {
+      progressContainer.classList.toggle('paused', isPaused);
+    }
+
+    if (micButton) {
+      micButton.classList.toggle('paused', isPaused);
+    }
+
+    if (isPaused) {
+      const timeRemaining = getElement(instance, 'time-remaining');
+      if (timeRemaining) {
+        const remaining = getTimeLimit(instance) - instance.state.recordingDuration;
+        timeRemaining.textContent = t(instance, 'progress.paused', { time: formatTime(remaining) });
+      }
+    } else if (instance.state.isRecording) {
+      const maxTime = getTimeLimit(instance);
+      updateProgressBar(instance, instance.state.recordingDuration, maxTime);
+    }
+  }
+
+  // ============================================================================
+  // MICROPHONE SETTINGS
+  // ============================================================================
+
+  const AUDIO_SETTINGS_KEY = 'familyMemory_audioSettings';
+  let deviceChangeListenerAttached = false;
+
+  /**
+   * Load the user's microphone settings (shared by all widgets on the site)
+   * Unsaved options fall back to the instance's CONFIG defaults.
+   * Returns: { deviceId, echoCancellation, noiseSuppression, autoGainControl }
+   */
+  function getAudioSettings(instance) {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY)) || {};
+    } catch (e) {
+      console.warn('Could not read microphone settings:', e);
+    }
+
+    return {
+      deviceId: saved.deviceId || '',
+      echoCancellation: saved.echoCancellation ?? instance.config.ECHO_CANCELLATION,
+      noiseSuppression: saved.noiseSuppression ?? instance.config.NOISE_SUPPRESSION,
+      autoGainControl: saved.autoGainControl ?? instance.config.AUTO_GAIN_CONTROL
+    };
+  }
+
+  /**
+   * Remember microphone settings in localStorage
+   */
+  function saveAudioSettings(settings) {
+    try {
+      localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+      console.warn('Could not save microphone settings:', e);
+    }
+  }
+
+  /**
+   * Build getUserMedia audio constraints from the settings
+   */
+  function buildAudioConstraints(settings) {
+    const audio = {
+      echoCancellation: settings.echoCancellation,
+      noiseSuppression: settings.noiseSuppression,
+      autoGainControl: settings.autoGainControl,
+      sampleRate: 44100
+    };
+
+    if (settings.deviceId) {
+      audio.deviceId = { exact: settings.deviceId };
+    }
+
+    return audio;
+  }
+
+  /**
+   * Open the microphone with the user's settings
+   * If the saved device isn't connected, falls back to the system default
+   * (the choice is kept for when it's plugged back in).
+   * Returns: Promise<MediaStream>
+   */
+  async function openMicrophone(instance) {
+    const settings = getAudioSettings(instance);
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(settings) });
+    } catch (error) {
+      const deviceMissing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+      if (!settings.deviceId || !deviceMissing) throw error;
+
+      console.warn('Saved microphone not available, using the default:', error);
+      return navigator.mediaDevices.getUserMedia({
+        audio: buildAudioConstraints({ ...settings, deviceId: '' })
+      });
+    }
+  }
+
+  /**
+   * List audio inputs
+   * Browsers hide device names until microphone permission has been granted.
+   * Returns: Promise<[{ deviceId, label }]>
+   */
+  async function listMicrophones() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label,
+        number: index + 1
+      }));
+  }
+
+  /**
+   * The microphone in use was unplugged: stop and keep the recording so far
+   */
+  function handleMicrophoneLost(instance) {
+    if (!instance.state.isRecording) return;
+
+    console.warn('Microphone disconnected during recording');
+    stopRecording(instance, 'device');
+  }
+
+  /**
+   * React to microphones being plugged in or out (attached once for all widgets)
+   * Some browsers don't fire `ended` on the track, so check each recording's
+   * track here too, and refresh an open settings panel.
+   */
+  function watchDeviceChanges() {
+    if (deviceChangeListenerAttached || !navigator.mediaDevices || !navigator.mediaDevices.addEventListener) return;
+    deviceChangeListenerAttached = true;
+
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+      instances.forEach(instance => {
+        const stream = instance.state.stream;
+        if (stream && stream.getAudioTracks().some(track => track.readyState === 'ended')) {
+          handleMicrophoneLost(instance);
+        }
+
+        if (getElement(instance, 'device-select')) {
+          renderDeviceOptions(instance);
+        }
+      });
+    });
+  }
+
+  /**
+   * Fill the settings panel's microphone list
+   */
+  async function renderDeviceOptions(instance) {
+    const select = getElement(instance, 'device-select');
+    const permissionButton = getElement(instance, 'device-permission');
+    if (!select) return;
+
+    const settings = getAudioSettings(instance);
+    let microphones = [];
+    try {
+      microphones = await listMicrophones();
+    } catch (error) {
+      console.warn('Could not list microphones:', error);
+    }
+
+    select.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = t(instance, 'settings.systemDefault');
+    select.appendChild(defaultOption);
+
+    microphones.forEach(microphone => {
+      const option = document.createElement('option');
+      option.value = microphone.deviceId;
+      option.textContent = microphone.label || t(instance, 'settings.unnamedMicrophone', { number: microphone.number });
+      select.appendChild(option);
+    });
+
+    // Keep a saved device selected even while it's unplugged
+    if (settings.deviceId && !microphones.some(mic => mic.deviceId === settings.deviceId)) {
+      const option = document.createElement('option');
+      option.value = settings.deviceId;
+      option.textContent = t(instance, 'settings.savedMicrophone');
+      select.appendChild(option);
+    }
+    select.value = settings.deviceId;
+
+    // Without permission there are no names (and sometimes no ids) to pick from
+    const needsPermission = microphones.length === 0 || microphones.every(mic => !mic.label);
+    if (permissionButton) {
+      permissionButton.hidden = !needsPermission;
+    }
+  }
+
+  /**
+   * Show the microphone settings panel
+   */
+  function showSettingsModal(instance) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    const settings = getAudioSettings(instance);
+    const checked = (value) => (value ? 'checked' : '');
+
+    render(modal, html`
+      <h2>${t(instance, 'settings.title')}</h2>
+
+      <label class="fm-settings-field">
+        <span class="fm-metadata-label">${t(instance, 'settings.microphone')}</span>
+        <select class="fm-settings-select" data-fm="device-select"></select>
+      </label>
+      <button class="fm-settings-permission" data-fm="device-permission" hidden>${t(instance, 'settings.permission')}</button>
+
+      <label class="fm-settings-toggle">
+        <input type="checkbox" data-fm="echo-toggle" ${checked(settings.echoCancellation)}>
+        ${t(instance, 'settings.echoCancellation')}
+      </label>
+      <label class="fm-settings-toggle">
+        <input type="checkbox" data-fm="noise-toggle" ${checked(settings.noiseSuppression)}>
+        ${t(instance, 'settings.noiseSuppression')}
+      </label>
+      <label class="fm-settings-toggle">
+        <input type="checkbox" data-fm="gain-toggle" ${checked(settings.autoGainControl)}>
+        ${t(instance, 'settings.autoGain')}
+      </label>
+
+      <p class="fm-settings-hint">
+        ${t(instance, 'settings.hint')}
+        ${instance.state.isRecording ? html`<strong>${t(instance, 'settings.nextRecording')}</strong>` : ''}
+      </p>
+
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.cancel')}</button>
+        <button class="fm-button fm-button-primary" data-fm="settings-save">${t(instance, 'button.save')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+
+    getElement(instance, 'device-permission').addEventListener('click', async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        stream.getTracks().forEach(track => track.stop());
+      } catch (error) {
+        console.warn('Microphone permission denied:', error);
+      }
+      renderDeviceOptions(instance);
+    });
+
+    getElement(instance, 'settings-save').addEventListener('click', () => {
+      saveAudioSettings({
+        deviceId: getElement(instance, 'device-select').value,
+        echoCancellation: getElement(instance, 'echo-toggle').checked,
+        noiseSuppression: getElement(instance, 'noise-toggle').checked,
+        autoGainControl: getElement(instance, 'gain-toggle').checked
+      });
+      closeModal(instance);
+    });
+
+    renderDeviceOptions(instance);
+    openModal(instance);
+  }
+
+  // ============================================================================
+  // INTERVIEW PROMPTS
+  // ============================================================================
+
+  const INTERVIEW_PROGRESS_KEY = 'familyMemory_interview';
+
+  /**
+   * Built-in question decks (PROMPT_DECK)
+   */
+  const PROMPT_DECKS = {
+    'life-story': {
+      title: 'Life Story',
+      prompts: [
+        'Where did you grow up?',
+        'What is your earliest memory?',
+        'Who were your best friends when you were young?',
+        'Tell me about your wedding day.',
+        'What was your first job?',
+        'Where have you lived, and which home did you love most?',
+        'What was the hardest time in your life, and how did you get through it?',
+        'What are you most proud of?',
+        'What do you want your grandchildren to know about you?',
+        'What advice would you give your younger self?'
+      ]
+    },
+    childhood: {
+      title: 'Childhood',
+      prompts: [
+        'Describe the house you grew up in.',
+        'What games did you play as a child?',
+        'What was school like for you?',
+        'Who was your favourite teacher, and why?',
+        'What did your family eat for dinner on an ordinary day?',
+        'What chores did you have?',
+        'Did you ever get into trouble? What happened?',
+        'What did you want to be when you grew up?'
+      ]
+    },
+    family: {
+      title: 'Family',
+      prompts: [
+        'What were your parents like?',
+        'What do you know about your grandparents?',
+        'Where did our family come from?',
+        'How did you meet your husband or wife?',
+        'Tell me about your wedding day.',
+        'What was it like when your first child was born?',
+        'What family stories were told again and again?',
+        'Which relatives do you wish I had met?'
+      ]
+    },
+    work: {
+      title: 'Work & Service',
+      prompts: [
+        'What was your first job, and how much were you paid?',
+        'How did you choose your work?',
+        'Who taught you the most at work?',
+        'What was a typical working day like?',
+        'Did you serve in the military? What do you remember most?',
+        'What was the proudest moment of your working life?',
+        'What changed the most during your working years?'
+      ]
+    },
+    traditions: {
+      title: 'Holidays & Traditions',
+      prompts: [
+        'How did your family celebrate the holidays?',
+        'What recipes have been handed down in our family?',
+        'What songs or stories did you learn as a child?',
+        'Tell me about a birthday you will never forget.',
+        'What traditions did you keep from the old country?',
+        'Which family tradition do you hope we keep?'
+      ]
+    }
+  };
+
+  /**
+   * Built-in decks in other languages (same questions in the same order, so
+   * saved interview progress carries over when the language changes)
+   */
+  const PROMPT_DECK_TRANSLATIONS = {
+    es: {
+      'life-story': {
+        title: 'Historia de vida',
+        prompts: [
+          '¿Dónde creciste?',
+          '¿Cuál es tu recuerdo más antiguo?',
+          '¿Quiénes eran tus mejores amigos de joven?',
+          'Háblame del día de tu boda.',
+          '¿Cuál fue tu primer trabajo?',
+          '¿Dónde has vivido y qué casa te gustó más?',
+          '¿Cuál fue la época más difícil de tu vida y cómo la superaste?',
+          '¿De qué estás más orgulloso?',
+          '¿Qué quieres que tus nietos sepan de ti?',
+          '¿Qué consejo le darías a tu yo más joven?'
+        ]
+      },
+      childhood: {
+        title: 'Infancia',
+        prompts: [
+          'Describe la casa en la que creciste.',
+          '¿A qué jugabas de niño?',
+          '¿Cómo era la escuela para ti?',
+          '¿Quién fue tu profesor favorito y por qué?',
+          '¿Qué comía tu familia un día cualquiera?',
+          '¿Qué tareas de casa tenías?',
+          '¿Alguna vez te metiste en un lío? ¿Qué pasó?',
+          '¿Qué querías ser de mayor?'
+        ]
+      },
+      family: {
+        title: 'Familia',
+        prompts: [
+          '¿Cómo eran tus padres?',
+          '¿Qué sabes de tus abuelos?',
+          '¿De dónde viene nuestra familia?',
+          '¿Cómo conociste a tu marido o a tu mujer?',
+          'Háblame del día de tu boda.',
+          '¿Cómo fue cuando nació tu primer hijo?',
+          '¿Qué historias familiares se contaban una y otra vez?',
+          '¿Qué familiares te habría gustado que conociera?'
+        ]
+      },
+      work: {
+        title: 'Trabajo y servicio',
+        prompts: [
+          '¿Cuál fue tu primer trabajo y cuánto te pagaban?',
+          '¿Cómo elegiste tu profesión?',
+          '¿Quién te enseñó más en el trabajo?',
+          '¿Cómo era un día normal de trabajo?',
+          '¿Hiciste el servicio militar? ¿Qué es lo que más recuerdas?',
+          '¿Cuál fue el momento más orgulloso de tu vida laboral?',
+          '¿Qué fue lo que más cambió durante tus años de trabajo?'
+        ]
+      },
+      traditions: {
+        title: 'Fiestas y tradiciones',
+        prompts: [
+          '¿Cómo celebraba tu familia las fiestas?',
+          '¿Qué recetas se han transmitido en nuestra familia?',
+          '¿Qué canciones o cuentos aprendiste de niño?',
+          'Háblame de un cumpleaños que nunca olvidarás.',
+          '¿Qué tradiciones conservaste de tu tierra de origen?',
+          '¿Qué tradición familiar esperas que mantengamos?'
+        ]
+      }
+    },
+    fr: {
+      'life-story': {
+        title: 'Histoire de vie',
+        prompts: [
+          'Où as-tu grandi ?',
+          'Quel est ton plus ancien souvenir ?',
+          'Qui étaient tes meilleurs amis quand tu étais jeune ?',
+          'Raconte-moi le jour de ton mariage.',
+          'Quel a été ton premier travail ?',
+          'Où as-tu vécu, et quelle maison as-tu préférée ?',
+          'Quelle a été la période la plus difficile de ta vie, et comment l’as-tu traversée ?',
+          'De quoi es-tu le plus fier ?',
+          'Que veux-tu que tes petits-enfants sachent de toi ?',
+          'Quel conseil donnerais-tu à la personne que tu étais plus jeune ?'
+        ]
+      },
+      childhood: {
+        title: 'Enfance',
+        prompts: [
+          'Décris la maison où tu as grandi.',
+          'À quels jeux jouais-tu enfant ?',
+          'Comment se passait l’école pour toi ?',
+          'Qui était ton professeur préféré, et pourquoi ?',
+          'Que mangeait ta famille au dîner un jour ordinaire ?',
+          'Quelles tâches ménagères avais-tu ?',
+          'As-tu déjà eu des ennuis ? Que s’est-il passé ?',
+          'Que voulais-tu faire quand tu serais grand ?'
+        ]
+      },
+      family: {
+        title: 'Famille',
+        prompts: [
+          'Comment étaient tes parents ?',
+          'Que sais-tu de tes grands-parents ?',
+          'D’où vient notre famille ?',
+          'Comment as-tu rencontré ton mari ou ta femme ?',
+          'Raconte-moi le jour de ton mariage.',
+          'Comment était-ce à la naissance de ton premier enfant ?',
+          'Quelles histoires de famille racontait-on encore et encore ?',
+          'Quels membres de la famille aurais-tu aimé que je rencontre ?'
+        ]
+      },
+      work: {
+        title: 'Travail et service',
+        prompts: [
+          'Quel a été ton premier travail, et combien étais-tu payé ?',
+          'Comment as-tu choisi ton métier ?',
+          'Qui t’a le plus appris au travail ?',
+          'À quoi ressemblait une journée de travail ordinaire ?',
+          'As-tu fait ton service militaire ? De quoi te souviens-tu le plus ?',
+          'Quel a été le moment le plus fier de ta vie professionnelle ?',
+          'Qu’est-ce qui a le plus changé pendant tes années de travail ?'
+        ]
+      },
+      traditions: {
+        title: 'Fêtes et traditions',
+        prompts: [
+          'Comment ta famille fêtait-elle les fêtes ?',
+          'Quelles recettes se sont transmises dans notre famille ?',
+          'Quelles chansons ou histoires as-tu apprises enfant ?',
+          'Raconte-moi un anniversaire que tu n’oublieras jamais.',
+          'Quelles traditions as-tu gardées de ton pays d’origine ?',
+          'Quelle tradition familiale espères-tu que nous gardions ?'
+        ]
+      }
+    },
+    de: {
+      'life-story': {
+        title: 'Lebensgeschichte',
+        prompts: [
+          'Wo bist du aufgewachsen?',
+          'Was ist deine früheste Erinnerung?',
+          'Wer waren deine besten Freunde, als du jung warst?',
+          'Erzähl mir von deinem Hochzeitstag.',
+          'Was war deine erste Arbeit?',
+          'Wo hast du überall gelebt, und welches Zuhause hast du am meisten geliebt?',
+          'Was war die schwerste Zeit in deinem Leben, und wie bist du durchgekommen?',
+          'Worauf bist du am meisten stolz?',
+          'Was sollen deine Enkel über dich wissen?',
+          'Welchen Rat würdest du deinem jüngeren Ich geben?'
+        ]
+      },
+      childhood: {
+        title: 'Kindheit',
+        prompts: [
+          'Beschreibe das Haus, in dem du aufgewachsen bist.',
+          'Was hast du als Kind gespielt?',
+          'Wie war die Schule für dich?',
+          'Wer war dein Lieblingslehrer, und warum?',
+          'Was gab es in deiner Familie an einem gewöhnlichen Tag zum Abendessen?',
+          'Welche Aufgaben im Haushalt hattest du?',
+          'Hast du jemals Ärger bekommen? Was ist passiert?',
+          'Was wolltest du werden, wenn du groß bist?'
+        ]
+      },
+      family: {
+        title: 'Familie',
+        prompts: [
+          'Wie waren deine Eltern?',
+          'Was weißt du über deine Großeltern?',
+          'Woher stammt unsere Familie?',
+          'Wie hast du deinen Mann oder deine Frau kennengelernt?',
+          'Erzähl mir von deinem Hochzeitstag.',
+          'Wie war es, als dein erstes Kind geboren wurde?',
+          'Welche Familiengeschichten wurden immer wieder erzählt?',
+          'Welche Verwandten hättest du mir gern vorgestellt?'
+        ]
+      },
+      work: {
+        title: 'Arbeit & Dienst',
+        prompts: [
+          'Was war deine erste Arbeit, und wie viel hast du verdient?',
+          'Wie hast du deinen Beruf gewählt?',
+          'Wer hat dir bei der Arbeit am meisten beigebracht?',
+          'Wie sah ein typischer Arbeitstag aus?',
+          'Warst du beim Militär? Woran erinnerst du dich am meisten?',
+          'Was war der stolzeste Moment in deinem Berufsleben?',
+          'Was hat sich in deinen Arbeitsjahren am meisten verändert?'
+        ]
+      },
+      traditions: {
+        title: 'Feste & Traditionen',
+        prompts: [
+          'Wie hat deine Familie die Feiertage gefeiert?',
+          'Welche Rezepte wurden in unserer Familie weitergegeben?',
+          'Welche Lieder oder Geschichten hast du als Kind gelernt?',
+          'Erzähl mir von einem Geburtstag, den du nie vergessen wirst.',
+          'Welche Traditionen hast du aus der alten Heimat bewahrt?',
+          'Welche Familientradition sollen wir deiner Meinung nach bewahren?'
+        ]
+      }
+    },
+    pl: {
+      'life-story': {
+        title: 'Historia życia',
+        prompts: [
+          'Gdzie dorastałeś?',
+          'Jakie jest twoje najwcześniejsze wspomnienie?',
+          'Kto był twoim najlepszym przyjacielem w młodości?',
+          'Opowiedz mi o dniu swojego ślubu.',
+          'Jaka była twoja pierwsza praca?',
+          'Gdzie mieszkałeś i który dom kochałeś najbardziej?',
+          'Jaki był najtrudniejszy okres w twoim życiu i jak go przetrwałeś?',
+          'Z czego jesteś najbardziej dumny?',
+          'Co chciałbyś, żeby twoje wnuki o tobie wiedziały?',
+          'Jaką radę dałbyś sobie z młodości?'
+        ]
+      },
+      childhood: {
+        title: 'Dzieciństwo',
+        prompts: [
+          'Opisz dom, w którym dorastałeś.',
+          'W co bawiłeś się jako dziecko?',
+          'Jak wspominasz szkołę?',
+          'Kto był twoim ulubionym nauczycielem i dlaczego?',
+          'Co twoja rodzina jadła na obiad w zwykły dzień?',
+          'Jakie miałeś obowiązki w domu?',
+          'Czy kiedyś wpadłeś w tarapaty? Co się stało?',
+          'Kim chciałeś zostać, gdy dorośniesz?'
+        ]
+      },
+      family: {
+        title: 'Rodzina',
+        prompts: [
+          'Jacy byli twoi rodzice?',
+          'Co wiesz o swoich dziadkach?',
+          'Skąd pochodzi nasza rodzina?',
+          'Jak poznałeś swojego męża lub swoją żonę?',
+          'Opowiedz mi o dniu swojego ślubu.',
+          'Jak to było, gdy urodziło się twoje pierwsze dziecko?',
+          'Jakie rodzinne historie opowiadano wciąż na nowo?',
+          'Których krewnych chciałbyś, żebym poznał?'
+        ]
+      },
+      work: {
+        title: 'Praca i służba',
+        prompts: [
+          'Jaka była twoja pierwsza praca i ile ci płacono?',
+          'Jak wybrałeś swój zawód?',
+          'Kto nauczył cię najwięcej w pracy?',
+          'Jak wyglądał zwykły dzień pracy?',
+          'Czy służyłeś w wojsku? Co pamiętasz najbardziej?',
+          'Jaki był najbardziej dumny moment twojego życia zawodowego?',
+          'Co zmieniło się najbardziej w czasie twoich lat pracy?'
+        ]
+      },
+      traditions: {
+        title: 'Święta i tradycje',
+        prompts: [
+          'Jak twoja rodzina obchodziła święta?',
+          'Jakie przepisy przekazywano w naszej rodzinie?',
+          'Jakich piosenek lub opowieści nauczyłeś się jako dziecko?',
+          'Opowiedz mi o urodzinach, których nigdy nie zapomnisz.',
+          'Jakie tradycje zachowałeś ze starego kraju?',
+          'Którą rodzinną tradycję chciałbyś, żebyśmy zachowali?'
+        ]
+      }
+    },
+    he: {
+      'life-story': {
+        title: 'סיפור חיים',
+        prompts: [
+          'איפה גדלת?',
+          'מה הזיכרון המוקדם ביותר שלך?',
+          'מי היו החברים הכי טובים שלך בצעירותך?',
+          'ספר/י לי על יום החתונה שלך.',
+          'מה הייתה העבודה הראשונה שלך?',
+          'איפה גרת, ואיזה בית אהבת הכי הרבה?',
+          'מה הייתה התקופה הקשה ביותר בחייך, ואיך עברת אותה?',
+          'במה את/ה הכי גאה?',
+          'מה היית רוצה שהנכדים שלך יידעו עליך?',
+          'איזו עצה היית נותן/ת לעצמך כשהיית צעיר/ה?'
+        ]
+      },
+      childhood: {
+        title: 'ילדות',
+        prompts: [
+          'תאר/י את הבית שבו גדלת.',
+          'במה שיחקת כשהיית ילד/ה?',
+          'איך היה לך בבית הספר?',
+          'מי היה המורה האהוב עליך, ולמה?',
+          'מה אכלה המשפחה שלך לארוחת ערב ביום רגיל?',
+          'אילו מטלות בית היו לך?',
+          'הסתבכת פעם בצרות? מה קרה?',
+          'מה רצית להיות כשתהיה/י גדול/ה?'
+        ]
+      },
+      family: {
+        title: 'משפחה',
+        prompts: [
+          'איך היו ההורים שלך?',
+          'מה את/ה יודע/ת על סבא וסבתא שלך?',
+          'מאיפה באה המשפחה שלנו?',
+          'איך הכרת את בן או בת הזוג שלך?',
+          'ספר/י לי על יום החתונה שלך.',
+          'איך היה כשנולד הילד הראשון שלך?',
+          'אילו סיפורים משפחתיים סופרו שוב ושוב?',
+          'את אילו קרובי משפחה היית רוצה שאכיר?'
+        ]
+      },
+      work: {
+        title: 'עבודה ושירות',
+        prompts: [
+          'מה הייתה העבודה הראשונה שלך, וכמה הרווחת?',
+          'איך בחרת את המקצוע שלך?',
+          'ממי למדת הכי הרבה בעבודה?',
+          'איך נראה יום עבודה רגיל?',
+          'שירתת בצבא? מה את/ה זוכר/ת הכי הרבה?',
+          'מה היה הרגע הכי גאה בחיים המקצועיים שלך?',
+          'מה השתנה הכי הרבה בשנות העבודה שלך?'
+        ]
+      },
+      traditions: {
+        title: 'חגים ומסורות',
+        prompts: [
+          'איך חגגה המשפחה שלך את החגים?',
+          'אילו מתכונים עברו במשפחה שלנו מדור לדור?',
+          'אילו שירים או סיפורים למדת בילדותך?',
+          'ספר/י לי על יום הולדת שלא תשכח/י לעולם.',
+          'אילו מסורות שמרת מהארץ הישנה?',
+          'איזו מסורת משפחתית היית רוצה שנשמור?'
+        ]
+      }
+    }
+  };
+
+  /**
+   * Turn a host deck into { title, prompts }
+   * Accepts an array of questions or { title, prompts }, where each question
+   * is a string or { text }. Returns null if there are no questions.
+   */
+  function normalizePromptDeck(deck, fallbackTitle) {
+    const source = Array.isArray(deck) ? { prompts: deck } : deck;
+    if (!source || !Array.isArray(source.prompts)) return null;
+
+    const prompts = source.prompts
+      .map(prompt => String(typeof prompt === 'object' && prompt !== null ? prompt.text || '' : prompt || '').trim())
+      .filter(Boolean);
+
+    return prompts.length > 0 ? { title: String(source.title || fallbackTitle), prompts } : null;
+  }
+
+  /**
+   * Load the instance's deck: PROMPT_DECK_URL, then a deck passed to init(),
+   * then a built-in deck (falling back to 'life-story')
+   * Returns: { id, title, prompts }
+   */
+  async function loadPromptDeck(instance) {
+    const { PROMPT_DECK, PROMPT_DECK_URL } = instance.config;
+
+    if (PROMPT_DECK_URL) {
+      try {
+        const response = await fetch(PROMPT_DECK_URL, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+          throw new Error(`Deck request failed: ${response.status} ${response.statusText}`);
+        }
+        const deck = normalizePromptDeck(await response.json(), t(instance, 'prompt.defaultDeck'));
+        if (!deck) {
+          throw new Error('The deck has no questions');
+        }
+        return { id: PROMPT_DECK_URL, ...deck };
+      } catch (error) {
+        console.warn('Could not load prompt deck, using a built-in deck:', error);
+      }
+    }
+
+    if (typeof PROMPT_DECK === 'object' && PROMPT_DECK !== null) {
+      const deck = normalizePromptDeck(PROMPT_DECK, t(instance, 'prompt.defaultDeck'));
+      if (deck) return { id: 'custom', ...deck };
+      console.warn('The prompt deck passed to init() has no questions, using a built-in deck');
+    }
+
+    if (!PROMPT_DECKS[PROMPT_DECK] && typeof PROMPT_DECK === 'string') {
+      console.warn(`Unknown prompt deck "${PROMPT_DECK}", using "life-story"`);
+    }
+
+    // Built-in decks come in the widget's language when translated
+    const id = PROMPT_DECKS[PROMPT_DECK] ? PROMPT_DECK : 'life-story';
+    const translated = (PROMPT_DECK_TRANSLATIONS[instance.config.LOCALE] || {})[id];
+    return { id, ...(translated || PROMPT_DECKS[id]) };
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   */
+  function shuffleInPlace(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  /**
+   * Read/write interview progress in localStorage, per widget and deck
+   * Stored as { '<widget>|<deck>': { order, position, answered } }
+   */
+  function loadInterviewProgress(key) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(INTERVIEW_PROGRESS_KEY)) || {};
+      return saved[key] || null;
+    } catch (e) {
+      console.warn('Could not read interview progress:', e);
+      return null;
+    }
+  }
+
+  function saveInterviewProgress(instance) {
+    const interview = instance.state.interview;
+    if (!interview) return;
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(INTERVIEW_PROGRESS_KEY)) || {};
+      saved[interview.key] = {
+        order: interview.order,
+        position: interview.position,
+        answered: interview.answered
+      };
+      localStorage.setItem(INTERVIEW_PROGRESS_KEY, JSON.stringify(saved));
+    } catch (e) {
+      console.warn('Could not save interview progress:', e);
+    }
+  }
+
+  /**
+   * Start interview mode: load the deck, restore where the user left off and
+   * wire up the prompt card
+   */
+  async function setupInterview(instance) {
+    if (!instance.config.INTERVIEW_MODE) return;
+
+    const deck = await loadPromptDeck(instance);
+    if (instance.state.isDestroyed) return;
+
+    const key = `${getInstanceKey(instance)}|${deck.id}`;
+    const saved = loadInterviewProgress(key);
+    const count = deck.prompts.length;
+
+    // A saved order only fits if the deck still has the same number of questions
+    const isValidOrder = saved && Array.isArray(saved.order) && saved.order.length === count &&
+      saved.order.every(index => Number.isInteger(index) && index >= 0 && index < count);
+
+    let order = deck.prompts.map((prompt, index) => index);
+    if (isValidOrder) {
+      order = saved.order;
+    } else if (instance.config.SHUFFLE_PROMPTS) {
+      shuffleInPlace(order);
+    }
+
+    instance.state.interview = {
+      key,
+      title: deck.title,
+      prompts: deck.prompts,
+      order,
+      position: isValidOrder ? Math.min(Math.max(0, Number(saved.position) || 0), count) : 0,
+      answered: isValidOrder ? Boolean(saved.answered) : false
+    };
+
+    getElement(instance, 'prompt-next').addEventListener('click', () => nextPrompt(instance));
+    getElement(instance, 'prompt-shuffle').addEventListener('click', () => shufflePrompts(instance));
+
+    renderPromptCard(instance);
+  }
+
+  /**
+   * The question on the card (null outside interview mode or after the last one)
+   */
+  function getCurrentPrompt(instance) {
+    const interview = instance.state.interview;
+    if (!interview || interview.position >= interview.order.length) return null;
+    return interview.prompts[interview.order[interview.position]];
+  }
+
+  /**
+   * Attach the current question to a new memory and mark it answered
+   */
+  function takeCurrentPrompt(instance) {
+    const prompt = getCurrentPrompt(instance);
+    if (prompt) {
+      instance.state.interview.answered = true;
+      saveInterviewProgress(instance);
+      renderPromptCard(instance);
+    }
+    return prompt;
+  }
+
+  /**
+   * Move to the next question (skipping the current one if it wasn't answered);
+   * after the last question, start the deck over
+   */
+  function nextPrompt(instance) {
+    const interview = instance.state.interview;
+    if (!interview || instance.state.isRecording) return;
+
+    if (interview.position >= interview.order.length) {
+      interview.position = 0;
+      if (instance.config.SHUFFLE_PROMPTS) {
+        shuffleInPlace(interview.order);
+      }
+    } else {
+      interview.position++;
+    }
+    interview.answered = false;
+
+    saveInterviewProgress(instance);
+    renderPromptCard(instance);
+  }
+
+  /**
+   * Shuffle the questions that haven't been reached yet, including the current one
+   */
+  function shufflePrompts(instance) {
+    const interview = instance.state.interview;
+    if (!interview || instance.state.isRecording) return;
+
+    const done = interview.order.slice(0, interview.position);
+    const remaining = interview.order.slice(interview.position);
+    const current = remaining[0];
+
+    shuffleInPlace(remaining);
+    // Make sure the card actually changes
+    if (remaining.length > 1 && remaining[0] === current) {
+      remaining.push(remaining.shift());
+    }
+
+    interview.order = done.concat(remaining);
+    interview.answered = false;
+
+    saveInterviewProgress(instance);
+    renderPromptCard(instance);
+  }
+
+  /**
+   * Show the current question, progress and actions on the prompt card
+   * The question is fixed while recording.
+   */
+  function renderPromptCard(instance) {
+    const card = getElement(instance, 'prompt-card');
+    const interview = instance.state.interview;
+    if (!card) return;
+
+    card.classList.toggle('active', Boolean(interview));
+    if (!interview) return;
+
+    const total = interview.order.length;
+    const isFinished = interview.position >= total;
+    const prompt = getCurrentPrompt(instance);
+
+    getElement(instance, 'prompt-progress').textContent = isFinished
+      ? interview.title
+      : t(instance, 'prompt.progress', { deck: interview.title, number: interview.position + 1, total });
+    getElement(instance, 'prompt-text').textContent = isFinished
+      ? t(instance, 'prompt.finished')
+      : prompt;
+
+    const nextButton = getElement(instance, 'prompt-next');
+    nextButton.textContent = t(instance, isFinished ? 'prompt.restart' : interview.answered ? 'prompt.next' : 'prompt.skip');
+    nextButton.disabled = instance.state.isRecording;
+
+    const shuffleButton = getElement(instance, 'prompt-shuffle');
+    shuffleButton.disabled = instance.state.isRecording || total - interview.position < 2;
+  }
+
+  // ============================================================================
+  // LONG-FORM RECORDING (chunked transcription)
+  // ============================================================================
+
+  /**
+   * Is this recording transcribed in chunks? (Pro with LONG_FORM on)
+   */
+  function isLongForm(instance) {
+    return Boolean(instance.config.LONG_FORM && instance.state.isPro);
+  }
+
+  /**
+   * Tap the microphone with Web Audio and start cutting chunks
+   * MediaRecorder keeps recording the full-quality original for the library
+   * and downloads; the chunks are separate WAV files cut from raw samples,
+   * so each one can be decoded on its own.
+   */
+  function startChunking(instance, stream) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn('Web Audio is not available: this recording will be sent in one piece');
+      return;
+    }
+
+    try {
+      const audioContext = new AudioContextClass();
+      const source = audioContext.createMediaStreamSource(stream);
+      const processor = audioContext.createScriptProcessor(4096, 1, 1);
+      const mute = audioContext.createGain();
+
+      const longForm = {
+        audioContext,
+        source,
+        processor,
+        mute,
+        sampleRate: audioContext.sampleRate,
+        blocks: [],         // Raw samples not yet needed by a finished chunk: [{ start, data }]
+        totalSamples: 0,    // Samples captured so far (paused time excluded)
+        chunkStart: 0,      // First sample of the next chunk
+        chunks: [],
+        controller: new AbortController(),
+        busy: false,        // A chunk upload is in flight
+        stopped: false,     // Recording has ended (no more chunks will be cut)
+        finishing: false,   // The loading modal is waiting for the last chunks
+        skipFailed: false   // The user chose to continue without failed chunks
+      };
+
+      processor.onaudioprocess = (event) => {
+        if (instance.state.isPaused || longForm.stopped) return;
+
+        const data = new Float32Array(event.inputBuffer.getChannelData(0));
+        longForm.blocks.push({ start: longForm.totalSamples, data });
+        longForm.totalSamples += data.length;
+
+        if (longForm.totalSamples - longForm.chunkStart >= instance.config.CHUNK_SECONDS * longForm.sampleRate) {
+          cutChunk(instance, false);
+        }
+      };
+
+      // The processor only runs while connected to the output, so route it through a muted gain
+      mute.gain.value = 0;
+      source.connect(processor);
+      processor.connect(mute);
+      mute.connect(audioContext.destination);
+
+      if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+      }
+
+      instance.state.longForm = longForm;
+      updateChunkStatus(instance);
+    } catch (error) {
+      console.warn('Could not start long-form chunking, sending in one piece:', error);
+    }
+  }
+
+  /**
+   * Copy samples [from, to) out of the long-form buffer
+   */
+  function takeSamples(longForm, from, to) {
+    const result = new Float32Array(Math.max(to - from, 0));
+
+    longForm.blocks.forEach(block => {
+      const blockEnd = block.start + block.data.length;
+      if (blockEnd <= from || block.start >= to) return;
+
+      const start = Math.max(from, block.start);
+      const end = Math.min(to, blockEnd);
+      result.set(block.data.subarray(start - block.start, end - block.start), start - from);
+    });
+
+    return result;
+  }
+
+  /**
+   * Find the quietest 100ms between two sample positions
+   * Returns: the sample position in the middle of that stretch
+   */
+  function findQuietestSample(longForm, from, to) {
+    const frame = Math.max(Math.round(longForm.sampleRate * 0.1), 1);
+    const samples = takeSamples(longForm, from, to);
+    let quietest = to;
+    let lowestEnergy = Infinity;
+
+    for (let offset = 0; offset + frame <= samples.length; offset += frame) {
+      let energy = 0;
+      for (let i = offset; i < offset + frame; i++) {
+        energy += samples[i] * samples[i];
+      }
+      // <= prefers the later of equally quiet spots, keeping chunks long
+      if (energy <= lowestEnergy) {
+        lowestEnergy = energy;
+        quietest = from + offset + Math.round(frame / 2);
+      }
+    }
+
+    return quietest;
+  }
+
+  /**
+   * Cut the next chunk and queue it for transcription
+   * Regular cuts are made at the quietest moment in the last few seconds
+   * before CHUNK_SECONDS; the final cut takes whatever is left. The next
+   * chunk starts CHUNK_OVERLAP_SECONDS before the cut.
+   */
+  function cutChunk(instance, isFinal) {
+    const longForm = instance.state.longForm;
+    const config = instance.config;
+    const rate = longForm.sampleRate;
+    const overlap = Math.round(config.CHUNK_OVERLAP_SECONDS * rate);
+    const previous = longForm.chunks[longForm.chunks.length - 1];
+
+    let cut = longForm.totalSamples;
+    if (!isFinal) {
+      const target = longForm.chunkStart + Math.round(config.CHUNK_SECONDS * rate);
+      const searchFrom = Math.max(
+        target - Math.round(Math.min(10, config.CHUNK_SECONDS / 4) * rate),
+        longForm.chunkStart + overlap + 1
+      );
+      cut = findQuietestSample(longForm, searchFrom, target);
+    }
+
+    // Nothing recorded since the last cut except the overlap
+    if (previous && cut - longForm.chunkStart <= overlap) return;
+    if (cut <= longForm.chunkStart) return;
+
+    const outputRate = Math.min(config.CHUNK_SAMPLE_RATE, rate);
+    const samples = downsample(takeSamples(longForm, longForm.chunkStart, cut), rate, outputRate);
+    const start = longForm.chunkStart / rate;
+
+    longForm.chunks.push({
+      index: longForm.chunks.length,
+      start,
+      end: cut / rate,
+      // Words in the overlap belong to whichever chunk heard them further from its edge
+      keepFrom: previous ? (start + previous.end) / 2 : 0,
+      blob: encodeWAV({
+        numberOfChannels: 1,
+        sampleRate: outputRate,
+        length: samples.length,
+        getChannelData: () => samples
+      }),
+      status: 'pending',   // 'pending' | 'sending' | 'waiting' (retry scheduled) | 'done' | 'failed'
+      attempts: 0,
+      result: null,
+      error: null,
+      retryTimer: null
+    });
+
+    // Keep only the samples the next chunk still needs
+    longForm.chunkStart = Math.max(cut - overlap, longForm.chunkStart + 1);
+    longForm.blocks = longForm.blocks.filter(block => block.start + block.data.length > longForm.chunkStart);
+
+    updateChunkStatus(instance);
+    processChunks(instance);
+  }
+
+  /**
+   * Cut the final chunk and release the Web Audio tap
+   */
+  function stopChunking(instance) {
+    const longForm = instance.state.longForm;
+    if (!longForm || longForm.stopped) return;
+
+    cutChunk(instance, true);
+    longForm.stopped = true;
+    longForm.blocks = [];
+
+    longForm.source.disconnect();
+    longForm.processor.disconnect();
+    longForm.mute.disconnect();
+    longForm.audioContext.close().catch(() => {});
+  }
+
+  /**
+   * Transcribe pending chunks one at a time, oldest first
+   */
+  async function processChunks(instance) {
+    const longForm = instance.state.longForm;
+    if (!longForm || longForm.busy) return;
+
+    longForm.busy = true;
+    try {
+      let chunk;
+      while (instance.state.longForm === longForm &&
+        (chunk = longForm.chunks.find(item => item.status === 'pending'))) {
+        await transcribeChunk(instance, longForm, chunk);
+      }
+    } finally {
+      longForm.busy = false;
+    }
+
+    checkLongFormDone(instance);
+  }
+
+  /**
+   * Send one chunk; retryable failures are retried on their own with backoff
+   */
+  async function transcribeChunk(instance, longForm, chunk) {
+    chunk.status = 'sending';
+    updateChunkStatus(instance);
+
+    const upload = {
+      blob: chunk.blob,
+      filename: `recording-part-${chunk.index + 1}.wav`,
+      mimeType: 'audio/wav',
+      format: 'wav',
+      language: instance.config.LANGUAGE || null,
+      duration: Math.round(chunk.end - chunk.start),
+      photos: [],
+      chunk: { index: chunk.index, start: chunk.start, end: chunk.end }
+    };
+
+    try {
+      chunk.result = await transcribeAudio(instance, upload, { signal: longForm.controller.signal });
+      chunk.status = 'done';
+      chunk.error = null;
+      chunk.blob = null;   // No longer needed: the library keeps the full recording
+
+      emit(instance, 'chunktranscribed', {
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        transcript: chunk.result.transcript
+      });
+    } catch (error) {
+      if (error.code === 'aborted') return;
+
+      chunk.error = error;
+      console.warn(`Long-form part ${chunk.index + 1} failed:`, error);
+
+      const retry = () => {
+        chunk.status = 'pending';
+        chunk.retryTimer = null;
+        processChunks(instance);
+      };
+
+      if (!navigator.onLine) {
+        // Offline attempts don't count: try again once the connection is back
+        chunk.status = 'waiting';
+        window.addEventListener('online', retry, { once: true });
+      } else if (error.retryable && chunk.attempts < instance.config.CHUNK_MAX_RETRIES) {
+        chunk.attempts += 1;
+        chunk.status = 'waiting';
+        const delay = Math.max(getRetryDelay(instance.config, chunk.attempts), error.retryAfter || 0);
+        chunk.retryTimer = setTimeout(retry, delay);
+      } else {
+        chunk.status = 'failed';
+      }
+    }
+
+    updateChunkStatus(instance);
+  }
+
+  /**
+   * Show chunk progress under the countdown and in the loading modal
+   */
+  function updateChunkStatus(instance) {
+    const longForm = instance.state.longForm;
+    if (!longForm) return;
+
+    const total = longForm.chunks.length;
+    const done = longForm.chunks.filter(chunk => chunk.status === 'done').length;
+    const waiting = longForm.chunks.filter(chunk => chunk.status === 'waiting').length;
+    const failed = longForm.chunks.filter(chunk => chunk.status === 'failed').length;
+
+    const status = getElement(instance, 'chunk-status');
+    if (status) {
+      const parts = [
+        total > 0 ? t(instance, 'longForm.progress', { count: done, total }) : t(instance, 'longForm.started'),
+        waiting ? t(instance, 'longForm.waiting', { count: waiting }) : '',
+        failed ? t(instance, 'longForm.failed', { count: failed }) : ''
+      ];
+      status.textContent = parts.filter(Boolean).join(' · ');
+    }
+
+    if (!longForm.finishing) return;
+
+    const text = getElement(instance, 'loading-text');
+    const bar = getElement(instance, 'upload-progress');
+    const fill = getElement(instance, 'upload-progress-fill');
+
+    if (text) {
+      text.textContent = waiting > 0 && !navigator.onLine
+        ? t(instance, 'longForm.offline')
+        : t(instance, 'longForm.transcribingPart', { number: Math.min(done + 1, total), total });
+    }
+    if (bar && fill && total > 0) {
+      bar.classList.add('active');
+      fill.style.width = `${Math.round((done / total) * 100)}%`;
+    }
+  }
+
+  /**
+   * Recording stopped: wait for the remaining chunks in the loading modal
+   */
+  function finishLongForm(instance) {
+    const longForm = instance.state.longForm;
+    longForm.finishing = true;
+
+    showLoadingModal(instance);
+    updateChunkStatus(instance);
+    checkLongFormDone(instance);
+  }
+
+  /**
+   * Once every chunk has finished, stitch them or ask about failed ones
+   */
+  function checkLongFormDone(instance) {
+    const longForm = instance.state.longForm;
+    if (!longForm || !longForm.finishing || longForm.busy) return;
+
+    const unfinished = longForm.chunks.some(chunk => chunk.status !== 'done' && chunk.status !== 'failed');
+    if (unfinished) return;
+
+    const failed = longForm.chunks.filter(chunk => chunk.status === 'failed');
+    if (failed.length > 0 && !longForm.skipFailed) {
+      showChunkFailureModal(instance, failed);
+      return;
+    }
+
+    const result = stitchChunks(instance, longForm.chunks);
+    instance.state.longForm = null;
+
+    const status = getElement(instance, 'chunk-status');
+    if (status) status.textContent = '';
+
+    completeTranscription(instance, result);
+  }
+
+  /**
+   * Some chunks failed after their automatic retries: retry them or go on
+   */
+  function showChunkFailureModal(instance, failed) {
+    const longForm = instance.state.longForm;
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    const times = failed
+      .map(chunk => `${formatTime(Math.floor(chunk.start))}–${formatTime(Math.floor(chunk.end))}`)
+      .join(', ');
+
+    render(modal, html`
+      <h2>${t(instance, 'longForm.failedTitle')}</h2>
+      <div class="fm-error">
+        ${t(instance, 'longForm.failedMessage', { count: failed.length, total: longForm.chunks.length, times })}
+        ${describeTranscriptionError(instance, failed[0].error)}
+      </div>
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="skip-chunks-button">${t(instance, 'longForm.skipFailed')}</button>
+        <button class="fm-button fm-button-primary" data-fm="retry-chunks-button">${t(instance, 'longForm.retryFailed')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'retry-chunks-button').addEventListener('click', () => {
+      failed.forEach(chunk => {
+        chunk.status = 'pending';
+        chunk.attempts = 0;
+      });
+      showLoadingModal(instance);
+      updateChunkStatus(instance);
+      processChunks(instance);
+    });
+
+    getElement(instance, 'skip-chunks-button').addEventListener('click', () => {
+      longForm.skipFailed = true;
+      checkLongFormDone(instance);
+    });
+
+    openModal(instance);
+  }
+
+  /**
+   * Join chunk results into one transcript object
+   * Timings are shifted by each chunk's start. In the overlap between two
+   * chunks, segments and words are kept from one side only, split at the
+   * middle of the overlap; untimed text is de-duplicated by matching words.
+   */
+  function stitchChunks(instance, chunks) {
+    const segments = [];
+    const words = [];
+    const texts = [];
+    const languageTime = {};
+    let hasTimings = false;
+
+    chunks.forEach((chunk, index) => {
+      const keepTo = index + 1 < chunks.length ? chunks[index + 1].keepFrom : Infinity;
+
+      if (!chunk.result) {
+        const times = `${formatTime(Math.floor(chunk.start))}–${formatTime(Math.floor(chunk.end))}`;
+        const gap = `[${t(instance, 'longForm.gap', { times })}]`;
+        texts.push(gap);
+        segments.push({ start: Math.max(chunk.start, chunk.keepFrom), end: Math.min(chunk.end, keepTo), text: gap });
+        return;
+      }
+
+      const result = chunk.result;
+      const shift = item => ({ ...item, start: item.start + chunk.start, end: item.end + chunk.start });
+      const isKept = item => {
+        const middle = (item.start + item.end) / 2;
+        return middle >= chunk.keepFrom && middle < keepTo;
+      };
+
+      const keptSegments = result.segments.map(shift).filter(isKept);
+      const keptWords = result.words.map(shift).filter(isKept);
+      segments.push(...keptSegments);
+      words.push(...keptWords);
+
+      if (result.segments.length > 0 || result.words.length > 0) {
+        hasTimings = true;
+        const source = keptSegments.length > 0 ? keptSegments : keptWords;
+        texts.push(source.map(item => item.text).join(' '));
+      } else {
+        texts.push(removeOverlapText(texts[texts.length - 1] || '', result.transcript));
+      }
+
+      if (result.language) {
+        const stats = languageTime[result.language] || (languageTime[result.language] = { seconds: 0, probability: 0 });
+        stats.seconds += chunk.end - chunk.start;
+        stats.probability += (result.language_probability || 0) * (chunk.end - chunk.start);
+      }
+    });
+
+    // The language heard for the longest time wins
+    const language = Object.keys(languageTime)
+      .sort((a, b) => languageTime[b].seconds - languageTime[a].seconds)[0] || null;
+
+    return {
+      transcript: texts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim(),
+      language,
+      language_probability: language ? languageTime[language].probability / languageTime[language].seconds : null,
+      segments: hasTimings ? segments : [],
+      words: hasTimings ? words : []
+    };
+  }
+
+  /**
+   * Drop the words at the start of next that repeat the end of previous
+   * (the overlap heard by both chunks)
+   */
+  function removeOverlapText(previous, next) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    const previousWords = previous.split(/\s+/).filter(Boolean).slice(-30).map(normalize);
+    const nextWords = next.split(/\s+/).filter(Boolean);
+    const nextNormalized = nextWords.map(normalize);
+
+    for (let length = Math.min(previousWords.length, nextWords.length); length >= 2; length--) {
+      const tail = previousWords.slice(-length).join(' ');
+      if (tail === nextNormalized.slice(0, length).join(' ')) {
+        return nextWords.slice(length).join(' ');
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Abandon an unfinished long-form transcription (Cancel or widget removed)
+   */
+  function discardLongForm(instance) {
+    const longForm = instance.state.longForm;
+    if (!longForm) return;
+
+    instance.state.longForm = null;
+    longForm.controller.abort();
+    longForm.chunks.forEach(chunk => clearTimeout(chunk.retryTimer));
+
+    if (!longForm.stopped) {
+      longForm.stopped = true;
+      longForm.source.disconnect();
+      longForm.processor.disconnect();
+      longForm.mute.disconnect();
+      longForm.audioContext.close().catch(() => {});
+    }
+
+    const status = getElement(instance, 'chunk-status');
+    if (status) status.textContent = '';
+
+    if (longForm.finishing) {
+      closeModal(instance);
+    }
+  }
+
+  // ============================================================================
+  // LIVE STREAMING (WebSocket)
+  // ============================================================================
+
+  /**
+   * Open the streaming connection for a new recording
+   * Protocol - JSON text messages, audio as binary messages:
+   *   → { type: 'start', mimeType, language }, binary audio..., { type: 'stop' }
+   *   ← { type: 'partial', text }  interim text for the phrase being spoken (replaced by the next message)
+   *   ← { type: 'final', text }    a finished phrase (appended)
+   *   ← { type: 'done', ... }      after 'stop': the complete result (same shape as a backend response)
+   *   ← { type: 'error', message }
+   * Audio sent before the socket opens is queued, so nothing is lost.
+   */
+  function startStreaming(instance) {
+    let socket;
+    try {
+      socket = new WebSocket(instance.config.STREAM_URL);
+    } catch (error) {
+      console.warn('Could not open the streaming connection, transcribing after recording instead:', error);
+      return;
+    }
+
+    const live = {
+      socket,
+      queue: [],     // Messages waiting for the socket to open
+      finals: [],    // Finished phrases
+      interim: '',   // Phrase currently being recognised
+      settled: false,
+      error: null
+    };
+    live.done = new Promise((resolve, reject) => {
+      live.resolve = resolve;
+      live.reject = reject;
+    });
+    live.done.catch(() => {});   // Handled by finishStreaming
+
+    socket.addEventListener('open', () => {
+      const recorder = instance.state.mediaRecorder;
+      socket.send(JSON.stringify({
+        type: 'start',
+        mimeType: recorder ? recorder.mimeType : null,
+        language: instance.config.LANGUAGE || null
+      }));
+      live.queue.forEach(item => socket.send(item));
+      live.queue = [];
+    });
+
+    socket.addEventListener('message', (event) => handleStreamMessage(instance, live, event.data));
+    socket.addEventListener('error', () => {
+      failLiveStream(live, createTranscriptionError('network', 'Streaming connection failed'));
+    });
+    socket.addEventListener('close', () => {
+      failLiveStream(live, createTranscriptionError('network', 'Streaming connection closed'));
+    });
+
+    instance.state.liveStream = live;
+    renderLiveTranscript(instance);
+  }
+
+  /**
+   * Send a recorded slice (or a control message) to the streaming server
+   */
+  function sendStreamData(instance, data) {
+    const live = instance.state.liveStream;
+    if (!live || live.settled) return;
+
+    if (live.socket.readyState === WebSocket.OPEN) {
+      live.socket.send(data);
+    } else if (live.socket.readyState === WebSocket.CONNECTING) {
+      live.queue.push(data);
+    }
+  }
+
+  /**
+   * Handle a message from the streaming server
+   */
+  function handleStreamMessage(instance, live, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('Ignoring a streaming message that is not JSON:', data);
+      return;
+    }
+
+    switch (message.type) {
+      case 'partial':
+        live.interim = String(message.text || '').trim();
+        break;
+      case 'final':
+        live.finals.push(String(message.text || '').trim());
+        live.interim = '';
+        break;
+      case 'done':
+        if (live.settled) return;
+        live.settled = true;
+        live.resolve(message);
+        live.socket.close();
+        return;
+      case 'error':
+        failLiveStream(live, createTranscriptionError('http', message.message || 'Streaming transcription failed'));
+        return;
+      default:
+        return;
+    }
+
+    if (instance.state.liveStream === live) {
+      renderLiveTranscript(instance);
+    }
+  }
+
+  /**
+   * The stream broke before its final result: finishStreaming falls back to a normal upload
+   */
+  function failLiveStream(live, error) {
+    if (live.settled) return;
+
+    live.settled = true;
+    live.error = error;
+    live.reject(error);
+
+    if (live.socket.readyState === WebSocket.CONNECTING || live.socket.readyState === WebSocket.OPEN) {
+      live.socket.close();
+    }
+  }
+
+  /**
+   * Show the finished phrases and the interim one under the mic
+   */
+  function renderLiveTranscript(instance) {
+    const container = getElement(instance, 'live-transcript');
+    if (!container) return;
+
+    const live = instance.state.liveStream;
+    container.innerHTML = '';
+    if (!live) return;
+
+    const finalText = live.finals.filter(Boolean).join(' ');
+    if (finalText) {
+      container.appendChild(document.createTextNode(finalText + ' '));
+    }
+    if (live.interim) {
+      const interim = document.createElement('span');
+      interim.className = 'fm-live-interim';
+      interim.textContent = live.interim;
+      container.appendChild(interim);
+    }
+
+    container.scrollTop = container.scrollHeight;
+  }
+
+  /**
+   * Recording stopped: ask the server for the final result and show it
+   * If the stream failed or times out, the recording is uploaded as usual.
+   */
+  async function finishStreaming(instance, audioBlob) {
+    const live = instance.state.liveStream;
+
+    showLoadingModal(instance);
+    const text = getElement(instance, 'loading-text');
+    if (text) text.textContent = t(instance, 'loading.finishing');
+
+    sendStreamData(instance, JSON.stringify({ type: 'stop' }));
+
+    const timeout = instance.config.REQUEST_TIMEOUT > 0
+      ? setTimeout(() => {
+        failLiveStream(live, createTranscriptionError('timeout', `No final result after ${instance.config.REQUEST_TIMEOUT} seconds`));
+      }, instance.config.REQUEST_TIMEOUT * 1000)
+      : null;
+
+    try {
+      const result = await live.done;
+      instance.state.liveStream = null;
+      renderLiveTranscript(instance);
+
+      await completeTranscription(instance, normalizeTranscript(result));
+    } catch (error) {
+      instance.state.liveStream = null;
+      renderLiveTranscript(instance);
+
+      // The user pressed Cancel: nothing to report
+      if (error.code === 'aborted') return;
+
+      console.warn('Live transcription failed, uploading the recording instead:', error);
+      sendToAPI(instance, audioBlob);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Abandon the streaming session (Cancel or widget removed)
+   */
+  function discardLiveStream(instance) {
+    const live = instance.state.liveStream;
+    if (!live) return;
+
+    failLiveStream(live, createTranscriptionError('aborted', 'Streaming cancelled'));
+    instance.state.liveStream = null;
+    renderLiveTranscript(instance);
+    closeModal(instance);
+  }
+
+  // ============================================================================
+  // AUDIO FILE UPLOAD
+  // ============================================================================
+
+  /**
+   * MIME types for audio file extensions, used when the browser reports
+   * none (or a video/* type for audio-only MP4 and WebM files)
+   */
+  const AUDIO_FILE_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    mp4: 'audio/mp4',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    webm: 'audio/webm',
+    flac: 'audio/flac'
+  };
+
+  /**
+   * Work out the audio MIME type of a picked file
+   * Returns: the MIME type, or null when the file isn't audio
+   */
+  function getAudioFileType(file) {
+    if (file.type && file.type.startsWith('audio/')) {
+      return file.type;
+    }
+
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    return AUDIO_FILE_TYPES[extension] || null;
+  }
+
+  /**
+   * Read the length of an audio file with an <audio> element
+   * Returns: Promise<seconds>
+   */
+  function readAudioDuration(blob) {
+    return new Promise((resolve, reject) => {
+      const audio = document.createElement('audio');
+      const url = URL.createObjectURL(blob);
+      let settled = false;
+
+      const finish = (error, duration) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        audio.removeAttribute('src');
+        URL.revokeObjectURL(url);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(duration);
+        }
+      };
+
+      const timeout = setTimeout(() => finish(new Error('Could not read the length of this file')), 15000);
+
+      audio.preload = 'metadata';
+      audio.addEventListener('loadedmetadata', () => {
+        if (Number.isFinite(audio.duration)) {
+          finish(null, audio.duration);
+          return;
+        }
+
+        // Files saved straight from MediaRecorder have no duration in their
+        // header; seeking past the end makes the browser scan for it
+        audio.addEventListener('durationchange', () => {
+          if (Number.isFinite(audio.duration)) finish(null, audio.duration);
+        });
+        audio.currentTime = Number.MAX_SAFE_INTEGER;
+      });
+      audio.addEventListener('error', () => finish(new Error('This browser cannot play this audio file')));
+      audio.src = url;
+    });
+  }
+
+  /**
+   * Validate an audio file and send it through the normal transcription flow
+   * Returns: true when the file was accepted
+   */
+  async function transcribeAudioFile(instance, file) {
+    const status = getElement(instance, 'upload-status');
+    const setStatus = (text) => {
+      if (status) status.textContent = text;
+    };
+
+    if (instance.state.isRecording) {
+      setStatus(t(instance, 'upload.busy'));
+      return false;
+    }
+
+    const mimeType = getAudioFileType(file);
+    if (!mimeType) {
+      setStatus(t(instance, 'upload.notAudio', { name: file.name }));
+      return false;
+    }
+
+    const maxBytes = instance.config.MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+    if (file.size > maxBytes) {
+      setStatus(t(instance, 'upload.tooBig', { name: file.name, size: formatBytes(file.size), limit: formatBytes(maxBytes) }));
+      return false;
+    }
+
+    setStatus(t(instance, 'upload.checking'));
+
+    let duration;
+    try {
+      duration = Math.round(await readAudioDuration(file));
+    } catch (error) {
+      console.warn('Could not read audio file:', error);
+      setStatus(t(instance, 'upload.unreadable', { name: file.name }));
+      return false;
+    }
+
+    // Uploaded files get the recording limit, without the long-form extension
+    const maxTime = getUploadTimeLimit(instance);
+    if (duration > maxTime) {
+      const customLimit = instance.config.TIME_LIMIT;
+      const proLimit = customLimit > 0 ? Math.min(customLimit, instance.config.PRO_TIME_LIMIT) : instance.config.PRO_TIME_LIMIT;
+
+      if (!instance.state.isPro && duration <= proLimit) {
+        showUpgradeModal(instance, t(instance, 'upload.tooLongTitle'), t(instance, 'upload.tooLongPro', {
+          name: file.name, duration: formatTime(duration), limit: formatTime(maxTime), proLimit: formatTime(proLimit)
+        }));
+      } else {
+        setStatus(t(instance, 'upload.tooLong', { name: file.name, duration: formatTime(duration), limit: formatTime(maxTime) }));
+      }
+      return false;
+    }
+
+    // Uploads count against the free tier just like recordings
+    const { canRecord, retryAt } = await checkRateLimit(instance);
+    if (!canRecord) {
+      const message = retryAt
+        ? t(instance, 'limit.uploadMessageWait', { wait: formatWait(instance, retryAt - Date.now()) })
+        : t(instance, 'limit.message');
+      showUpgradeModal(instance, t(instance, 'limit.title'), message);
+      return false;
+    }
+
+    // Give the blob a type that matches its container so uploads and downloads are named correctly
+    const audioBlob = file.type === mimeType ? file : new Blob([file], { type: mimeType });
+
+    instance.state.audioBlob = audioBlob;
+    instance.state.wavBlob = null;
+    instance.state.currentMemoryId = null;
+    instance.state.recordingDuration = duration;
+    instance.state.stopReason = null;
+    instance.state.sourceFileName = file.name || null;
+    instance.state.recordedAt = Date.now();
+    instance.state.metadata = getDefaultMetadata(instance.config);
+    instance.state.prompt = takeCurrentPrompt(instance);
+
+    // Photos added beforehand belong to this memory, as with a recording
+    instance.state.photos = instance.state.pendingPhotos;
+    instance.state.pendingPhotos = [];
+    updatePhotoBadge(instance);
+
+    sendToAPI(instance, audioBlob);
+    return true;
+  }
+
+  /**
+   * Upload modal opened from the 📂 button: pick or drop an audio file
+   */
+  function showUploadModal(instance) {
+    if (instance.state.isRecording) return;
+
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    const maxBytes = instance.config.MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+    const extensions = Object.keys(AUDIO_FILE_TYPES).map(extension => `.${extension}`).join(',');
+
+    render(modal, html`
+      <h2>${t(instance, 'upload.title')}</h2>
+      <p class="fm-upload-intro">
+        ${t(instance, 'upload.intro', { size: formatBytes(maxBytes), duration: formatTime(getUploadTimeLimit(instance)) })}
+      </p>
+      <div class="fm-upload-drop" data-fm="upload-drop">
+        <div>${t(instance, 'upload.drop')}</div>
+        <label class="fm-button fm-button-secondary">
+          ${t(instance, 'upload.choose')}
+          <input type="file" accept="audio/*,${extensions}" class="fm-visually-hidden" data-fm="upload-input">
+        </label>
+        <div class="fm-upload-status" data-fm="upload-status"></div>
+      </div>
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.cancel')}</button>
+      </div>
+    `);
+
+    const drop = getElement(instance, 'upload-drop');
+    const onFiles = (files) => {
+      if (files && files.length > 0) transcribeAudioFile(instance, files[0]);
+    };
+
+    getElement(instance, 'upload-input').addEventListener('change', (e) => {
+      onFiles(e.target.files);
+      e.target.value = '';
+    });
+
+    drop.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      drop.classList.add('dragover');
+    });
+    drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+    drop.addEventListener('drop', (e) => {
+      e.preventDefault();
+      drop.classList.remove('dragover');
+      onFiles(e.dataTransfer.files);
+    });
+
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+
+    openModal(instance);
+  }
+
+  // ============================================================================
+  // API COMMUNICATION
+  // ============================================================================
+
+  /**
+   * Normalize a backend result into the widget's common transcript object
+   * Accepts either `transcript` or `text`, and optional segments/words with
+   * start/end times in seconds.
+   * Returns: { transcript, language, language_probability, segments, words }
+   */
+  function normalizeTranscript(result) {
+    if (!result || typeof result !== 'object') {
+      throw new Error('Transcription backend returned no result');
+    }
+
+    const toTimed = (items, textKey) => (Array.isArray(items) ? items : [])
+      .filter(item => item && Number.isFinite(Number(item.start)) && Number.isFinite(Number(item.end)))
+      .map(item => ({
+        start: Number(item.start),
+        end: Number(item.end),
+        text: String(item[textKey] || item.text || '').trim()
+      }));
+
+    const probability = result.language_probability ?? result.languageProbability ?? null;
+
+    return {
+      transcript: String(result.transcript ?? result.text ?? '').trim(),
+      language: result.language || null,
+      language_probability: probability === null ? null : Number(probability),
+      segments: toTimed(result.segments, 'text'),
+      words: toTimed(result.words, 'word')
+    };
+  }
+
+  /**
+   * Built-in transcription backend adapters
+   * An adapter maps the widget's upload to an HTTP request and the server's
+   * JSON response back to the common transcript object:
+   *   buildRequest(upload, config) → { url, headers, body }
+   *   parseResponse(json) → transcript object
+   * Alternatively an adapter may provide transcribe(upload, context) and do
+   * the whole round trip itself.
+   * upload: { blob, filename, mimeType, format, language, duration, photos }
+   *   format: container extension of blob ('webm', 'ogg', 'm4a' or 'wav')
+   *   photos: [{ blob, filename, caption }] (Pro only, may be empty)
+   *   chunk: { index, start, end } for long-form parts (times in seconds), else absent
+   */
+  const TRANSCRIPTION_BACKENDS = {
+    // Faster Whisper API (default): POST file → { transcript, language, language_probability }
+    'faster-whisper': {
+      buildRequest(upload, config) {
+        const formData = new FormData();
+        formData.append('file', upload.blob, upload.filename);
+
+        // Tell the server which container to decode (Safari records MP4, not WebM)
+        if (upload.format) {
+          formData.append('format', upload.format);
+          formData.append('mime_type', upload.mimeType);
+        }
+
+        // Optional language hint (otherwise the API auto-detects)
+        if (upload.language) {
+          formData.append('language', upload.language);
+        }
+
+        // Pro photo attachments, one `photo` field per image
+        (upload.photos || []).forEach(photo => {
+          formData.append('photo', photo.blob, photo.filename);
+        });
+
+        return { url: config.API_URL, headers: {}, body: formData };
+      },
+      parseResponse(data) {
+        return data;
+      }
+    },
+
+    // OpenAI-compatible /v1/audio/transcriptions (OpenAI, whisper.cpp server, LocalAI, ...)
+    'openai': {
+      buildRequest(upload, config) {
+        const formData = new FormData();
+        formData.append('file', upload.blob, upload.filename);
+        formData.append('model', config.MODEL);
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'segment');
+        formData.append('timestamp_granularities[]', 'word');
+
+        if (upload.language) {
+          formData.append('language', upload.language);
+        }
+
+        const headers = {};
+        if (config.API_KEY) {
+          headers.Authorization = `Bearer ${config.API_KEY}`;
+        }
+
+        return { url: config.API_URL, headers, body: formData };
+      },
+      parseResponse(data) {
+        // verbose_json: { text, language, duration, segments: [...], words: [...] }
+        return {
+          transcript: data.text,
+          language: data.language,
+          language_probability: null,
+          segments: data.segments,
+          words: data.words
+        };
+      }
+    }
+  };
+
+  /**
+   * Register a custom transcription backend adapter
+   * Use its name in CONFIG.BACKEND or data-backend="<name>".
+   */
+  function registerBackend(name, adapter) {
+    const isValid = adapter && (typeof adapter.transcribe === 'function' ||
+      (typeof adapter.buildRequest === 'function' && typeof adapter.parseResponse === 'function'));
+
+    if (!isValid) {
+      throw new Error('A backend adapter needs transcribe(), or buildRequest() and parseResponse()');
+    }
+
+    TRANSCRIPTION_BACKENDS[name] = adapter;
+  }
+
+  /**
+   * Resolve the configured backend to an adapter
+   * CONFIG.BACKEND may be an adapter name, an adapter object, or an async
+   * function (upload, context) → transcript object.
+   */
+  function resolveBackend(backend) {
+    if (typeof backend === 'function') {
+      return { transcribe: backend };
+    }
+
+    if (backend && typeof backend === 'object') {
+      return backend;
+    }
+
+    const adapter = TRANSCRIPTION_BACKENDS[backend];
+    if (!adapter) {
+      throw new Error(`Unknown transcription backend "${backend}"`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Create a transcription error with a machine-readable code
+   * code: 'network' | 'timeout' | 'aborted' | 'http' | 'ratelimit' | 'parse'
+   * Network failures, timeouts, rate limits, 408 and 5xx responses are
+   * marked retryable (the upload queue will try them again later).
+   */
+  function createTranscriptionError(code, message, status = null) {
+    const error = new Error(message);
+    error.name = 'TranscriptionError';
+    error.code = code;
+    error.status = status;
+    error.retryable = code === 'network' || code === 'timeout' || code === 'ratelimit' ||
+      (code === 'http' && (status >= 500 || status === 408));
+    return error;
+  }
+
+  /**
+   * POST a request with XMLHttpRequest so upload progress can be reported
+   * (fetch has no upload progress events)
+   * options: { signal, timeout (ms, 0 = none), onProgress({ loaded, total, done }) }
+   * Returns: Promise<{ status, statusText, body, getHeader(name) }>
+   */
+  function postWithProgress(request, options = {}) {
+    const { signal, timeout = 0, onProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createTranscriptionError('aborted', 'Upload cancelled'));
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', request.url);
+      xhr.timeout = timeout;
+
+      Object.entries(request.headers || {}).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      const onAbort = () => xhr.abort();
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      const settle = (callback, value) => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        callback(value);
+      };
+
+      if (onProgress && xhr.upload) {
+        xhr.upload.addEventListener('progress', (e) => {
+          onProgress({ loaded: e.loaded, total: e.lengthComputable ? e.total : null, done: false });
+        });
+        xhr.upload.addEventListener('load', () => {
+          onProgress({ loaded: null, total: null, done: true });
+        });
+      }
+
+      xhr.onload = () => settle(resolve, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        body: xhr.responseText,
+        getHeader: (name) => xhr.getResponseHeader(name)
+      });
+      xhr.onerror = () => settle(reject, createTranscriptionError(
+        'network', 'Network error: could not reach the transcription service'));
+      xhr.ontimeout = () => settle(reject, createTranscriptionError(
+        'timeout', `No response within ${Math.round(timeout / 1000)} seconds`));
+      xhr.onabort = () => settle(reject, createTranscriptionError('aborted', 'Upload cancelled'));
+
+      xhr.send(request.body);
+    });
+  }
+
+  /**
+   * Transcribe an upload with the instance's configured backend
+   * options: { signal (AbortSignal), onProgress({ loaded, total, done }) }
+   * Returns: Promise<transcript object>
+   */
+  async function transcribeAudio(instance, upload, options = {}) {
+    const adapter = resolveBackend(instance.config.BACKEND);
+
+    if (typeof adapter.transcribe === 'function') {
+      const result = await adapter.transcribe(upload, {
+        config: instance.config,
+        signal: options.signal || null,
+        onProgress: options.onProgress || (() => {})
+      });
+      return normalizeTranscript(result);
+    }
+
+    const request = adapter.buildRequest(upload, instance.config);
+    const response = await postWithProgress(request, {
+      signal: options.signal,
+      timeout: instance.config.REQUEST_TIMEOUT * 1000,
+      onProgress: options.onProgress
+    });
+
+    applyRateLimitHeaders(instance, response.status, response.getHeader);
+
+    if (response.status === 429) {
+      const error = createTranscriptionError(
+        'ratelimit',
+        `API request failed: 429 ${response.statusText || 'Too Many Requests'}`,
+        429
+      );
+      error.retryAfter = instance.state.quota.blockedUntil - Date.now();
+      throw error;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw createTranscriptionError(
+        'http',
+        `API request failed: ${response.status} ${response.statusText}`,
+        response.status
+      );
+    }
+
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch (e) {
+      throw createTranscriptionError('parse', `Invalid JSON (${e.message})`);
+    }
+
+    try {
+      return normalizeTranscript(adapter.parseResponse(data));
+    } catch (e) {
+      throw createTranscriptionError('parse', e.message);
+    }
+  }
+
+  /**
+   * User-facing message for a failed transcription
+   */
+  function describeTranscriptionError(instance, error) {
+    const details = { status: error.status, details: error.message };
+
+    switch (error.code) {
+      case 'ratelimit':
+        return t(instance, 'error.rateLimit', { wait: formatWait(instance, error.retryAfter || 0) });
+      case 'timeout':
+        return t(instance, 'error.timeout', details);
+      case 'network':
+        return t(instance, 'error.network');
+      case 'parse':
+        return t(instance, 'error.parse', details);
+      case 'http':
+        if (error.status === 413) {
+          return t(instance, 'error.tooLarge');
+        }
+        if (error.status === 401 || error.status === 403) {
+          return t(instance, 'error.unauthorized');
+        }
+        if (error.status >= 500) {
+          return t(instance, 'error.server', details);
+        }
+        return t(instance, 'error.rejected', details);
+      default:
+        return t(instance, 'error.transcription', details);
+    }
+  }
+
+  /**
+   * Cancel the instance's in-flight transcription request, if any
+   */
+  function cancelTranscription(instance) {
+    discardLongForm(instance);
+    discardLiveStream(instance);
+
+    if (instance.state.abortController) {
+      instance.state.abortController.abort();
+      instance.state.abortController = null;
+    }
+  }
+
+  /**
+   * Show a finished transcript, count the usage and save it to the library
+   */
+  async function completeTranscription(instance, result) {
+    // Only successful transcriptions count against the free tier
+    incrementUsageCount(instance);
+
+    // Display transcript in modal
+    showTranscriptModal(instance, result);
+    announce(instance, t(instance, 'a11y.transcribed'));
+
+    emit(instance, 'transcribed', getTranscript(instance));
+
+    // Keep a copy in the local library so it survives a page reload
+    try {
+      await saveCurrentMemory(instance);
+    } catch (error) {
+      console.warn('Could not save memory to library:', error);
+    }
+  }
+
+  /**
+   * Send audio blob to transcription API
+   */
+  async function sendToAPI(instance, audioBlob) {
+    // Show loading modal
+    showLoadingModal(instance);
+
+    let upload = null;
+
+    try {
+      // Convert to WAV first if the backend only accepts WAV
+      let uploadBlob = audioBlob;
+      if (instance.config.SEND_AS_WAV && canConvertToWAV(instance, instance.state.recordingDuration)) {
+        uploadBlob = await getRecordingAsWAV(instance);
+      }
+
+      // Name the file after the container the browser actually recorded
+      const format = getAudioFormat(uploadBlob.type).extension;
+
+      upload = {
+        blob: uploadBlob,
+        filename: `recording.${format}`,
+        mimeType: uploadBlob.type,
+        format,
+        language: instance.config.LANGUAGE || null,
+        duration: instance.state.recordingDuration,
+        photos: instance.state.isPro ? getPhotoUploads(instance.state.photos) : []
+      };
+
+      const controller = new AbortController();
+      instance.state.abortController = controller;
+
+      const result = await transcribeAudio(instance, upload, {
+        signal: controller.signal,
+        onProgress: (progress) => updateUploadProgress(instance, progress)
+      });
+      instance.state.abortController = null;
+
+      await completeTranscription(instance, result);
+
+    } catch (error) {
+      instance.state.abortController = null;
+
+      // The user pressed Cancel: nothing to report
+      if (error.code === 'aborted') {
+        closeModal(instance);
+        return;
+      }
+
+      console.error('Error sending to API:', error);
+
+      // Offline or server trouble: keep the recording and retry later
+      if (upload && (error.retryable || !navigator.onLine)) {
+        try {
+          await enqueueUpload(instance, upload, audioBlob, error);
+          showQueuedModal(instance, error);
+          return;
+        } catch (queueError) {
+          console.warn('Could not queue upload for retry:', queueError);
+        }
+      }
+
+      showError(instance, describeTranscriptionError(instance, error));
+    }
+  }
+
+  // ============================================================================
+  // ACCESSIBILITY
+  // ============================================================================
+
+  // Elements the modal's focus trap cycles through
+  const FOCUSABLE_SELECTOR = [
+    'a[href]', 'button', 'input', 'select', 'textarea', 'summary', 'audio[controls]',
+    '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])'
+  ].join(', ');
+
+  // Why a recording can stop; each has an a11y.stopped.* message
+  const STOP_REASONS = ['user', 'limit', 'silence', 'device'];
+
+  /**
+   * Read a message to screen reader users through a live region
+   * Uses the modal's region while it is open (aria-modal hides the rest).
+   * urgent: interrupt whatever is being read (aria-live="assertive")
+   */
+  function announce(instance, message, urgent = false) {
+    const isModalOpen = instance.overlay.classList.contains('active');
+    const region = getElement(instance, isModalOpen ? 'modal-announcer' : 'announcer');
+    if (!region) return;
+
+    // Clear first so the same message is read again
+    region.setAttribute('aria-live', urgent ? 'assertive' : 'polite');
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * Announce the countdown at milestones (not every second):
+   * every 5 minutes, every minute in the last 5, then at 30 and 10 seconds
+   */
+  function announceTimeRemaining(instance, remaining, max) {
+    const { state } = instance;
+    if (!state.isRecording || state.isPaused || remaining <= 0 || remaining >= max) return;
+    if (remaining === state.lastAnnouncedRemaining) return;
+
+    const isMilestone = remaining % 300 === 0 ||
+      (remaining <= 300 && remaining % 60 === 0) ||
+      remaining === 30 || remaining === 10;
+    if (!isMilestone) return;
+
+    state.lastAnnouncedRemaining = remaining;
+    announce(instance, t(instance, 'progress.left', { time: formatSpokenTime(instance, remaining) }), remaining <= 10);
+  }
+
+  /**
+   * The focused element, looking inside shadow roots (document.activeElement
+   * stops at the shadow host)
+   */
+  function getDeepActiveElement() {
+    let element = document.activeElement;
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element;
+  }
+
+  /**
+   * Visible, enabled elements in the modal that Tab can reach, in order
+   */
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element => {
+      if (element.disabled || element.closest('[hidden]')) return false;
+
+      // Only the <summary> of a collapsed <details> is reachable
+      const details = element.closest('details');
+      if (details && !details.open && !(element.tagName === 'SUMMARY' && element.parentElement === details)) {
+        return false;
+      }
+
+      // Hidden by CSS (display: none)
+      return element.getClientRects().length > 0;
+    });
+  }
+
+  /**
+   * Move focus into the modal unless it is already there
+   * The heading gets focus, so screen readers read the title first and Tab
+   * continues to the first control.
+   */
+  function focusModal(instance) {
+    const modal = getElement(instance, 'modal');
+    if (!modal || modal.contains(getDeepActiveElement())) return;
+
+    const heading = modal.querySelector('h2');
+    if (heading) {
+      heading.id = 'fm-modal-title';
+      heading.tabIndex = -1;
+      instance.overlay.setAttribute('aria-labelledby', heading.id);
+      heading.focus();
+    } else {
+      instance.overlay.removeAttribute('aria-labelledby');
+      modal.focus();
+    }
+  }
+
+  /**
+   * Focus trap and Escape for the open modal
+   */
+  function handleModalKeydown(instance, e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeModal(instance);
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const modal = getElement(instance, 'modal');
+    const focusable = getFocusableElements(modal);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      modal.focus();
+      return;
+    }
+
+    const index = focusable.indexOf(getDeepActiveElement());
+    if (e.shiftKey && index <= 0) {
+      e.preventDefault();
+      focusable[focusable.length - 1].focus();
+    } else if (!e.shiftKey && index === focusable.length - 1) {
+      e.preventDefault();
+      focusable[0].focus();
+    }
+  }
+
+  /**
+   * After the modal closes, return focus to where it was before it opened
+   * (the mic button if that element is gone). Leaves focus alone when the
+   * page had already moved it elsewhere, e.g. widget.close() from a script.
+   */
+  function restoreFocus(instance, wasFocusInside) {
+    const target = instance.state.modalReturnFocus;
+    instance.state.modalReturnFocus = null;
+
+    const active = getDeepActiveElement();
+    if (!wasFocusInside && active && active !== document.body) return;
+
+    if (target && target.isConnected && target !== document.body) {
+      target.focus();
+    } else {
+      getElement(instance, 'mic-button').focus();
+    }
+  }
+
+  /**
+   * Start or stop recording (mic button, by click or Space / Enter)
+   */
+  function toggleRecording(instance) {
+    if (instance.state.isRecording) {
+      stopRecording(instance);
+    } else {
+      startRecording(instance);
+    }
+  }
+
+  // ============================================================================
+  // MODAL DISPLAY
+  // ============================================================================
+
+  /**
+   * Show loading spinner while waiting for transcription
+   */
+  function showLoadingModal(instance) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    // Explain recordings that stopped on their own
+    const stopNotes = {
+      silence: t(instance, 'loading.stoppedSilence', { count: instance.config.SILENCE_AUTO_STOP_SECONDS }),
+      device: t(instance, 'loading.stoppedDevice')
+    };
+    const stopNote = stopNotes[instance.state.stopReason]
+      ? html`<p class="fm-loading-note">${stopNotes[instance.state.stopReason]}</p>`
+      : '';
+
+    render(modal, html`
+      <div class="fm-loading">
+        <h2 class="fm-visually-hidden">${t(instance, 'loading.title')}</h2>
+        <div class="fm-spinner" aria-hidden="true"></div>
+        ${stopNote}
+        <p data-fm="loading-text">${t(instance, 'loading.transcribing')}</p>
+        <div class="fm-upload-progress" data-fm="upload-progress">
+          <div class="fm-upload-progress-fill" data-fm="upload-progress-fill"></div>
+        </div>
+        <button class="fm-button fm-button-secondary" data-fm="cancel-button">${t(instance, 'button.cancel')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'cancel-button').addEventListener('click', () => cancelTranscription(instance));
+
+    openModal(instance);
+  }
+
+  /**
+   * Update the loading modal with upload progress
+   * progress: { loaded, total, done } (bytes; total is null when unknown)
+   */
+  function updateUploadProgress(instance, progress) {
+    const text = getElement(instance, 'loading-text');
+    const bar = getElement(instance, 'upload-progress');
+    const fill = getElement(instance, 'upload-progress-fill');
+    if (!text || !bar || !fill) return;
+
+    // Upload finished: the server is transcribing now
+    if (progress.done) {
+      bar.classList.remove('active');
+      text.textContent = t(instance, 'loading.transcribing');
+      return;
+    }
+
+    bar.classList.add('active');
+
+    if (progress.total) {
+      const percent = Math.min(100, Math.round((progress.loaded / progress.total) * 100));
+      fill.style.width = `${percent}%`;
+      text.textContent = t(instance, 'loading.uploadingOf', {
+        loaded: formatBytes(progress.loaded),
+        total: formatBytes(progress.total),
+        percent
+      });
+    } else {
+      text.textContent = t(instance, 'loading.uploading', { loaded: formatBytes(progress.loaded) });
+    }
+  }
+
+  /**
+   * Show transcript results in modal
+   */
+  function showTranscriptModal(instance, data) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    const { transcript, language, language_probability } = data;
+    const confidence = language_probability ? (language_probability * 100).toFixed(1) : 'N/A';
+    const segments = buildTimedSegments(data);
+
+    // Store transcript data for later use
+    instance.state.currentTranscript = {
+      transcript,
+      language,
+      language_probability,
+      confidence,
+      segments
+    };
+
+    releasePlayer(instance);
+
+    // Show Pro upgrade hint for free users
+    const proHint = !instance.state.isPro ? html`
+      <div class="fm-pro-hint">
+        <strong>💡 ${t(instance, 'pro.hintTitle', { price: instance.config.PRO_PRICE })}</strong>
+        ${t(instance, 'pro.hint')}
+        <a href="${safeURL(instance.config.STRIPE_CHECKOUT_URL)}" target="_blank" rel="noopener" class="fm-upgrade-link">${t(instance, 'pro.upgradeNow')}</a>
+      </div>
+    ` : '';
+
+    // Download buttons (WAV + original) - disabled for free tier with tooltip
+    const originalFormat = getAudioFormat(instance.state.audioBlob ? instance.state.audioBlob.type : '');
+    const wavButton = canConvertToWAV(instance, instance.state.recordingDuration)
+      ? html`<button class="fm-button fm-button-secondary" data-fm="download-button">📥 ${t(instance, 'transcript.downloadWav')}</button>`
+      : html`<button class="fm-button fm-button-secondary" data-fm="download-button" disabled title="${t(instance, 'transcript.wavTooLong', { limit: formatTime(instance.config.WAV_MAX_DURATION) })}">📥 ${t(instance, 'transcript.downloadWav')}</button>`;
+    const downloadButton = instance.state.isPro
+      ? html`${wavButton}
+         <button class="fm-button fm-button-secondary" data-fm="download-original-button">📥 ${t(instance, 'transcript.downloadOriginal', { format: originalFormat.label })}</button>`
+      : html`<button class="fm-button fm-button-secondary fm-button-disabled" data-fm="download-button" title="${t(instance, 'transcript.downloadLocked')}">📥 ${t(instance, 'transcript.downloadPro')}</button>`;
+
+    // Export PDF button - only for Pro tier
+    const exportButton = instance.state.isPro 
+      ? html`<button class="fm-button fm-button-secondary" data-fm="export-button">📄 ${t(instance, 'transcript.exportPdf')}</button>
+         <button class="fm-button fm-button-secondary" data-fm="gedcom-button" title="${t(instance, 'transcript.gedcomTitle')}">🌳 ${t(instance, 'transcript.exportGedcom')}</button>`
+      : '';
+
+    // Photo attachments - panel for Pro, upgrade button for free tier
+    const photoPanel = instance.state.isPro ? createPhotoPanelHTML(instance) : '';
+    const photoButton = instance.state.isPro
+      ? ''
+      : html`<button class="fm-button fm-button-secondary fm-button-disabled" data-fm="photo-button" title="${t(instance, 'transcript.photosLocked')}">📷 ${t(instance, 'transcript.photosPro')}</button>`;
+
+    render(modal, html`
+      <h2>${t(instance, 'transcript.title')}</h2>
+      
+      ${proHint}
+
+      ${instance.state.prompt ? html`<div class="fm-memory-prompt" data-fm="memory-prompt"></div>` : ''}
+
+      ${instance.state.audioBlob ? html`<audio class="fm-audio-player" data-fm="audio-player" controls></audio>` : ''}
+
+      ${segments.length > 0
+        ? html`<div class="fm-segments" data-fm="segments"></div>`
+        : html`<textarea class="fm-transcript-editor" data-fm="transcript-text" aria-label="${t(instance, 'transcript.label')}">${transcript || ''}</textarea>`}
+
+      ${createMetadataFormHTML(instance)}
+
+      ${photoPanel}
+      
+      <div class="fm-metadata">
+        <div class="fm-metadata-item">
+          <span class="fm-metadata-label">${t(instance, 'transcript.language')}</span>
+          <span class="fm-metadata-value">${language || t(instance, 'transcript.unknown')}</span>
+        </div>
+        <div class="fm-metadata-item">
+          <span class="fm-metadata-label">${t(instance, 'transcript.confidence')}</span>
+          <span class="fm-metadata-value">${confidence}%</span>
+        </div>
+        <div class="fm-metadata-item">
+          <span class="fm-metadata-label">${t(instance, 'transcript.duration')}</span>
+          <span class="fm-metadata-value">${formatTime(instance.state.recordingDuration)}</span>
+        </div>
+      </div>
+
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.close')}</button>
+        ${downloadButton}
+        ${photoButton}
+        ${exportButton}
+        <button class="fm-button fm-button-secondary" data-fm="save-button">💾 ${t(instance, 'button.save')}</button>
+        <button class="fm-button fm-button-primary" data-fm="copy-button">${t(instance, 'transcript.copy')}</button>
+      </div>
+    `);
+
+    // Attach event listeners
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+    getElement(instance, 'copy-button').addEventListener('click', () => copyTranscript(instance));
+    getElement(instance, 'save-button').addEventListener('click', () => saveTranscriptEdits(instance));
+    
+    // Download Recording button (only functional for Pro users)
+    const downloadBtn = getElement(instance, 'download-button');
+    if (downloadBtn) {
+      if (instance.state.isPro) {
+        downloadBtn.addEventListener('click', () => downloadRecording(instance, 'wav'));
+        getElement(instance, 'download-original-button')
+          .addEventListener('click', () => downloadRecording(instance, 'original'));
+      } else {
+        // For free users, show upgrade modal on click
+        downloadBtn.addEventListener('click', () => {
+          showUpgradeModal(instance, t(instance, 'upgrade.downloadTitle'), t(instance, 'upgrade.downloadMessage'));
+        });
+      }
+    }
+
+    // Export PDF button (Pro only)
+    const exportBtn = getElement(instance, 'export-button');
+    if (exportBtn && instance.state.isPro) {
+      exportBtn.addEventListener('click', () => exportPDF(instance));
+      getElement(instance, 'gedcom-button').addEventListener('click', () => exportGEDCOM(instance));
+    }
+
+    // Photos (Pro only)
+    if (instance.state.isPro) {
+      setupPhotoPanel(instance, 'photos');
+    } else {
+      getElement(instance, 'photo-button').addEventListener('click', () => {
+        showUpgradeModal(instance, t(instance, 'upgrade.photosTitle'), t(instance, 'upgrade.photosMessage'));
+      });
+    }
+
+    // The question this memory answers (host decks may contain any text)
+    const promptEl = getElement(instance, 'memory-prompt');
+    if (promptEl) {
+      promptEl.textContent = instance.state.prompt;
+    }
+
+    setupMetadataForm(instance);
+    setupPlayer(instance);
+
+    openModal(instance);
+  }
+
+  /**
+   * Build timed segments from a transcript result
+   * Uses the backend's segments when present, otherwise groups word
+   * timestamps into sentence-sized segments. Words are attached to their
+   * segment so they can be highlighted during playback.
+   * Returns: [{ start, end, text, words? }] (empty if there are no timings)
+   */
+  function buildTimedSegments(data) {
+    const words = Array.isArray(data.words) ? data.words : [];
+    let segments = Array.isArray(data.segments)
+      ? data.segments.map(segment => ({ ...segment }))
+      : [];
+
+    if (segments.length === 0 && words.length > 0) {
+      let current = null;
+
+      words.forEach((word, index) => {
+        if (!current) {
+          current = { start: word.start, end: word.end, words: [] };
+        }
+        current.words.push(word);
+        current.end = word.end;
+
+        const next = words[index + 1];
+        const endsSentence = /[.!?]["')]*$/.test(word.text);
+        const longPause = next && next.start - word.end > 1;
+
+        if (!next || endsSentence || longPause || current.words.length >= 20) {
+          current.text = current.words.map(item => item.text).join(' ');
+          segments.push(current);
+          current = null;
+        }
+      });
+    } else if (words.length > 0) {
+      segments = segments.map(segment => segment.words ? segment : {
+        ...segment,
+        words: words.filter(word => word.start >= segment.start - 0.01 && word.start < segment.end)
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Render timed segments and wire up click-to-seek and playback highlighting
+   */
+  function setupPlayer(instance) {
+    const player = getElement(instance, 'audio-player');
+    const container = getElement(instance, 'segments');
+    const segments = instance.state.currentTranscript.segments;
+
+    if (player) {
+      instance.state.playerUrl = URL.createObjectURL(instance.state.audioBlob);
+      player.src = instance.state.playerUrl;
+    }
+
+    if (!container) return;
+
+    const rows = segments.map((segment) => {
+      const row = document.createElement('div');
+      row.className = 'fm-segment';
+
+      const time = document.createElement('button');
+      time.type = 'button';
+      time.className = 'fm-segment-time';
+      time.textContent = formatTime(Math.floor(segment.start));
+      time.title = t(instance, 'transcript.playFromHere');
+      time.setAttribute('aria-label', t(instance, 'transcript.playFrom', { time: formatSpokenTime(instance, Math.floor(segment.start)) }));
+
+      const text = document.createElement('span');
+      text.className = 'fm-segment-text';
+      text.contentEditable = 'true';
+      text.spellcheck = true;
+      text.setAttribute('role', 'textbox');
+      text.setAttribute('aria-label', t(instance, 'transcript.segment', { time: formatSpokenTime(instance, Math.floor(segment.start)) }));
+
+      if (segment.words && segment.words.length > 0) {
+        segment.words.forEach((word, index) => {
+          const span = document.createElement('span');
+          span.className = 'fm-word';
+          span.textContent = word.text;
+          text.appendChild(span);
+          if (index < segment.words.length - 1) {
+            text.appendChild(document.createTextNode(' '));
+          }
+        });
+      } else {
+        text.textContent = segment.text;
+      }
+
+      // Clicking a segment seeks; the time label also starts playback
+      const seek = (play) => {
+        if (!player) return;
+        player.currentTime = segment.start;
+        if (play) {
+          player.play().catch(() => {});
+        }
+      };
+      time.addEventListener('click', () => seek(true));
+      text.addEventListener('click', () => seek(false));
+
+      // Edited text keeps the segment's timing; word timings no longer match
+      text.addEventListener('input', () => {
+        segment.text = text.textContent.trim();
+        delete segment.words;
+      });
+
+      row.appendChild(time);
+      row.appendChild(text);
+      container.appendChild(row);
+      return row;
+    });
+
+    if (!player) return;
+
+    player.addEventListener('timeupdate', () => {
+      const currentTime = player.currentTime;
+
+      segments.forEach((segment, index) => {
+        const row = rows[index];
+        const isActive = currentTime >= segment.start && currentTime < segment.end;
+        if (isActive && !row.classList.contains('active') && row.scrollIntoView) {
+          row.scrollIntoView({ block: 'nearest' });
+        }
+        row.classList.toggle('active', isActive);
+
+        // Word-level highlighting (only while the segment is unedited)
+        if (segment.words) {
+          const wordSpans = row.querySelectorAll('.fm-word');
+          segment.words.forEach((word, wordIndex) => {
+            if (wordSpans[wordIndex]) {
+              wordSpans[wordIndex].classList.toggle('active',
+                currentTime >= word.start && currentTime < word.end);
+            }
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Release the audio player's object URL
+   */
+  function releasePlayer(instance) {
+    if (instance.state.playerUrl) {
+      URL.revokeObjectURL(instance.state.playerUrl);
+      instance.state.playerUrl = null;
+    }
+  }
+
+  /**
+   * Pull edits from the transcript modal (plain editor or timed segments)
+   * into the current transcript
+   * Returns: the current transcript object (or null)
+   */
+  function syncTranscriptEdits(instance) {
+    const current = instance.state.currentTranscript;
+    if (!current) return null;
+
+    const textArea = getElement(instance, 'transcript-text');
+    if (textArea) {
+      current.transcript = textArea.value;
+    } else if (getElement(instance, 'segments') && current.segments.length > 0) {
+      current.transcript = current.segments.map(segment => segment.text).filter(Boolean).join(' ');
+    }
+
+    return current;
+  }
+
+  /**
+   * Show Pro upgrade modal
+   */
+  function showUpgradeModal(instance, title, message) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    render(modal, html`
+      <h2>${title}</h2>
+      
+      <div class="fm-pro-hint">
+        <strong>${t(instance, 'upgrade.price', { price: instance.config.PRO_PRICE })}</strong>
+        <p>${message}</p>
+        <p>${t(instance, 'upgrade.featuresIntro')}</p>
+        <ul class="fm-pro-features">
+          <li>${t(instance, 'upgrade.featureTime')}</li>
+          <li>${t(instance, 'upgrade.featureLimits')}</li>
+          <li>${t(instance, 'upgrade.featurePhotos')}</li>
+          <li>${t(instance, 'upgrade.featurePdf')}</li>
+          <li>${t(instance, 'upgrade.featureGedcom')}</li>
+        </ul>
+        <a href="${safeURL(instance.config.STRIPE_CHECKOUT_URL)}" target="_blank" rel="noopener" class="fm-upgrade-link">${t(instance, 'pro.upgradeNow')}</a>
+      </div>
+
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.close')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+
+    openModal(instance);
+  }
+
+  /**
+   * Show error message
+   */
+  function showError(instance, message) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    render(modal, html`
+      <h2>${t(instance, 'error.title')}</h2>
+      <div class="fm-error" role="alert">${message}</div>
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.close')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+
+    openModal(instance);
+
+    emit(instance, 'error', { message });
+  }
+
+  /**
+   * Open modal overlay
+   */
+  function openModal(instance) {
+    // Remember where focus was when the modal first opens (not on content swaps)
+    if (!instance.overlay.classList.contains('active')) {
+      instance.state.modalReturnFocus = getDeepActiveElement();
+    }
+
+    syncModalTheme(instance);
+    instance.overlay.classList.add('active');
+    focusModal(instance);
+  }
+
+  /**
+   * Close modal overlay
+   */
+  function closeModal(instance) {
+    const wasOpen = instance.overlay.classList.contains('active');
+    const wasFocusInside = instance.overlay.contains(getDeepActiveElement());
+    instance.overlay.classList.remove('active');
+    if (wasOpen) {
+      restoreFocus(instance, wasFocusInside);
+    }
+
+    // Stop playback of the transcript modal's audio player
+    const player = getElement(instance, 'audio-player');
+    if (player) {
+      player.pause();
+    }
+  }
+
+  /**
+   * Save edits from the transcript modal to the local library
+   */
+  async function saveTranscriptEdits(instance) {
+    const button = getElement(instance, 'save-button');
+
+    try {
+      await saveCurrentMemory(instance);
+
+      // Visual feedback
+      if (button) {
+        const originalText = button.textContent;
+        button.textContent = `✅ ${t(instance, 'feedback.saved')}`;
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 2000);
+      }
+    } catch (error) {
+      console.error('Error saving memory:', error);
+      showError(instance, t(instance, 'error.save', { details: error.message }));
+    }
+  }
+
+  /**
+   * Copy transcript text to clipboard
+   */
+  async function copyTranscript(instance) {
+    const current = syncTranscriptEdits(instance);
+    if (current) {
+      const text = current.transcript || '';
+
+      try {
+        await navigator.clipboard.writeText(text);
+      } catch (e) {
+        // Fallback for browsers without the async clipboard API
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+      }
+
+      // Visual feedback
+      const button = getElement(instance, 'copy-button');
+      if (button) {
+        const originalText = button.textContent;
+        button.textContent = t(instance, 'feedback.copied');
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 2000);
+      }
+    }
+  }
+
+  /**
+   * Download the recorded audio (Pro feature)
+   * format: 'wav' encodes a real PCM WAV file, 'original' saves the
+   * recorder's native blob (WebM, Ogg, MP4 or WAV) with the matching
+   * extension. Uses a timestamp-based filename.
+   */
+  async function downloadRecording(instance, format = 'wav') {
+    if (!instance.state.isPro) {
+      showUpgradeModal(instance, t(instance, 'upgrade.downloadTitle'), t(instance, 'upgrade.downloadMessage'));
+      return;
+    }
+
+    if (!instance.state.audioBlob) {
+      showError(instance, t(instance, 'error.noRecording'));
+      return;
+    }
+
+    const button = getElement(instance, format === 'wav' ? 'download-button' : 'download-original-button');
+    const originalText = button ? button.textContent : '';
+
+    try {
+      let blob = instance.state.audioBlob;
+      let extension = getAudioFormat(blob.type).extension;
+
+      if (format === 'wav') {
+        if (!canConvertToWAV(instance, instance.state.recordingDuration)) {
+          showError(instance, t(instance, 'transcript.wavTooLong', { limit: formatTime(instance.config.WAV_MAX_DURATION) }));
+          return;
+        }
+        if (button) {
+          button.disabled = true;
+          button.textContent = `⏳ ${t(instance, 'feedback.converting')}`;
+        }
+        blob = await getRecordingAsWAV(instance);
+        extension = 'wav';
+      }
+
+      triggerDownload(blob, buildFilename(extension, instance.state.metadata));
+
+      // Visual feedback
+      if (button) {
+        button.disabled = false;
+        button.textContent = `✅ ${t(instance, 'feedback.downloaded')}`;
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 2000);
+      }
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      showError(instance, t(instance, 'error.download', { details: error.message }));
+    }
+  }
+
+  // jsPDF's built-in fonts only cover Latin-1; these stand in for common
+  // characters they lack (letters lose their accents instead, e.g. ę → e)
+  const PDF_PUNCTUATION = {
+    '\u2018': "'", '\u2019': "'", '\u201C': '"', '\u201D': '"', '\u201E': '"',
+    '\u2013': '-', '\u2014': '-', '\u2026': '...', '\u2022': '-',
+    '\u2009': ' ', '\u202F': ' ', '\u0141': 'L', '\u0142': 'l'
+  };
+
+  // Font data (base64) for each PDF_FONT_URL, loaded on the first PDF export
+  const pdfFonts = {};
+
+  /**
+   * Can this text be drawn with jsPDF's built-in fonts (after swapping
+   * typographic punctuation)?
+   */
+  function fitsStandardPDFFont(text) {
+    return !/[^\x00-\xFF]/u.test(String(text).replace(/[\u2018\u2019\u201C-\u201E\u2013\u2014\u2026\u2022\u2009\u202F]/g, ''));
+  }
+
+  /**
+   * Simplify text for jsPDF's built-in fonts: swap punctuation, drop accents
+   * and replace anything else outside Latin-1 (Hebrew, emoji, ...) with "?"
+   */
+  function toStandardPDFText(text) {
+    return String(text).replace(/[^\x00-\xFF]/gu, char => PDF_PUNCTUATION[char] ||
+      char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x00-\xFF]/g, '') || '?');
+  }
+
+  /**
+   * Load a TrueType font for PDFs (cached per URL)
+   * Returns: Promise<string> (base64 font data)
+   */
+  function loadPDFFont(url) {
+    if (!pdfFonts[url]) {
+      pdfFonts[url] = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Font request failed: ${response.status} ${response.statusText}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(buffer => {
+          const bytes = new Uint8Array(buffer);
+          let binary = '';
+          for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+          }
+          return btoa(binary);
+        })
+        .catch(error => {
+          // Try again on the next export
+          delete pdfFonts[url];
+          throw error;
+        });
+    }
+    return pdfFonts[url];
+  }
+
+  /**
+   * Export transcript and metadata to PDF (Pro feature)
+   * Uses jsPDF library to create a formatted PDF document. Labels are in the
+   * widget's language when PDF_FONT_URL is set or the language fits the
+   * built-in Latin-1 fonts, otherwise in English.
+   */
+  async function exportPDF(instance) {
+    if (!instance.state.isPro) {
+      showUpgradeModal(instance, t(instance, 'upgrade.pdfTitle'), t(instance, 'upgrade.pdfMessage'));
+      return;
+    }
+
+    // Check if jsPDF is loaded
+    if (typeof window.jspdf === 'undefined' && typeof window.jsPDF === 'undefined') {
+      showError(instance, t(instance, 'error.pdfLibrary'));
+      console.error('jsPDF library not found. Add: <script src="https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js"></script>');
+      return;
+    }
+
+    try {
+      // Get the jsPDF constructor (handle both module formats)
+      const { jsPDF } = window.jspdf || window;
+      
+      if (!jsPDF) {
+        throw new Error('jsPDF constructor not available');
+      }
+
+      // Get current transcript text (including any edits)
+      const current = syncTranscriptEdits(instance);
+      const transcript = current ? current.transcript || '' : '';
+      const segments = current && current.segments ? current.segments : [];
+
+      // Create new PDF document
+      const doc = new jsPDF();
+
+      // A Unicode font (one file for every style) covers any language
+      let fontData = null;
+      if (instance.config.PDF_FONT_URL) {
+        try {
+          fontData = await loadPDFFont(instance.config.PDF_FONT_URL);
+          doc.addFileToVFS('family-memory-font.ttf', fontData);
+          ['normal', 'bold', 'italic'].forEach(style => {
+            doc.addFont('family-memory-font.ttf', 'FamilyMemory', style);
+          });
+          doc.setFont('FamilyMemory', 'normal');
+        } catch (error) {
+          console.warn('Could not load PDF_FONT_URL, using the built-in PDF font:', error);
+          fontData = null;
+        }
+      }
+
+      // Without it, labels the built-in font can't draw fall back to English
+      const labelKeys = ['pdf.title', 'pdf.date', 'pdf.sourceFile', 'pdf.question', 'pdf.transcript', 'pdf.photos',
+        'pdf.footer', 'transcript.language', 'transcript.unknown', 'transcript.confidence', 'transcript.duration',
+        ...METADATA_FIELDS.map(field => `meta.${field.key}`)];
+      const labels = fontData || labelKeys.every(key => fitsStandardPDFFont(t(instance, key)))
+        ? instance
+        : { config: { ...instance.config, LOCALE: 'en' } };
+
+      // Set up styling
+      const pageWidth = doc.internal.pageSize.getWidth();
+      const margin = 20;
+      const maxWidth = pageWidth - (margin * 2);
+      let yPosition = 20;
+
+      // Right-to-left languages start at the right margin. jsPDF reorders each
+      // line from logical to visual order (by its first strong character), so
+      // Hebrew reads correctly next to numbers and Latin text.
+      const isRTL = Boolean(fontData) && getTextDirection(labels.config.LOCALE) === 'rtl';
+      const startX = isRTL ? pageWidth - margin : margin;
+      const textOptions = fontData
+        ? { align: isRTL ? 'right' : 'left', isInputVisual: false, isOutputVisual: true, isOutputRtl: false }
+        : {};
+      const pdfText = (text) => fontData ? String(text) : toStandardPDFText(text);
+      const wrap = (text) => doc.splitTextToSize(pdfText(text), maxWidth);
+      const write = (text, y) => doc.text(text, startX, y, textOptions);
+
+      const metadata = instance.state.metadata || getDefaultMetadata(instance.config);
+
+      // Title (the memory's own title when it has one)
+      doc.setFontSize(20);
+      doc.setFont(undefined, 'bold');
+      const titleLines = wrap(metadata.title || t(labels, 'pdf.title'));
+      write(titleLines, yPosition);
+      yPosition += 8 * (titleLines.length - 1) + 15;
+
+      // Metadata section
+      doc.setFontSize(10);
+      doc.setFont(undefined, 'normal');
+      doc.setTextColor(100, 100, 100);
+      
+      const timestamp = new Date().toLocaleString(getIntlLocale(labels.config.LOCALE));
+      write(pdfText(t(labels, 'pdf.date', { date: timestamp })), yPosition);
+      yPosition += 6;
+
+      // Narrator, subjects, relationship, when, where and tags
+      getMetadataLines(metadata, labels).forEach(([label, value]) => {
+        const lines = wrap(`${label}: ${value}`);
+        write(lines, yPosition);
+        yPosition += 6 * lines.length;
+      });
+
+      if (instance.state.currentTranscript) {
+        const language = instance.state.currentTranscript.language || t(labels, 'transcript.unknown');
+        write(pdfText(`${t(labels, 'transcript.language')}: ${language}`), yPosition);
+        yPosition += 6;
+        write(pdfText(`${t(labels, 'transcript.confidence')}: ${instance.state.currentTranscript.confidence}%`), yPosition);
+        yPosition += 6;
+      }
+
+      write(pdfText(`${t(labels, 'transcript.duration')}: ${formatTime(instance.state.recordingDuration)}`), yPosition);
+      yPosition += 6;
+
+      if (instance.state.sourceFileName) {
+        write(wrap(t(labels, 'pdf.sourceFile', { name: instance.state.sourceFileName })), yPosition);
+        yPosition += 6;
+      }
+      yPosition += 9;
+
+      // Interview question the transcript answers
+      if (instance.state.prompt) {
+        doc.setFontSize(12);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(0, 0, 0);
+        write(pdfText(t(labels, 'pdf.question')), yPosition);
+        yPosition += 7;
+
+        doc.setFont(undefined, 'italic');
+        doc.setFontSize(11);
+        const promptLines = wrap(instance.state.prompt);
+        write(promptLines, yPosition);
+        yPosition += 6 * promptLines.length + 6;
+      }
+
+      // Transcript section
+      doc.setFontSize(12);
+      doc.setFont(undefined, 'bold');
+      doc.setTextColor(0, 0, 0);
+      write(pdfText(t(labels, 'pdf.transcript')), yPosition);
+      yPosition += 8;
+
+      // Transcript text (wrapped), with [M:SS] timestamps when available
+      doc.setFont(undefined, 'normal');
+      doc.setFontSize(11);
+      const lines = segments.length > 0
+        ? segments.reduce((all, segment) => all.concat(
+            wrap(`[${formatTime(Math.floor(segment.start))}] ${segment.text}`)
+          ), [])
+        : wrap(transcript);
+      
+      // Handle pagination if transcript is long
+      lines.forEach((line) => {
+        if (yPosition > 270) {  // Near bottom of page
+          doc.addPage();
+          yPosition = 20;
+        }
+        write(line, yPosition);
+        yPosition += 7;
+      });
+
+      // Attached photos, starting on a new page, each scaled to fit the
+      // page width (and at most 150mm tall) with its caption underneath
+      if (instance.state.photos.length > 0) {
+        doc.addPage();
+        yPosition = 20;
+        doc.setFontSize(12);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(0, 0, 0);
+        write(pdfText(t(labels, 'pdf.photos')), yPosition);
+        yPosition += 10;
+
+        instance.state.photos.forEach((photo) => {
+          // Older records don't store the size; ask jsPDF for it
+          const size = photo.width ? photo : doc.getImageProperties(photo.dataUrl);
+          let width = maxWidth;
+          let height = width * (size.height / size.width);
+          if (height > 150) {
+            height = 150;
+            width = height * (size.width / size.height);
+          }
+
+          const captionLines = photo.caption ? wrap(photo.caption) : [];
+          if (yPosition + height + captionLines.length * 6 > 270) {
+            doc.addPage();
+            yPosition = 20;
+          }
+
+          // jsPDF accepts base64 data URLs directly
+          try {
+            doc.addImage(photo.dataUrl, 'JPEG', isRTL ? startX - width : margin, yPosition, width, height);
+            yPosition += height + 6;
+          } catch (e) {
+            console.warn('Could not add photo to PDF:', e);
+          }
+
+          if (captionLines.length > 0) {
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'italic');
+            doc.setTextColor(80, 80, 80);
+            captionLines.forEach((line) => {
+              write(line, yPosition);
+              yPosition += 6;
+            });
+          }
+          yPosition += 8;
+        });
+      }
+
+      // Footer on last page
+      const pageCount = doc.internal.getNumberOfPages();
+      doc.setPage(pageCount);
+      doc.setFontSize(8);
+      doc.setTextColor(150, 150, 150);
+      write(pdfText(t(labels, 'pdf.footer')), 285);
+
+      // Save the PDF
+      const pdfName = getMetadataSlug(instance.state.metadata);
+      const pdfFilename = `family-memory-${pdfName ? pdfName + '-' : ''}${new Date().toISOString().slice(0, 10)}.pdf`;
+      doc.save(pdfFilename);
+
+      // Visual feedback
+      const button = getElement(instance, 'export-button');
+      if (button) {
+        const originalText = button.textContent;
+        button.textContent = `✅ ${t(instance, 'feedback.exported')}`;
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 2000);
+      }
+
+    } catch (error) {
+      console.error('Error exporting PDF:', error);
+      showError(instance, t(instance, 'error.pdf', { details: error.message }));
+    }
+  }
+
+  // ============================================================================
+  // MEMORY DETAILS
+  // ============================================================================
+
+  /**
+   * Fields of the "About this memory" form, in display order
+   * list: stored as an array, edited as comma-separated text
+   * label: the English label used in GEDCOM notes; the form and PDF use the
+   * meta.<key> message (and meta.<key>Placeholder) of the widget's locale
+   */
+  const METADATA_FIELDS = [
+    { key: 'title', label: 'Title', wide: true },
+    { key: 'narrator', label: 'Narrator' },
+    { key: 'subjects', label: 'About', list: true },
+    { key: 'relationship', label: 'Relationship' },
+    { key: 'date', label: 'When' },
+    { key: 'place', label: 'Where' },
+    { key: 'tags', label: 'Tags', list: true, wide: true }
+  ];
+
+  /**
+   * Split comma-separated text into trimmed, non-empty items
+   */
+  function splitList(text) {
+    return String(text || '').split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Details for a new memory, pre-filled from the widget's configuration
+   * Returns: { title, narrator, subjects: [], relationship, date, place, tags: [] }
+   */
+  function getDefaultMetadata(config) {
+    return {
+      title: config.TITLE || '',
+      narrator: config.NARRATOR || '',
+      subjects: splitList(config.SUBJECT),
+      relationship: config.RELATIONSHIP || '',
+      date: config.EVENT_DATE || '',
+      place: config.EVENT_PLACE || '',
+      tags: splitList(config.TAGS)
+    };
+  }
+
+  /**
+   * Details of a stored memory (records saved before the form existed only
+   * know their subject)
+   */
+  function getRecordMetadata(record) {
+    const empty = getDefaultMetadata({});
+    if (record.metadata) {
+      return { ...empty, ...record.metadata };
+    }
+    return { ...empty, subjects: splitList(record.subject) };
+  }
+
+  /**
+   * Label/value pairs for the filled-in details (title excluded), for exports
+   * instance: label in the widget's language (default: English labels)
+   */
+  function getMetadataLines(metadata, instance = null) {
+    if (!metadata) return [];
+
+    return METADATA_FIELDS
+      .filter(field => field.key !== 'title')
+      .map(field => {
+        const value = metadata[field.key];
+        const label = instance ? t(instance, `meta.${field.key}`) : field.label;
+        return [label, Array.isArray(value) ? value.join(', ') : value || ''];
+      })
+      .filter(([, value]) => value);
+  }
+
+  /**
+   * Filename fragment naming the memory: its title, else who it is about
+   */
+  function getMetadataSlug(metadata) {
+    if (!metadata) return '';
+    return slugify(metadata.title || (metadata.subjects || []).join(' '));
+  }
+
+  /**
+   * Lowercase text a library search matches against: transcript, question and details
+   */
+  function getSearchText(record) {
+    const metadata = getRecordMetadata(record);
+    return [
+      record.transcript || '',
+      record.prompt || '',
+      metadata.title,
+      ...getMetadataLines(metadata).map(([, value]) => value)
+    ].join(' ').toLowerCase();
+  }
+
+  /**
+   * "About this memory" form markup (values are filled in by setupMetadataForm)
+   */
+  function createMetadataFormHTML(instance) {
+    const fields = METADATA_FIELDS.map(field => html`
+        <label class="fm-memory-field${field.wide ? ' fm-memory-field-wide' : ''}">
+          ${t(instance, `meta.${field.key}`)}
+          <input type="text" data-fm="meta-${field.key}" placeholder="${t(instance, `meta.${field.key}Placeholder`)}">
+        </label>`);
+
+    return html`
+      <details class="fm-memory-form" open>
+        <summary>${t(instance, 'meta.heading')}</summary>
+        <div class="fm-memory-fields">${fields}
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Fill the form from the current memory and keep the state in sync
+   * Edits of a saved memory are stored when the field loses focus.
+   */
+  function setupMetadataForm(instance) {
+    if (!instance.state.metadata) {
+      instance.state.metadata = getDefaultMetadata(instance.config);
+    }
+
+    METADATA_FIELDS.forEach(field => {
+      const input = getElement(instance, `meta-${field.key}`);
+      if (!input) return;
+
+      const value = instance.state.metadata[field.key];
+      input.value = Array.isArray(value) ? value.join(', ') : value || '';
+
+      input.addEventListener('input', () => {
+        // Replaced rather than mutated, so saved records keep their own copy
+        instance.state.metadata = {
+          ...instance.state.metadata,
+          [field.key]: field.list ? splitList(input.value) : input.value.trim()
+        };
+      });
+      input.addEventListener('change', async () => {
+        if (!instance.state.currentMemoryId) return;
+        try {
+          await saveCurrentMemory(instance);
+        } catch (error) {
+          console.warn('Could not save memory details:', error);
+        }
+      });
+    });
+  }
+
+  // ============================================================================
+  // GEDCOM EXPORT (Pro)
+  // ============================================================================
+
+  const GEDCOM_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  // GEDCOM 5.5.1 limits lines to 255 characters; longer text continues on CONC lines
+  const GEDCOM_LINE_LENGTH = 200;
+
+  /**
+   * Format a timestamp as a GEDCOM date ('19 OCT 2026')
+   */
+  function formatGedcomDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getDate()} ${GEDCOM_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+  }
+
+  /**
+   * Turn a host person ID ('I42', '@I42@') into a GEDCOM cross-reference
+   */
+  function toGedcomXref(id) {
+    const name = String(id).replace(/^@+|@+$/g, '').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+    return `@${name || 'I1'}@`;
+  }
+
+  /**
+   * Split a text value over GEDCOM lines: CONT for line breaks, plus CONC for
+   * long lines in 5.5.1 (7.0 has no line length limit and dropped CONC)
+   * Returns: ['<level> <tag> <text>', '<level+1> CONT ...', ...]
+   */
+  function gedcomTextLines(level, tag, text, version) {
+    // '@' starts a pointer, so text must double it (7.0 only at line start)
+    const escape = line => (version === '7.0' ? line.replace(/^@/, '@@') : line.replace(/@/g, '@@'));
+    const lines = [];
+
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+      const chunks = [];
+      let rest = escape(line);
+
+      while (version !== '7.0' && rest.length > GEDCOM_LINE_LENGTH) {
+        // Don't split next to a space (some programs trim CONC values) or inside '@@'
+        let cut = GEDCOM_LINE_LENGTH;
+        while (cut > 1 && (rest[cut - 1] === ' ' || rest[cut] === ' ' || rest[cut - 1] === '@')) cut--;
+        chunks.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
       }
+      chunks.push(rest);
 
-      .fm-transcript-editor:focus {
-        outline: none;
-        border-color: #667eea;
+      chunks.forEach((chunk, chunkIndex) => {
+        const value = chunk ? ` ${chunk}` : '';
+        if (chunkIndex > 0) {
+          lines.push(`${level + 1} CONC${value}`);
+        } else {
+          lines.push(index === 0 ? `${level} ${tag}${value}` : `${level + 1} CONT${value}`);
+        }
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Build a GEDCOM file for one memory
+   * memory: { transcript, metadata, recordedAt, personId, personName,
+   *           audio: { path, mimeType, extension } | null, photos: [{ path, caption }] }
+   * Writes a NOTE (SNOTE in 7.0) with the transcript (and interview question), one OBJE with the audio
+   * and photos, a SOUR for the recording, and the INDI they are attached to,
+   * cited with the recording date and narrator.
+   */
+  function buildGedcom(memory, version) {
+    const v7 = version === '7.0';
+    const metadata = memory.metadata;
+    const recordedOn = formatGedcomDate(memory.recordedAt);
+    const noteTag = v7 ? 'SNOTE' : 'NOTE';
+    const title = metadata.title || `Family memory of ${memory.personName || 'unknown'}`;
+    const lines = [];
+    const add = (...items) => items.forEach(item => lines.push(...[].concat(item)));
+
+    // Header
+    add('0 HEAD', '1 GEDC', `2 VERS ${v7 ? '7.0' : '5.5.1'}`);
+    if (!v7) add('2 FORM LINEAGE-LINKED');
+    add('1 SOUR FAMILY_MEMORY_WIDGET', '2 NAME Family Memory Widget');
+    add(`1 DATE ${formatGedcomDate(Date.now())}`, '1 SUBM @U1@');
+    if (!v7) add('1 CHAR UTF-8');
+
+    // The person the memory is about, with the narrator's recording as a cited source
+    add(`0 ${toGedcomXref(memory.personId || 'I1')} INDI`);
+    if (memory.personName) add(gedcomTextLines(1, 'NAME', memory.personName, version));
+    if (memory.personId) add(`1 REFN ${String(memory.personId).replace(/@/g, '')}`, '2 TYPE Family tree ID');
+
+    const page = ['Oral history recorded', recordedOn];
+    if (metadata.narrator) {
+      page.push(`by ${metadata.narrator}${metadata.relationship ? ` (${metadata.relationship})` : ''}`);
+    }
+    add('1 SOUR @S1@', gedcomTextLines(2, 'PAGE', page.join(' '), version), '2 DATA', `3 DATE ${recordedOn}`);
+    const details = getMetadataLines(metadata).map(([label, value]) => `${label}: ${value}`).join('\n');
+    if (details) add(gedcomTextLines(2, 'NOTE', details, version));
+
+    add(`1 ${noteTag} @N1@`);
+    if (memory.audio || memory.photos.length > 0) add('1 OBJE @M1@');
+
+    // The transcript
+    add(gedcomTextLines(0, `@N1@ ${noteTag}`, memory.transcript, version));
+
+    // Recording and photos
+    if (memory.audio || memory.photos.length > 0) {
+      add('0 @M1@ OBJE');
+      if (memory.audio) {
+        add(`1 FILE ${memory.audio.path}`,
+          v7 ? `2 FORM ${memory.audio.mimeType}` : `2 FORM ${memory.audio.extension}`,
+          v7 ? '3 MEDI AUDIO' : '3 TYPE audio');
+        add(gedcomTextLines(2, 'TITL', title, version));
       }
+      memory.photos.forEach(photo => {
+        add(`1 FILE ${photo.path}`, v7 ? '2 FORM image/jpeg' : '2 FORM jpg', v7 ? '3 MEDI PHOTO' : '3 TYPE photo');
+        if (photo.caption) add(gedcomTextLines(2, 'TITL', photo.caption, version));
+      });
+    }
 
-      /* Metadata display */
-      .fm-metadata {
-        display: flex;
-        gap: 16px;
-        margin-bottom: 16px;
-        padding: 12px;
-        background: #f9fafb;
-        border-radius: 8px;
-        font-size: 14px;
+    // The recording as a source
+    add('0 @S1@ SOUR');
+    add(gedcomTextLines(1, 'TITL', title, version));
+    if (metadata.narrator) add(gedcomTextLines(1, 'AUTH', metadata.narrator, version));
+    add(`1 ${noteTag} @N1@`);
+    if (memory.audio || memory.photos.length > 0) add('1 OBJE @M1@');
+
+    add('0 @U1@ SUBM', gedcomTextLines(1, 'NAME', metadata.narrator || 'Family Memory Widget', version));
+    add('0 TRLR');
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Export the current memory as GEDCOM (Pro feature)
+   * With audio or photos the download is a ZIP of the .ged file and a media/
+   * folder (a GEDZIP .gdz for 7.0); otherwise it is the bare .ged file.
+   */
+  async function exportGEDCOM(instance) {
+    if (!instance.state.isPro) {
+      showUpgradeModal(instance, t(instance, 'upgrade.gedcomTitle'), t(instance, 'upgrade.gedcomMessage'));
+      return;
+    }
+
+    try {
+      const version = instance.config.GEDCOM_VERSION === '7.0' ? '7.0' : '5.5.1';
+      const current = syncTranscriptEdits(instance);
+      const segments = current && current.segments ? current.segments : [];
+      const answer = segments.length > 0
+        ? segments.map(segment => `[${formatTime(Math.floor(segment.start))}] ${segment.text}`).join('\n')
+        : (current && current.transcript) || '';
+      const transcript = instance.state.prompt ? `Question: ${instance.state.prompt}\n\n${answer}` : answer;
+      const metadata = instance.state.metadata || getDefaultMetadata(instance.config);
+
+      const files = [];
+      let audio = null;
+      if (instance.state.audioBlob) {
+        const mimeType = (instance.state.audioBlob.type || 'audio/webm').split(';')[0];
+        const { extension } = getAudioFormat(instance.state.audioBlob.type);
+        audio = { path: `media/recording.${extension}`, mimeType, extension };
+        files.push({ name: audio.path, bytes: new Uint8Array(await instance.state.audioBlob.arrayBuffer()) });
       }
 
-      .fm-metadata-item {
-        display: flex;
-        flex-direction: column;
+      const photos = [];
+      for (const [index, photo] of instance.state.photos.entries()) {
+        const path = `media/photo-${index + 1}.jpg`;
+        photos.push({ path, caption: photo.caption });
+        files.push({ name: path, bytes: new Uint8Array(await dataURLToBlob(photo.dataUrl).arrayBuffer()) });
       }
 
-      .fm-metadata-label {
-        color: #6b7280;
-        font-size: 12px;
-        margin-bottom: 4px;
+      const gedcom = buildGedcom({
+        transcript,
+        metadata,
+        recordedAt: instance.state.recordedAt || Date.now(),
+        personId: instance.config.PERSON_ID,
+        personName: instance.config.PERSON_NAME || metadata.subjects[0] || '',
+        audio,
+        photos
+      }, version);
+
+      if (files.length === 0) {
+        triggerDownload(new Blob([gedcom], { type: 'text/vnd.familysearch.gedcom' }), buildFilename('ged', metadata));
+      } else {
+        // GEDZIP requires the file to be called gedcom.ged
+        const gedName = version === '7.0' ? 'gedcom.ged' : buildFilename('ged', metadata);
+        files.unshift({ name: gedName, bytes: new TextEncoder().encode(gedcom) });
+        const extension = version === '7.0' ? 'gdz' : 'zip';
+        triggerDownload(createZip(files), buildFilename(extension, metadata));
       }
 
-      .fm-metadata-value {
-        color: #1f2937;
-        font-weight: 600;
+      // Visual feedback
+      const button = getElement(instance, 'gedcom-button');
+      if (button) {
+        const originalText = button.textContent;
+        button.textContent = `✅ ${t(instance, 'feedback.exported')}`;
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 2000);
       }
+    } catch (error) {
+      console.error('Error exporting GEDCOM:', error);
+      showError(instance, t(instance, 'error.gedcom', { details: error.message }));
+    }
+  }
 
-      /* Buttons */
-      .fm-button-group {
-        display: flex;
-        gap: 12px;
-        justify-content: flex-end;
+  // ============================================================================
+  // PHOTO ATTACHMENTS (Pro)
+  // ============================================================================
+
+  /**
+   * Photos stored on a library record
+   * Records saved before multi-photo support may have a single `photo` data URL.
+   */
+  function getRecordPhotos(record) {
+    if (Array.isArray(record.photos)) {
+      return record.photos;
+    }
+    return record.photo ? [{ dataUrl: record.photo, caption: '' }] : [];
+  }
+
+  /**
+   * Convert attached photos into upload parts for the transcription backend
+   */
+  function getPhotoUploads(photos) {
+    return photos.map((photo, index) => ({
+      blob: dataURLToBlob(photo.dataUrl),
+      filename: `photo-${index + 1}.jpg`,
+      caption: photo.caption || ''
+    }));
+  }
+
+  /**
+   * Photo picker markup: drop zone, file picker and (on touch devices) camera
+   */
+  function createPhotoPanelHTML(instance) {
+    const hasCamera = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+
+    return html`
+      <div class="fm-photo-drop" data-fm="photo-drop">
+        <div>${t(instance, 'photos.drop')}</div>
+        <label class="fm-button fm-button-secondary">
+          🖼️ ${t(instance, 'photos.choose')}
+          <input type="file" accept="image/*" multiple class="fm-visually-hidden" data-fm="photo-input">
+        </label>
+        ${hasCamera ? html`
+        <label class="fm-button fm-button-secondary">
+          📷 ${t(instance, 'photos.camera')}
+          <input type="file" accept="image/*" capture="environment" class="fm-visually-hidden" data-fm="photo-camera-input">
+        </label>` : ''}
+        <div class="fm-photo-status" data-fm="photo-status"></div>
+      </div>
+      <div class="fm-photo-list" data-fm="photo-list"></div>
+    `;
+  }
+
+  /**
+   * Wire up the photo panel in the current modal
+   * listKey: 'photos' (the memory in the modal) or 'pendingPhotos' (next recording)
+   */
+  function setupPhotoPanel(instance, listKey) {
+    const drop = getElement(instance, 'photo-drop');
+    if (!drop) return;
+
+    const onFiles = (files) => addPhotos(instance, listKey, files);
+
+    getElement(instance, 'photo-input').addEventListener('change', (e) => {
+      onFiles(e.target.files);
+      e.target.value = '';
+    });
+
+    const cameraInput = getElement(instance, 'photo-camera-input');
+    if (cameraInput) {
+      cameraInput.addEventListener('change', (e) => {
+        onFiles(e.target.files);
+        e.target.value = '';
+      });
+    }
+
+    drop.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      drop.classList.add('dragover');
+    });
+    drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+    drop.addEventListener('drop', (e) => {
+      e.preventDefault();
+      drop.classList.remove('dragover');
+      onFiles(e.dataTransfer.files);
+    });
+
+    renderPhotoList(instance, listKey);
+  }
+
+  /**
+   * Resize and attach image files
+   */
+  async function addPhotos(instance, listKey, fileList) {
+    const status = getElement(instance, 'photo-status');
+    const setStatus = (text) => {
+      if (status) status.textContent = text;
+    };
+
+    const files = Array.from(fileList || []);
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const room = instance.config.MAX_PHOTOS - instance.state[listKey].length;
+    const accepted = images.slice(0, Math.max(room, 0));
+
+    const problems = [];
+    if (images.length < files.length) {
+      problems.push(t(instance, 'photos.skipped', { count: files.length - images.length }));
+    }
+    if (accepted.length < images.length) {
+      problems.push(t(instance, 'photos.tooMany', { count: instance.config.MAX_PHOTOS }));
+    }
+
+    for (const [index, file] of accepted.entries()) {
+      setStatus(t(instance, 'photos.preparing', { number: index + 1, total: accepted.length }));
+      try {
+        const photo = await resizePhoto(file, {
+          maxDimension: instance.config.PHOTO_MAX_DIMENSION,
+          quality: instance.config.PHOTO_JPEG_QUALITY
+        });
+        instance.state[listKey].push({ ...photo, caption: '' });
+      } catch (error) {
+        console.warn('Could not add photo:', error);
+        problems.push(error.message);
+      }
+    }
+
+    setStatus(problems.join(' · '));
+    renderPhotoList(instance, listKey);
+    await persistPhotos(instance, listKey);
+  }
+
+  /**
+   * Render thumbnails with caption fields and remove buttons
+   */
+  function renderPhotoList(instance, listKey) {
+    const list = getElement(instance, 'photo-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    instance.state[listKey].forEach((photo, index) => {
+      const item = document.createElement('div');
+      item.className = 'fm-photo-item';
+
+      const img = document.createElement('img');
+      img.className = 'fm-photo-thumb';
+      img.src = photo.dataUrl;
+      const number = index + 1;
+      img.alt = photo.caption || t(instance, 'photos.alt', { number });
+
+      const caption = document.createElement('input');
+      caption.type = 'text';
+      caption.className = 'fm-photo-caption';
+      caption.placeholder = t(instance, 'photos.captionPlaceholder');
+      caption.setAttribute('aria-label', t(instance, 'photos.captionLabel', { number }));
+      caption.value = photo.caption || '';
+      caption.addEventListener('input', () => {
+        photo.caption = caption.value;
+        img.alt = caption.value || t(instance, 'photos.alt', { number });
+      });
+      caption.addEventListener('change', () => persistPhotos(instance, listKey));
+
+      const remove = document.createElement('button');
+      remove.className = 'fm-photo-remove';
+      remove.title = t(instance, 'photos.remove');
+      remove.setAttribute('aria-label', t(instance, 'photos.removeLabel', { number }));
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => {
+        instance.state[listKey].splice(index, 1);
+        renderPhotoList(instance, listKey);
+        persistPhotos(instance, listKey);
+      });
+
+      item.append(img, remove, caption);
+      list.appendChild(item);
+    });
+
+    updatePhotoBadge(instance);
+  }
+
+  /**
+   * Save photo changes to the library when the memory is already stored
+   */
+  async function persistPhotos(instance, listKey) {
+    if (listKey !== 'photos' || !instance.state.currentMemoryId) return;
+
+    try {
+      await saveCurrentMemory(instance);
+    } catch (error) {
+      console.warn('Could not save photos to library:', error);
+    }
+  }
+
+  /**
+   * Show how many photos are waiting for the next recording on the 📷 button
+   */
+  function updatePhotoBadge(instance) {
+    const button = getElement(instance, 'photo-side-button');
+    if (!button) return;
+
+    const count = instance.state.pendingPhotos.length;
+    if (count > 0) {
+      button.dataset.count = count;
+      button.title = t(instance, 'photos.pending', { count });
+    } else {
+      delete button.dataset.count;
+      button.title = t(instance, 'photos.button');
+    }
+    button.setAttribute('aria-label', button.title);
+  }
+
+  /**
+   * Photo modal opened from the 📷 button: attach photos before recording
+   */
+  function showPhotoModal(instance) {
+    if (!instance.state.isPro) {
+      showUpgradeModal(instance, t(instance, 'upgrade.photosTitle'), t(instance, 'upgrade.photosMessage'));
+      return;
+    }
+
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    render(modal, html`
+      <h2>${t(instance, 'photos.title')}</h2>
+      <p class="fm-photo-intro">${t(instance, 'photos.intro')}</p>
+      ${createPhotoPanelHTML(instance)}
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-primary" data-fm="close-button">${t(instance, 'button.done')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+    setupPhotoPanel(instance, 'pendingPhotos');
+
+    openModal(instance);
+  }
+
+  // ============================================================================
+  // MEMORY LIBRARY (IndexedDB)
+  // ============================================================================
+
+  const MEMORY_STORE = 'memories';
+  const QUEUE_STORE = 'uploadQueue';
+  let memoryDBPromise = null;
+
+  /**
+   * Open (and create/upgrade if needed) the IndexedDB database
+   * The connection is opened once and reused.
+   */
+  function openMemoryDB() {
+    if (memoryDBPromise) return memoryDBPromise;
+
+    memoryDBPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(MEMORY_STORE)) {
+          const store = db.createObjectStore(MEMORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    memoryDBPromise.catch(() => {
+      memoryDBPromise = null;
+    });
+
+    return memoryDBPromise;
+  }
+
+  /**
+   * Run a single request against an object store and resolve with its result
+   * Usage: runStoreRequest(MEMORY_STORE, 'readwrite', store => store.put(record))
+   */
+  async function runStoreRequest(storeName, mode, makeRequest) {
+    const db = await openMemoryDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Insert or update a memory record
+   * Returns: Promise<number> with the record id
+   */
+  function saveMemory(record) {
+    return runStoreRequest(MEMORY_STORE, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * Load a single memory record by id
+   */
+  function getMemory(id) {
+    return runStoreRequest(MEMORY_STORE, 'readonly', store => store.get(id));
+  }
+
+  /**
+   * Load all memory records, newest first
+   */
+  async function getAllMemories() {
+    const records = await runStoreRequest(MEMORY_STORE, 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Delete a memory record by id
+   */
+  function deleteMemory(id) {
+    return runStoreRequest(MEMORY_STORE, 'readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Save the memory currently shown in the transcript modal
+   * Creates a new record for fresh recordings and updates the existing record
+   * when a memory was re-opened from the library.
+   */
+  async function saveCurrentMemory(instance) {
+    if (!instance.state.currentTranscript) return null;
+
+    const { transcript, segments } = syncTranscriptEdits(instance);
+
+    const existing = instance.state.currentMemoryId
+      ? await getMemory(instance.state.currentMemoryId)
+      : null;
+
+    const record = {
+      ...(existing || {}),
+      createdAt: existing ? existing.createdAt : Date.now(),
+      updatedAt: Date.now(),
+      audioBlob: instance.state.audioBlob,
+      mimeType: instance.state.audioBlob ? instance.state.audioBlob.type : null,
+      transcript,
+      language: instance.state.currentTranscript.language || null,
+      language_probability: instance.state.currentTranscript.language_probability || null,
+      confidence: instance.state.currentTranscript.confidence,
+      segments: segments || [],
+      duration: instance.state.recordingDuration,
+      subject: existing ? existing.subject : instance.config.SUBJECT || null,
+      sourceFileName: instance.state.sourceFileName,
+      metadata: instance.state.metadata,
+      prompt: instance.state.prompt,
+      photos: instance.state.photos
+    };
+
+    const id = await saveMemory(record);
+    instance.state.currentMemoryId = id;
+
+    emit(instance, 'saved', { id, ...record });
+    return id;
+  }
+
+  /**
+   * Load a stored memory into the widget state so the transcript modal,
+   * downloads and PDF export all operate on it
+   */
+  async function loadMemoryIntoState(instance, id) {
+    const record = await getMemory(id);
+    if (!record) {
+      throw new Error('Memory not found');
+    }
+
+    instance.state.audioBlob = record.audioBlob || null;
+    instance.state.wavBlob = null;
+    instance.state.recordingDuration = record.duration || 0;
+    instance.state.sourceFileName = record.sourceFileName || null;
+    instance.state.recordedAt = record.createdAt || null;
+    instance.state.prompt = record.prompt || null;
+    instance.state.metadata = getRecordMetadata(record);
+    instance.state.photos = getRecordPhotos(record);
+    instance.state.currentMemoryId = record.id;
+    instance.state.currentTranscript = {
+      transcript: record.transcript,
+      language: record.language,
+      language_probability: record.language_probability,
+      confidence: record.confidence,
+      segments: record.segments || []
+    };
+
+    return record;
+  }
+
+  /**
+   * Re-open a stored memory in the transcript modal
+   */
+  async function openMemory(instance, id) {
+    try {
+      const record = await loadMemoryIntoState(instance, id);
+      showTranscriptModal(instance, record);
+    } catch (error) {
+      console.error('Error opening memory:', error);
+      showError(instance, t(instance, 'error.open', { details: error.message }));
+    }
+  }
+
+  /**
+   * Re-export a stored memory straight from the library list (Pro feature)
+   * format: 'wav' | 'original' | 'pdf' | 'gedcom'
+   */
+  async function exportMemory(instance, id, format) {
+    try {
+      await loadMemoryIntoState(instance, id);
+      if (format === 'pdf') {
+        await exportPDF(instance);
+      } else if (format === 'gedcom') {
+        await exportGEDCOM(instance);
+      } else {
+        await downloadRecording(instance, format);
       }
+    } catch (error) {
+      console.error('Error exporting memory:', error);
+      showError(instance, t(instance, 'error.export', { details: error.message }));
+    }
+  }
+
+  /**
+   * Show the "My Memories" library modal
+   */
+  async function showLibraryModal(instance) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    const heading = instance.config.SUBJECT
+      ? t(instance, 'library.titleOf', { subject: instance.config.SUBJECT })
+      : t(instance, 'library.title');
+
+    render(modal, html`
+      <h2>${heading}</h2>
+      <input type="search" class="fm-library-search" data-fm="library-search" placeholder="${t(instance, 'library.searchPlaceholder')}" aria-label="${t(instance, 'library.search')}">
+      <div class="fm-library-list" data-fm="library-list">
+        <p class="fm-library-empty">${t(instance, 'library.loading')}</p>
+      </div>
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.close')}</button>
+      </div>
+    `);
 
-      .fm-button {
-        padding: 10px 20px;
-        border: none;
-        border-radius: 6px;
-        font-size: 14px;
-        font-weight: 600;
-        cursor: pointer;
-        transition: all 0.2s;
-      }
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+    openModal(instance);
 
-      .fm-button-primary {
-        background: #667eea;
-        color: white;
-      }
+    let records;
+    try {
+      records = await getAllMemories();
 
-      .fm-button-primary:hover {
-        background: #5568d3;
+      // Widgets dedicated to one person only list that person's memories
+      if (instance.config.SUBJECT) {
+        records = records.filter(record => record.subject === instance.config.SUBJECT);
       }
+    } catch (error) {
+      console.error('Error loading memories:', error);
+      showError(instance, t(instance, 'error.loadLibrary', { details: error.message }));
+      return;
+    }
 
-      .fm-button-secondary {
-        background: #e5e7eb;
-        color: #1f2937;
-      }
+    const searchInput = getElement(instance, 'library-search');
+    searchInput.addEventListener('input', () => {
+      renderLibraryList(instance, records, searchInput.value);
+    });
 
-      .fm-button-secondary:hover {
-        background: #d1d5db;
-      }
+    renderLibraryList(instance, records, '');
+  }
 
-      .fm-button-disabled {
-        opacity: 0.5;
-        cursor: not-allowed !important;
-      }
+  /**
+   * Render (filtered) memory records into the library list
+   */
+  function renderLibraryList(instance, records, query) {
+    const list = getElement(instance, 'library-list');
+    if (!list) return;
+
+    const needle = query.trim().toLowerCase();
+    const matches = needle
+      ? records.filter(record => getSearchText(record).includes(needle))
+      : records;
+
+    list.innerHTML = '';
+
+    if (matches.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'fm-library-empty';
+      empty.textContent = t(instance, records.length === 0 ? 'library.empty' : 'library.noMatches');
+      list.appendChild(empty);
+      return;
+    }
 
-      .fm-button-disabled:hover {
-        background: #e5e7eb !important;
+    matches.forEach(record => {
+      const item = document.createElement('div');
+      item.className = 'fm-library-item';
+
+      const info = document.createElement('div');
+      const meta = document.createElement('div');
+      meta.className = 'fm-library-meta';
+      meta.textContent = [
+        new Date(record.createdAt).toLocaleString(getIntlLocale(instance.config.LOCALE)),
+        formatTime(record.duration || 0),
+        record.language || t(instance, 'transcript.unknown')
+      ].join(' · ');
+
+      const snippet = document.createElement('p');
+      snippet.className = 'fm-library-snippet';
+      const text = record.transcript || '';
+      snippet.textContent = text.length > 140 ? text.slice(0, 140) + '…' : text;
+
+      const title = getRecordMetadata(record).title || record.prompt;
+      if (title) {
+        const heading = document.createElement('div');
+        heading.className = 'fm-library-title';
+        heading.textContent = title;
+        info.appendChild(heading);
       }
 
-      /* Pro upgrade hint */
-      .fm-pro-hint {
-        background: linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%);
-        color: #78350f;
-        padding: 12px 16px;
-        border-radius: 8px;
-        margin-bottom: 16px;
-        font-size: 14px;
-        line-height: 1.5;
-      }
+      info.appendChild(meta);
+      info.appendChild(snippet);
 
-      .fm-pro-hint strong {
-        display: block;
-        margin-bottom: 4px;
-      }
+      const actions = document.createElement('div');
+      actions.className = 'fm-library-actions';
 
-      .fm-upgrade-link {
-        color: #78350f;
-        text-decoration: underline;
-        font-weight: 600;
-      }
+      const addAction = (label, className, handler) => {
+        const button = document.createElement('button');
+        button.className = `fm-button ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+      };
 
-      /* Loading spinner */
-      .fm-loading {
-        text-align: center;
-        padding: 32px;
-      }
+      addAction(t(instance, 'library.open'), 'fm-button-primary', () => openMemory(instance, record.id));
 
-      .fm-spinner {
-        border: 3px solid #f3f4f6;
-        border-top: 3px solid #667eea;
-        border-radius: 50%;
-        width: 40px;
-        height: 40px;
-        animation: spin 1s linear infinite;
-        margin: 0 auto 16px;
+      if (instance.state.isPro) {
+        if (canConvertToWAV(instance, record.duration)) {
+          addAction('📥 WAV', 'fm-button-secondary', () => exportMemory(instance, record.id, 'wav'));
+        }
+        addAction('📄 PDF', 'fm-button-secondary', () => exportMemory(instance, record.id, 'pdf'));
+        addAction('🌳 GEDCOM', 'fm-button-secondary', () => exportMemory(instance, record.id, 'gedcom'));
       }
 
-      @keyframes spin {
-        0% { transform: rotate(0deg); }
-        100% { transform: rotate(360deg); }
-      }
+      addAction(t(instance, 'library.delete'), 'fm-button-secondary', async () => {
+        if (!window.confirm(t(instance, 'library.confirmDelete'))) return;
 
-      /* Error message */
-      .fm-error {
-        background: #fee2e2;
-        color: #991b1b;
-        padding: 12px 16px;
-        border-radius: 8px;
-        margin-bottom: 16px;
-        font-size: 14px;
-      }
-    `;
+        try {
+          await deleteMemory(record.id);
+          if (instance.state.currentMemoryId === record.id) {
+            instance.state.currentMemoryId = null;
+          }
+          records.splice(records.indexOf(record), 1);
+          const searchInput = getElement(instance, 'library-search');
+          renderLibraryList(instance, records, searchInput ? searchInput.value : '');
+        } catch (error) {
+          console.error('Error deleting memory:', error);
+          showError(instance, t(instance, 'error.delete', { details: error.message }));
+        }
+      });
 
-    document.head.appendChild(style);
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
   }
 
+  // ============================================================================
+  // UPLOAD QUEUE (offline retry)
+  // ============================================================================
+
+  let queueTimer = null;
+  let isProcessingQueue = false;
+  let queueListenersAttached = false;
+
   /**
-   * Create the main widget HTML structure
+   * Key used to route a queued upload back to the widget that recorded it
    */
-  function createWidgetHTML() {
-    const container = document.createElement('div');
-    container.className = 'fm-widget-container';
-    container.innerHTML = `
-      <button class="fm-mic-button" id="fm-mic-button" title="Record Memory">
-        <svg class="fm-mic-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-          <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
-          <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
-        </svg>
-      </button>
-      <div class="fm-progress-container" id="fm-progress-container">
-        <div class="fm-progress-bar">
-          <div class="fm-progress-fill" id="fm-progress-fill"></div>
-          <div class="fm-time-remaining" id="fm-time-remaining">2:00 left</div>
-        </div>
-      </div>
-    `;
-
-    return container;
+  function getInstanceKey(instance) {
+    return instance.container.id || instance.config.SUBJECT || 'default';
   }
 
   /**
-   * Create the modal for displaying transcript
+   * The widget on this page that recorded a queued upload (null when it isn't
+   * on this page: the upload waits until that page is opened again)
    */
-  function createModalHTML() {
-    const modal = document.createElement('div');
-    modal.className = 'fm-modal-overlay';
-    modal.id = 'fm-modal-overlay';
-    modal.innerHTML = `
-      <div class="fm-modal" id="fm-modal">
-        <!-- Content will be dynamically inserted here -->
-      </div>
-    `;
+  function findQueueInstance(entry) {
+    return instances.find(instance => getInstanceKey(instance) === entry.instanceKey) || null;
+  }
 
-    // Close modal when clicking outside
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) {
-        closeModal();
-      }
-    });
+  /**
+   * Load all queued uploads, oldest first
+   */
+  async function getQueuedUploads() {
+    const entries = await runStoreRequest(QUEUE_STORE, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
 
-    return modal;
+  /**
+   * Persist a failed upload so it can be retried later
+   */
+  async function enqueueUpload(instance, upload, audioBlob, error) {
+    await runStoreRequest(QUEUE_STORE, 'readwrite', store => store.add({
+      createdAt: Date.now(),
+      instanceKey: getInstanceKey(instance),
+      upload,
+      audioBlob,
+      photos: instance.state.photos,
+      subject: instance.config.SUBJECT || null,
+      sourceFileName: instance.state.sourceFileName,
+      metadata: instance.state.metadata,
+      prompt: instance.state.prompt,
+      attempts: 0,
+      nextAttemptAt: Date.now() + Math.max(getRetryDelay(instance.config, 1), error.retryAfter || 0),
+      lastError: error.message,
+      failed: false
+    }));
+
+    scheduleQueueProcessing();
+    updateQueueStatus();
   }
 
-  // ============================================================================
-  // RECORDING FUNCTIONALITY
-  // ============================================================================
+  /**
+   * Exponential backoff: base, 2x base, 4x base, ... capped at the max delay
+   * Returns: delay in milliseconds
+   */
+  function getRetryDelay(config, attempt) {
+    const seconds = Math.min(
+      config.QUEUE_RETRY_BASE_DELAY * Math.pow(2, attempt - 1),
+      config.QUEUE_RETRY_MAX_DELAY
+    );
+    return seconds * 1000;
+  }
 
   /**
-   * Start audio recording
+   * Retry queued uploads that are due (or all of them when force is true)
    */
-  async function startRecording() {
-    // Check rate limit first
-    const { canRecord, usesLeft } = checkRateLimit();
-    
-    if (!canRecord) {
-      showUpgradeModal('Daily limit reached', 
-        `You've used all ${CONFIG.FREE_DAILY_LIMIT} free recordings today. Upgrade to Pro for unlimited recordings!`);
+  async function processUploadQueue(force = false) {
+    if (isProcessingQueue || instances.length === 0) return;
+    if (!navigator.onLine) {
+      updateQueueStatus();
       return;
     }
 
+    isProcessingQueue = true;
+
     try {
-      // Request microphone access
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          sampleRate: 44100
-        } 
-      });
+      const entries = await getQueuedUploads();
 
-      // Determine recording format (prefer webm with opus, fallback to available)
-      const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus') 
-        ? 'audio/webm;codecs=opus' 
-        : 'audio/webm';
+      for (const entry of entries) {
+        if (!force && (entry.failed || entry.nextAttemptAt > Date.now())) continue;
 
-      // Create MediaRecorder instance
-      widgetState.mediaRecorder = new MediaRecorder(stream, { mimeType });
-      widgetState.audioChunks = [];
+        // Only the widget that recorded it knows its API, headers and library
+        const instance = findQueueInstance(entry);
+        if (!instance) continue;
 
-      // Collect audio data
-      widgetState.mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          widgetState.audioChunks.push(event.data);
+        try {
+          const result = await transcribeAudio(instance, entry.upload);
+          await runStoreRequest(QUEUE_STORE, 'readwrite', store => store.delete(entry.id));
+          await completeQueuedUpload(instance, entry, result);
+        } catch (error) {
+          console.warn('Queued upload failed again:', error);
+          entry.attempts += 1;
+          entry.lastError = error.message;
+          entry.failed = !(error.retryable || !navigator.onLine);
+          entry.nextAttemptAt = Date.now() +
+            Math.max(getRetryDelay(instance.config, entry.attempts + 1), error.retryAfter || 0);
+          await runStoreRequest(QUEUE_STORE, 'readwrite', store => store.put(entry));
         }
-      };
+      }
+    } catch (error) {
+      console.warn('Could not process upload queue:', error);
+    } finally {
+      isProcessingQueue = false;
+      scheduleQueueProcessing();
+      updateQueueStatus();
+    }
+  }
 
-      // Handle recording completion
-      widgetState.mediaRecorder.onstop = () => {
-        // Stop all tracks to release microphone
-        stream.getTracks().forEach(track => track.stop());
-        
-        // Create blob from chunks
-        const audioBlob = new Blob(widgetState.audioChunks, { type: mimeType });
-        
-        // Store the audio blob for later download
-        widgetState.audioBlob = audioBlob;
-        
-        // Send to transcription API
-        sendToAPI(audioBlob);
-        
-        // Increment usage count
-        incrementUsageCount();
-      };
+  /**
+   * Finish a queued upload that has now been transcribed: count the use,
+   * save it to the library and notify the host page
+   */
+  async function completeQueuedUpload(instance, entry, result) {
+    incrementUsageCount(instance);
+
+    const confidence = result.language_probability
+      ? (result.language_probability * 100).toFixed(1)
+      : 'N/A';
+
+    const record = {
+      createdAt: entry.createdAt,
+      updatedAt: Date.now(),
+      audioBlob: entry.audioBlob,
+      mimeType: entry.audioBlob ? entry.audioBlob.type : null,
+      transcript: result.transcript,
+      language: result.language,
+      language_probability: result.language_probability,
+      confidence,
+      segments: buildTimedSegments(result),
+      duration: entry.upload.duration || 0,
+      subject: entry.subject,
+      sourceFileName: entry.sourceFileName || null,
+      metadata: entry.metadata || null,
+      prompt: entry.prompt || null,
+      photos: entry.photos || []
+    };
 
-      // Start recording
-      widgetState.mediaRecorder.start();
-      widgetState.isRecording = true;
-      widgetState.startTime = Date.now();
-      widgetState.recordingDuration = 0;
+    const id = await saveMemory(record);
 
-      // Update UI
-      updateRecordingUI(true);
+    emit(instance, 'transcribed', { ...result, confidence, duration: record.duration, metadata: record.metadata, prompt: record.prompt });
+    emit(instance, 'saved', { id, ...record });
 
-      // Start timer
-      startTimer();
+    instance.state.queueNotice = `✅ ${t(instance, 'queue.transcribed')}`;
+  }
+
+  /**
+   * Schedule the next automatic retry for the earliest due upload
+   */
+  async function scheduleQueueProcessing() {
+    if (queueTimer) {
+      clearTimeout(queueTimer);
+      queueTimer = null;
+    }
+
+    try {
+      const pending = (await getQueuedUploads()).filter(entry => !entry.failed && findQueueInstance(entry));
+      if (pending.length === 0) return;
 
+      const nextAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+      queueTimer = setTimeout(() => processUploadQueue(), Math.max(nextAt - Date.now(), 0));
     } catch (error) {
-      console.error('Error starting recording:', error);
-      showError('Could not access microphone. Please check your permissions and try again.');
+      console.warn('Could not schedule upload retries:', error);
     }
   }
 
   /**
-   * Stop audio recording
+   * Refresh the queue status line on every widget
    */
-  function stopRecording() {
-    if (widgetState.mediaRecorder && widgetState.isRecording) {
-      widgetState.mediaRecorder.stop();
-      widgetState.isRecording = false;
+  async function updateQueueStatus() {
+    let entries = [];
+    try {
+      entries = await getQueuedUploads();
+    } catch (error) {
+      // IndexedDB unavailable: nothing can be queued
+    }
 
-      // Stop timer
-      if (widgetState.timerInterval) {
-        clearInterval(widgetState.timerInterval);
-        widgetState.timerInterval = null;
+    instances.forEach(instance => {
+      const status = getElement(instance, 'queue-status');
+      const text = getElement(instance, 'queue-text');
+      const retryButton = getElement(instance, 'queue-retry');
+      const discardButton = getElement(instance, 'queue-discard');
+      if (!status || !text || !retryButton || !discardButton) return;
+
+      const key = getInstanceKey(instance);
+      const mine = entries.filter(entry => entry.instanceKey === key);
+
+      if (mine.length > 0) {
+        const failed = mine.filter(entry => entry.failed).length;
+        const parts = [t(instance, navigator.onLine ? 'queue.waiting' : 'queue.waitingOffline', { count: mine.length })];
+        if (failed > 0) parts.push(t(instance, 'queue.attention', { count: failed }));
+        text.textContent = `⏳ ${parts.join(' · ')}`;
+        retryButton.style.display = '';
+        discardButton.style.display = failed > 0 ? '' : 'none';
+        status.classList.add('active');
+      } else if (instance.state.queueNotice) {
+        text.textContent = instance.state.queueNotice;
+        retryButton.style.display = 'none';
+        discardButton.style.display = 'none';
+        status.classList.add('active');
+        instance.state.queueNotice = null;
+        setTimeout(() => updateQueueStatus(), 8000);
+      } else {
+        status.classList.remove('active');
       }
+    });
+  }
 
-      // Update UI
-      updateRecordingUI(false);
-    }
+  /**
+   * Retry every queued upload right away (the "Retry now" button)
+   */
+  function retryQueueNow() {
+    processUploadQueue(true);
   }
 
   /**
-   * Start the recording timer and progress bar
+   * Delete this widget's uploads that the server rejected (the "Discard failed"
+   * button), after showing the user the last error
    */
-  function startTimer() {
-    const maxTime = widgetState.isPro ? CONFIG.PRO_TIME_LIMIT : CONFIG.FREE_TIME_LIMIT;
+  async function discardFailedUploads(instance) {
+    const key = getInstanceKey(instance);
 
-    widgetState.timerInterval = setInterval(() => {
-      widgetState.recordingDuration++;
+    try {
+      const failed = (await getQueuedUploads())
+        .filter(entry => entry.failed && entry.instanceKey === key);
+      if (failed.length === 0) return;
 
-      // Calculate time remaining
-      const timeRemaining = maxTime - widgetState.recordingDuration;
-      
-      // Update progress bar
-      updateProgressBar(widgetState.recordingDuration, maxTime);
+      const lastError = failed[failed.length - 1].lastError || '';
+      if (!window.confirm(t(instance, 'queue.confirmDiscard', { count: failed.length, error: lastError }))) return;
 
-      // Auto-stop when time limit reached
-      if (timeRemaining <= 0) {
-        stopRecording();
+      for (const entry of failed) {
+        await runStoreRequest(QUEUE_STORE, 'readwrite', store => store.delete(entry.id));
       }
-    }, 1000);
+    } catch (error) {
+      console.warn('Could not discard failed uploads:', error);
+    } finally {
+      updateQueueStatus();
+    }
   }
 
   /**
-   * Update progress bar display
+   * Start processing the queue and retry whenever the browser reconnects
+   * (listeners are attached once for all widgets)
    */
-  function updateProgressBar(current, max) {
-    const progressFill = document.getElementById('fm-progress-fill');
-    const timeRemaining = document.getElementById('fm-time-remaining');
+  function startUploadQueue() {
+    if (!queueListenersAttached) {
+      queueListenersAttached = true;
+      window.addEventListener('online', () => processUploadQueue(true));
+      window.addEventListener('offline', () => updateQueueStatus());
+    }
 
-    if (progressFill && timeRemaining) {
-      const remaining = max - current;
-      const percentage = (remaining / max) * 100;
-      
-      progressFill.style.width = `${percentage}%`;
-      timeRemaining.textContent = `${formatTime(remaining)} left`;
+    processUploadQueue();
+  }
+
+  /**
+   * Tell the user their recording was kept for a later upload
+   */
+  function showQueuedModal(instance, error) {
+    const modal = getElement(instance, 'modal');
+    if (!modal) return;
+
+    let reason = t(instance, 'queue.reasonServer');
+    if (!navigator.onLine) {
+      reason = t(instance, 'queue.reasonOffline');
+    } else if (error && error.code === 'ratelimit') {
+      reason = t(instance, 'queue.reasonLimit', { wait: formatWait(instance, error.retryAfter || 0) });
+    }
+
+    render(modal, html`
+      <h2>${t(instance, 'queue.title')}</h2>
+      <div class="fm-pro-hint">
+        <strong>${t(instance, 'queue.safe')}</strong>
+        ${reason}
+      </div>
+      <div class="fm-button-group">
+        <button class="fm-button fm-button-secondary" data-fm="close-button">${t(instance, 'button.close')}</button>
+        <button class="fm-button fm-button-primary" data-fm="retry-button">${t(instance, 'queue.retryNow')}</button>
+      </div>
+    `);
+
+    getElement(instance, 'close-button').addEventListener('click', () => closeModal(instance));
+    getElement(instance, 'retry-button').addEventListener('click', () => {
+      closeModal(instance);
+      retryQueueNow();
+    });
+
+    openModal(instance);
+  }
+
+  // ============================================================================
+  // PRO ENTITLEMENT
+  // ============================================================================
+
+  const ENTITLEMENT_STORAGE_KEY = 'familyMemory_entitlement';
+  const ENTITLEMENT_MESSAGE_TYPE = 'familymemory:entitlement';
+
+  // Page-wide entitlement (shared by all widgets)
+  const entitlement = {
+    config: null,       // Settings taken from the first widget's config
+    token: null,        // Verified token
+    claims: null,       // Its payload
+    isPro: false,
+    refreshTimer: null
+  };
+
+  /**
+   * Decode a base64url string to bytes
+   */
+  function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+      .padEnd(Math.ceil(value.length / 4) * 4, '=');
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
     }
+    return bytes;
   }
 
   /**
-   * Update UI to reflect recording state
+   * Import the entitlement public key for WebCrypto verification
+   * key: PEM "-----BEGIN PUBLIC KEY-----" string, JWK object, or JWK as JSON string
    */
-  function updateRecordingUI(isRecording) {
-    const button = document.getElementById('fm-mic-button');
-    const progressContainer = document.getElementById('fm-progress-container');
+  async function importEntitlementKey(key, algorithm) {
+    const params = algorithm === 'RS256'
+      ? { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+      : { name: 'ECDSA', namedCurve: 'P-256' };
 
-    if (button) {
-      if (isRecording) {
-        button.classList.add('recording');
-        button.title = 'Stop Recording';
-      } else {
-        button.classList.remove('recording');
-        button.title = 'Record Memory';
-      }
+    if (typeof key === 'string' && key.trim().startsWith('{')) {
+      key = JSON.parse(key);
     }
 
-    if (progressContainer) {
-      if (isRecording) {
-        progressContainer.classList.add('active');
-      } else {
-        progressContainer.classList.remove('active');
+    if (key && typeof key === 'object') {
+      return crypto.subtle.importKey('jwk', key, params, false, ['verify']);
+    }
+
+    const body = String(key)
+      .replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '')
+      .replace(/\s+/g, '');
+    return crypto.subtle.importKey('spki', base64UrlToBytes(body), params, false, ['verify']);
+  }
+
+  /**
+   * Verify a Pro entitlement token (compact JWT)
+   * Checks the signature, algorithm, expiry (`exp` is required), `nbf`,
+   * optional issuer/audience, and that the token grants `tier: 'pro'`.
+   * Returns: Promise<claims>; rejects with the reason the token is invalid
+   */
+  async function verifyEntitlementToken(token, config) {
+    if (!config.ENTITLEMENT_PUBLIC_KEY) {
+      throw new Error('No ENTITLEMENT_PUBLIC_KEY configured');
+    }
+    if (!window.crypto || !crypto.subtle) {
+      throw new Error('WebCrypto is not available (HTTPS is required)');
+    }
+
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(base64UrlToBytes(parts[0])));
+    const claims = JSON.parse(decoder.decode(base64UrlToBytes(parts[1])));
+
+    // Never let the token choose its own algorithm
+    if (header.alg !== config.ENTITLEMENT_ALGORITHM) {
+      throw new Error(`Unexpected token algorithm "${header.alg}"`);
+    }
+
+    const key = await importEntitlementKey(config.ENTITLEMENT_PUBLIC_KEY, config.ENTITLEMENT_ALGORITHM);
+    const verifyParams = config.ENTITLEMENT_ALGORITHM === 'RS256'
+      ? { name: 'RSASSA-PKCS1-v1_5' }
+      : { name: 'ECDSA', hash: 'SHA-256' };
+    const isValid = await crypto.subtle.verify(
+      verifyParams,
+      key,
+      base64UrlToBytes(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!isValid) {
+      throw new Error('Invalid token signature');
+    }
+
+    const now = Date.now() / 1000;
+    if (typeof claims.exp !== 'number' || claims.exp <= now) {
+      throw new Error('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now) {
+      throw new Error('Token is not valid yet');
+    }
+    if (config.ENTITLEMENT_ISSUER && claims.iss !== config.ENTITLEMENT_ISSUER) {
+      throw new Error('Token issuer does not match');
+    }
+    if (config.ENTITLEMENT_AUDIENCE) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(config.ENTITLEMENT_AUDIENCE)) {
+        throw new Error('Token audience does not match');
       }
     }
+    if (claims.tier !== 'pro') {
+      throw new Error('Token does not grant Pro');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Verify a token and, if valid, cache it and unlock Pro on every widget
+   * Returns: Promise<boolean> (true when the token was accepted)
+   */
+  async function acceptEntitlementToken(token) {
+    if (!entitlement.config) return false;
+
+    try {
+      const claims = await verifyEntitlementToken(token, entitlement.config);
+      entitlement.token = token;
+      entitlement.claims = claims;
+    } catch (error) {
+      console.warn('Pro entitlement token rejected:', error.message);
+      return false;
+    }
+
+    // Storage blocked (e.g. Safari private mode): Pro still applies for this page
+    try {
+      localStorage.setItem(ENTITLEMENT_STORAGE_KEY, token);
+    } catch (e) {
+      console.warn('Could not cache Pro entitlement token:', e);
+    }
+
+    setEntitlementStatus(true);
+    return true;
+  }
+
+  /**
+   * Forget the cached token and fall back to the free tier
+   */
+  function clearEntitlement() {
+    entitlement.token = null;
+    entitlement.claims = null;
+    try {
+      localStorage.removeItem(ENTITLEMENT_STORAGE_KEY);
+    } catch (e) {
+      console.warn('Could not clear cached Pro entitlement token:', e);
+    }
+    setEntitlementStatus(false);
   }
 
-  // ============================================================================
-  // API COMMUNICATION
-  // ============================================================================
-
   /**
-   * Send audio blob to transcription API
+   * Ask the entitlement endpoint for a fresh token
+   * The request carries the site's cookies and, if we have one, the current
+   * token as a bearer token so the server can renew it.
    */
-  async function sendToAPI(audioBlob) {
-    // Show loading modal
-    showLoadingModal();
+  async function refreshEntitlement() {
+    const config = entitlement.config;
+    if (!config) return;
+
+    // A cached token may have expired since the last check
+    if (entitlement.token) {
+      try {
+        await verifyEntitlementToken(entitlement.token, config);
+      } catch (error) {
+        clearEntitlement();
+      }
+    }
 
-    try {
-      // Create FormData for multipart upload
-      const formData = new FormData();
-      formData.append('file', audioBlob, 'recording.webm');
+    if (!config.ENTITLEMENT_URL) return;
 
-      // For Pro users, we could add photo upload here
-      // formData.append('photo', photoBlob, 'photo.jpg');
+    try {
+      const headers = { Accept: 'application/json' };
+      if (entitlement.token) {
+        headers.Authorization = `Bearer ${entitlement.token}`;
+      }
 
-      // Send to API
-      const response = await fetch(CONFIG.API_URL, {
-        method: 'POST',
-        body: formData
-      });
+      const response = await fetch(config.ENTITLEMENT_URL, { credentials: 'include', headers });
 
+      // The server says this user has no (or no longer has) Pro
+      if (response.status === 401 || response.status === 403 || response.status === 404) {
+        clearEntitlement();
+        return;
+      }
       if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        throw new Error(`Entitlement request failed: ${response.status} ${response.statusText}`);
       }
 
-      const result = await response.json();
-      
-      // Display transcript in modal
-      showTranscriptModal(result);
-
+      const data = await response.json();
+      if (!data || !data.token) {
+        clearEntitlement();
+      } else if (!(await acceptEntitlementToken(data.token))) {
+        clearEntitlement();
+      }
     } catch (error) {
-      console.error('Error sending to API:', error);
-      showError('Failed to transcribe audio. Please try again. Error: ' + error.message);
+      // Network trouble: keep the cached (still unexpired) token
+      console.warn('Could not refresh Pro entitlement:', error);
     }
   }
 
-  // ============================================================================
-  // MODAL DISPLAY
-  // ============================================================================
-
   /**
-   * Show loading spinner while waiting for transcription
+   * Update the Pro flag on every widget and notify the host page
    */
-  function showLoadingModal() {
-    const modal = document.getElementById('fm-modal');
-    if (!modal) return;
+  function setEntitlementStatus(isPro) {
+    const changed = entitlement.isPro !== isPro;
+    entitlement.isPro = isPro;
 
-    modal.innerHTML = `
-      <div class="fm-loading">
-        <div class="fm-spinner"></div>
-        <p>Transcribing your memory...</p>
-      </div>
-    `;
+    instances.forEach(instance => {
+      const wasPro = instance.state.isPro;
+      applyProStatus(instance);
 
-    openModal();
+      if (changed || wasPro !== instance.state.isPro) {
+        emit(instance, 'prochange', { isPro: instance.state.isPro, claims: entitlement.claims });
+      }
+    });
   }
 
   /**
-   * Show transcript results in modal
+   * Set an instance's Pro flag from the verified entitlement (or, only when
+   * ALLOW_INSECURE_PRO_FLAG is on, the demo localStorage flag)
    */
-  function showTranscriptModal(data) {
-    const modal = document.getElementById('fm-modal');
-    if (!modal) return;
-
-    const { transcript, language, language_probability } = data;
-    const confidence = language_probability ? (language_probability * 100).toFixed(1) : 'N/A';
-
-    // Store transcript data for later use
-    widgetState.currentTranscript = {
-      transcript,
-      language,
-      language_probability,
-      confidence
-    };
-
-    // Show Pro upgrade hint for free users
-    const proHint = !widgetState.isPro ? `
-      <div class="fm-pro-hint">
-        <strong>💡 Upgrade to Pro for $${CONFIG.PRO_PRICE}</strong>
-        Get unlimited recording time, photo uploads, PDF export with timestamps, and audio downloads.
-        <a href="${CONFIG.STRIPE_CHECKOUT_URL}" target="_blank" class="fm-upgrade-link">Upgrade Now</a>
-      </div>
-    ` : '';
-
-    // Download Recording button - disabled for free tier with tooltip
-    const downloadButton = widgetState.isPro 
-      ? `<button class="fm-button fm-button-secondary" id="fm-download-button">📥 Download Recording</button>`
-      : `<button class="fm-button fm-button-secondary fm-button-disabled" id="fm-download-button" title="Upgrade to Pro to download recordings">📥 Download Recording (Pro)</button>`;
-
-    // Export PDF button - only for Pro tier
-    const exportButton = widgetState.isPro 
-      ? `<button class="fm-button fm-button-secondary" id="fm-export-button">📄 Export PDF</button>`
-      : '';
-
-    modal.innerHTML = `
-      <h2>Your Family Memory</h2>
-      
-      ${proHint}
-
-      <textarea class="fm-transcript-editor" id="fm-transcript-text">${transcript || ''}</textarea>
-      
-      <div class="fm-metadata">
-        <div class="fm-metadata-item">
-          <span class="fm-metadata-label">Detected Language</span>
-          <span class="fm-metadata-value">${language || 'Unknown'}</span>
-        </div>
-        <div class="fm-metadata-item">
-          <span class="fm-metadata-label">Confidence</span>
-          <span class="fm-metadata-value">${confidence}%</span>
-        </div>
-        <div class="fm-metadata-item">
-          <span class="fm-metadata-label">Duration</span>
-          <span class="fm-metadata-value">${formatTime(widgetState.recordingDuration)}</span>
-        </div>
-      </div>
-
-      <div class="fm-button-group">
-        <button class="fm-button fm-button-secondary" id="fm-close-button">Close</button>
-        ${downloadButton}
-        ${exportButton}
-        <button class="fm-button fm-button-primary" id="fm-copy-button">Copy Text</button>
-      </div>
-    `;
-
-    // Attach event listeners
-    document.getElementById('fm-close-button').addEventListener('click', closeModal);
-    document.getElementById('fm-copy-button').addEventListener('click', copyTranscript);
-    
-    // Download Recording button (only functional for Pro users)
-    const downloadBtn = document.getElementById('fm-download-button');
-    if (downloadBtn) {
-      if (widgetState.isPro) {
-        downloadBtn.addEventListener('click', downloadRecording);
-      } else {
-        // For free users, show upgrade modal on click
-        downloadBtn.addEventListener('click', () => {
-          showUpgradeModal('Pro Feature: Download Recording', 
-            'Download your audio recordings as WAV files. This feature is available with Pro upgrade.');
-        });
+  function applyProStatus(instance) {
+    let insecureFlag = false;
+    if (instance.config.ALLOW_INSECURE_PRO_FLAG) {
+      try {
+        insecureFlag = localStorage.getItem('familyMemory_pro') === 'true';
+      } catch (e) {
+        console.warn('localStorage not available:', e);
       }
     }
 
-    // Export PDF button (Pro only)
-    const exportBtn = document.getElementById('fm-export-button');
-    if (exportBtn && widgetState.isPro) {
-      exportBtn.addEventListener('click', exportPDF);
+    instance.state.isPro = entitlement.isPro || insecureFlag;
+
+    // Show the new limit unless a recording is in progress
+    if (!instance.state.isRecording) {
+      updateProgressBar(instance, 0, getTimeLimit(instance));
     }
+    updateQuotaLabel(instance);
+  }
 
-    openModal();
+  /**
+   * Is a postMessage from this origin allowed to hand over a token?
+   */
+  function isTrustedEntitlementOrigin(origin) {
+    if (origin === window.location.origin) return true;
+
+    return String(entitlement.config.ENTITLEMENT_ORIGINS || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean)
+      .includes(origin);
   }
 
   /**
-   * Show Pro upgrade modal
+   * Set up the entitlement for the page (once): load the cached token,
+   * pick up a token handed over by a checkout success page, then re-check
+   * with the server on an interval
    */
-  function showUpgradeModal(title, message) {
-    const modal = document.getElementById('fm-modal');
-    if (!modal) return;
+  async function startEntitlement(config) {
+    if (entitlement.config) return;
+    entitlement.config = config;
+
+    // Success pages can hand a token over with postMessage:
+    //   window.opener.postMessage({ type: 'familymemory:entitlement', token }, 'https://your-site')
+    window.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== ENTITLEMENT_MESSAGE_TYPE || !event.data.token) return;
+      if (!isTrustedEntitlementOrigin(event.origin)) {
+        console.warn(`Ignoring Pro entitlement message from untrusted origin ${event.origin}`);
+        return;
+      }
+      acceptEntitlementToken(event.data.token);
+    });
 
-    modal.innerHTML = `
-      <h2>${title}</h2>
-      
-      <div class="fm-pro-hint">
-        <strong>Upgrade to Pro - Only $${CONFIG.PRO_PRICE}</strong>
-        <p>${message}</p>
-        <p>Pro features include:</p>
-        <ul style="margin: 8px 0; padding-left: 20px;">
-          <li>Unlimited recording time (up to 5 minutes)</li>
-          <li>No daily limits</li>
-          <li>Photo upload capability</li>
-          <li>PDF export with timestamps</li>
-        </ul>
-        <a href="${CONFIG.STRIPE_CHECKOUT_URL}" target="_blank" class="fm-upgrade-link">Upgrade Now</a>
-      </div>
+    // ...or by redirecting back with ?fm_token=<token> (removed from the
+    // address bar so it isn't bookmarked or shared)
+    const url = new URL(window.location.href);
+    const handedOver = url.searchParams.get('fm_token');
+    if (handedOver) {
+      url.searchParams.delete('fm_token');
+      window.history.replaceState(window.history.state, '', url.toString());
+    }
 
-      <div class="fm-button-group">
-        <button class="fm-button fm-button-secondary" id="fm-close-button">Close</button>
-      </div>
-    `;
+    let cached = null;
+    try {
+      cached = localStorage.getItem(ENTITLEMENT_STORAGE_KEY);
+    } catch (e) {
+      console.warn('Could not read cached Pro entitlement token:', e);
+    }
+    const accepted = (handedOver && await acceptEntitlementToken(handedOver)) ||
+      (cached && await acceptEntitlementToken(cached));
+    if (!accepted && cached) {
+      clearEntitlement();
+    }
 
-    document.getElementById('fm-close-button').addEventListener('click', closeModal);
+    await refreshEntitlement();
 
-    openModal();
+    if (config.ENTITLEMENT_REFRESH_INTERVAL > 0) {
+      entitlement.refreshTimer = setInterval(refreshEntitlement, config.ENTITLEMENT_REFRESH_INTERVAL * 1000);
+    }
   }
 
-  /**
-   * Show error message
-   */
-  function showError(message) {
-    const modal = document.getElementById('fm-modal');
-    if (!modal) return;
+  // ============================================================================
+  // EVENTS & PUBLIC API
+  // ============================================================================
 
-    modal.innerHTML = `
-      <h2>Error</h2>
-      <div class="fm-error">${message}</div>
-      <div class="fm-button-group">
-        <button class="fm-button fm-button-secondary" id="fm-close-button">Close</button>
-      </div>
-    `;
+  // Events a host page can subscribe to with on() or as DOM CustomEvents
+  // named 'familymemory:<event>' dispatched on the widget's container
+  const EVENT_NAMES = ['recordingstart', 'recordingstop', 'chunktranscribed', 'transcribed', 'error', 'saved', 'prochange'];
 
-    document.getElementById('fm-close-button').addEventListener('click', closeModal);
+  /**
+   * Notify subscribers and dispatch a matching DOM CustomEvent on the container
+   */
+  function emit(instance, eventName, detail) {
+    (instance.listeners[eventName] || []).slice().forEach(callback => {
+      try {
+        callback(detail);
+      } catch (error) {
+        console.error(`Error in "${eventName}" listener:`, error);
+      }
+    });
 
-    openModal();
+    instance.container.dispatchEvent(new CustomEvent(`familymemory:${eventName}`, {
+      detail,
+      bubbles: true
+    }));
   }
 
   /**
-   * Open modal overlay
+   * Get the current transcript, including any edits made in the modal
+   * Returns: { transcript, language, language_probability, confidence, duration } or null
    */
-  function openModal() {
-    const overlay = document.getElementById('fm-modal-overlay');
-    if (overlay) {
-      overlay.classList.add('active');
-    }
+  function getTranscript(instance) {
+    if (!instance.state.currentTranscript) return null;
+
+    syncTranscriptEdits(instance);
+
+    return {
+      ...instance.state.currentTranscript,
+      duration: instance.state.recordingDuration,
+      metadata: instance.state.metadata,
+      prompt: instance.state.prompt
+    };
   }
 
   /**
-   * Close modal overlay
+   * Replace the transcript text (updates the open modal too)
    */
-  function closeModal() {
-    const overlay = document.getElementById('fm-modal-overlay');
-    if (overlay) {
-      overlay.classList.remove('active');
+  function setTranscript(instance, text) {
+    if (!instance.state.currentTranscript) {
+      instance.state.currentTranscript = {
+        transcript: '',
+        language: null,
+        language_probability: null,
+        confidence: 'N/A'
+      };
     }
-  }
 
-  /**
-   * Copy transcript text to clipboard
-   */
-  function copyTranscript() {
-    const textArea = document.getElementById('fm-transcript-text');
+    instance.state.currentTranscript.transcript = text;
+
+    // Replaced text no longer lines up with the old segment timings
+    const hadSegments = instance.state.currentTranscript.segments &&
+      instance.state.currentTranscript.segments.length > 0;
+    instance.state.currentTranscript.segments = [];
+
+    const textArea = getElement(instance, 'transcript-text');
     if (textArea) {
-      textArea.select();
-      document.execCommand('copy');
-      
-      // Visual feedback
-      const button = document.getElementById('fm-copy-button');
-      if (button) {
-        const originalText = button.textContent;
-        button.textContent = 'Copied!';
-        setTimeout(() => {
-          button.textContent = originalText;
-        }, 2000);
-      }
+      textArea.value = text;
+    } else if (hadSegments && getElement(instance, 'segments')) {
+      showTranscriptModal(instance, instance.state.currentTranscript);
     }
   }
 
   /**
-   * Download the recorded audio as a WAV file (Pro feature)
-   * Creates a download link with timestamp-based filename
+   * Remove a widget instance: release the microphone, remove its markup and
+   * modal, and drop all subscribers
    */
-  function downloadRecording() {
-    if (!widgetState.isPro) {
-      showUpgradeModal('Pro Feature Required', 
-        'Download your audio recordings as WAV files with Pro upgrade.');
-      return;
+  function destroyInstance(instance) {
+    instance.state.isDestroyed = true;
+
+    if (instance.state.isRecording) {
+      stopRecording(instance);
     }
 
-    if (!widgetState.audioBlob) {
-      showError('No audio recording available to download.');
-      return;
+    if (instance.state.timerInterval) {
+      clearInterval(instance.state.timerInterval);
+      instance.state.timerInterval = null;
     }
 
-    try {
-      // Generate timestamp for filename
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-      const filename = `family-memory-${timestamp}.wav`;
-
-      // Create download link
-      const url = URL.createObjectURL(widgetState.audioBlob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      
-      // Cleanup
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+    cancelTranscription(instance);
+    clearTimeout(instance.state.quotaTimer);
 
-      // Visual feedback
-      const button = document.getElementById('fm-download-button');
-      if (button) {
-        const originalText = button.textContent;
-        button.textContent = '✅ Downloaded!';
-        setTimeout(() => {
-          button.textContent = originalText;
-        }, 2000);
-      }
-    } catch (error) {
-      console.error('Error downloading recording:', error);
-      showError('Failed to download recording. Please try again.');
+    instance.hosts.widget.remove();
+    instance.hosts.modal.remove();
+    instance.listeners = {};
+
+    const index = instances.indexOf(instance);
+    if (index !== -1) {
+      instances.splice(index, 1);
     }
   }
 
   /**
-   * Export transcript and metadata to PDF (Pro feature)
-   * Uses jsPDF library to create a formatted PDF document
+   * Build the public handle for a widget instance
    */
-  function exportPDF() {
-    if (!widgetState.isPro) {
-      showUpgradeModal('Pro Feature Required', 
-        'Export your transcripts to PDF with Pro upgrade.');
-      return;
-    }
-
-    // Check if jsPDF is loaded
-    if (typeof window.jspdf === 'undefined' && typeof window.jsPDF === 'undefined') {
-      showError('PDF export library not loaded. Please include jsPDF library in your page.');
-      console.error('jsPDF library not found. Add: <script src="https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js"></script>');
-      return;
-    }
-
-    try {
-      // Get the jsPDF constructor (handle both module formats)
-      const { jsPDF } = window.jspdf || window;
-      
-      if (!jsPDF) {
-        throw new Error('jsPDF constructor not available');
+  function createPublicAPI(instance) {
+    return {
+      element: instance.container,
+      start: () => startRecording(instance),
+      stop: () => stopRecording(instance),
+      pause: () => pauseRecording(instance),
+      resume: () => resumeRecording(instance),
+      transcribeFile: (file) => transcribeAudioFile(instance, file),
+      getTranscript: () => getTranscript(instance),
+      setTranscript: (text) => setTranscript(instance, text),
+      setTheme: (theme) => setTheme(instance, theme),
+      open: () => {
+        if (instance.state.currentTranscript) {
+          showTranscriptModal(instance, getTranscript(instance));
+        } else {
+          showLibraryModal(instance);
+        }
+      },
+      close: () => closeModal(instance),
+      destroy: () => destroyInstance(instance),
+
+      /**
+       * Subscribe to a widget event
+       * Returns: a function that removes the subscription
+       */
+      on: (eventName, callback) => {
+        if (!EVENT_NAMES.includes(eventName)) {
+          throw new Error(`Unknown event "${eventName}". Use one of: ${EVENT_NAMES.join(', ')}`);
+        }
+        (instance.listeners[eventName] = instance.listeners[eventName] || []).push(callback);
+        return () => {
+          const callbacks = instance.listeners[eventName] || [];
+          const index = callbacks.indexOf(callback);
+          if (index !== -1) callbacks.splice(index, 1);
+        };
+      },
+
+      /**
+       * Unsubscribe a callback registered with on()
+       */
+      off: (eventName, callback) => {
+        const callbacks = instance.listeners[eventName] || [];
+        const index = callbacks.indexOf(callback);
+        if (index !== -1) callbacks.splice(index, 1);
       }
+    };
+  }
 
-      // Get current transcript text (including any edits)
-      const textArea = document.getElementById('fm-transcript-text');
-      const transcript = textArea ? textArea.value : widgetState.currentTranscript?.transcript || '';
+  /**
+   * Find the public handle for a widget by container element or selector
+   */
+  function getInstance(target) {
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    const instance = instances.find(item => item.container === element);
+    return instance ? instance.api : null;
+  }
 
-      // Create new PDF document
-      const doc = new jsPDF();
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
 
-      // Set up styling
-      const pageWidth = doc.internal.pageSize.getWidth();
-      const margin = 20;
-      const maxWidth = pageWidth - (margin * 2);
-      let yPosition = 20;
+  /**
+   * Create an isolated widget instance inside a container
+   * Each instance gets its own state, configuration, widget markup and modal.
+   */
+  function createInstance(container, options) {
+    const instance = {
+      container,
+      config: buildInstanceConfig(container, options),
+      state: createInitialState(),
+      widget: null,
+      overlay: null,
+      hosts: null,       // Shadow hosts: { widget (in the container), modal (in <body>) }
+      listeners: {},
+      api: null
+    };
+    instance.config.LOCALE = resolveLocale(instance.config.LOCALE);
+    instance.widget = createWidgetHTML(instance);
+    instance.overlay = createModalHTML(instance);
+    instance.api = createPublicAPI(instance);
+    instance.state.metadata = getDefaultMetadata(instance.config);
 
-      // Title
-      doc.setFontSize(20);
-      doc.setFont(undefined, 'bold');
-      doc.text('Family Memory Transcript', margin, yPosition);
-      yPosition += 15;
+    // Widget and modal each render in a shadow root, out of reach of the page's CSS
+    instance.config.THEME = getThemeName(instance.config.THEME);
+    const widgetHost = createShadowHost('fm-widget-root', instance.config);
+    const modalHost = createShadowHost('fm-modal-root', instance.config);
+    widgetHost.root.appendChild(instance.widget);
+    modalHost.root.appendChild(instance.overlay);
+    instance.hosts = { widget: widgetHost.host, modal: modalHost.host };
 
-      // Metadata section
-      doc.setFontSize(10);
-      doc.setFont(undefined, 'normal');
-      doc.setTextColor(100, 100, 100);
-      
-      const timestamp = new Date().toLocaleString();
-      doc.text(`Date: ${timestamp}`, margin, yPosition);
-      yPosition += 6;
+    container.appendChild(widgetHost.host);
+    document.body.appendChild(modalHost.host);
 
-      if (widgetState.currentTranscript) {
-        doc.text(`Language: ${widgetState.currentTranscript.language || 'Unknown'}`, margin, yPosition);
-        yPosition += 6;
-        doc.text(`Confidence: ${widgetState.currentTranscript.confidence}%`, margin, yPosition);
-        yPosition += 6;
-      }
+    // Attach event listener to mic button (also Space / Enter when it has focus)
+    getElement(instance, 'mic-button').addEventListener('click', () => toggleRecording(instance));
 
-      doc.text(`Duration: ${formatTime(widgetState.recordingDuration)}`, margin, yPosition);
-      yPosition += 15;
+    // Attach event listener to pause button
+    getElement(instance, 'pause-button').addEventListener('click', () => togglePause(instance));
 
-      // Transcript section
-      doc.setFontSize(12);
-      doc.setFont(undefined, 'bold');
-      doc.setTextColor(0, 0, 0);
-      doc.text('Transcript:', margin, yPosition);
-      yPosition += 8;
+    // Attach event listener to library button
+    getElement(instance, 'library-button').addEventListener('click', () => showLibraryModal(instance));
 
-      // Transcript text (wrapped)
-      doc.setFont(undefined, 'normal');
-      doc.setFontSize(11);
-      const lines = doc.splitTextToSize(transcript, maxWidth);
-      
-      // Handle pagination if transcript is long
-      lines.forEach((line) => {
-        if (yPosition > 270) {  // Near bottom of page
-          doc.addPage();
-          yPosition = 20;
-        }
-        doc.text(line, margin, yPosition);
-        yPosition += 7;
-      });
+    // Attach event listener to photo button (photos for the next recording)
+    getElement(instance, 'photo-side-button').addEventListener('click', () => showPhotoModal(instance));
 
-      // Add photo if available (Pro feature placeholder)
-      if (widgetState.uploadedPhoto) {
-        // Add new page for photo
-        doc.addPage();
-        yPosition = 20;
-        doc.setFontSize(12);
-        doc.setFont(undefined, 'bold');
-        doc.text('Attached Photo:', margin, yPosition);
-        yPosition += 10;
-        
-        // Add photo (jsPDF supports base64 images)
-        try {
-          doc.addImage(widgetState.uploadedPhoto, 'JPEG', margin, yPosition, maxWidth, 0);
-        } catch (e) {
-          console.warn('Could not add photo to PDF:', e);
-        }
-      }
+    // Attach event listener to the audio file upload button
+    getElement(instance, 'upload-button').addEventListener('click', () => showUploadModal(instance));
 
-      // Footer on last page
-      const pageCount = doc.internal.getNumberOfPages();
-      doc.setPage(pageCount);
-      doc.setFontSize(8);
-      doc.setTextColor(150, 150, 150);
-      doc.text('Generated by Family Memory Widget', margin, 285);
+    // Attach event listener to the microphone settings button
+    getElement(instance, 'settings-button').addEventListener('click', () => showSettingsModal(instance));
 
-      // Save the PDF
-      const pdfFilename = `family-memory-${new Date().toISOString().slice(0, 10)}.pdf`;
-      doc.save(pdfFilename);
+    // Attach event listeners to the upload queue's "Retry now" and "Discard failed" buttons
+    getElement(instance, 'queue-retry').addEventListener('click', retryQueueNow);
+    getElement(instance, 'queue-discard').addEventListener('click', () => discardFailedUploads(instance));
 
-      // Visual feedback
-      const button = document.getElementById('fm-export-button');
-      if (button) {
-        const originalText = button.textContent;
-        button.textContent = '✅ Exported!';
-        setTimeout(() => {
-          button.textContent = originalText;
-        }, 2000);
-      }
+    // Pro status comes from the verified entitlement token (see PRO ENTITLEMENT);
+    // this also shows the right limit before the first recording
+    applyProStatus(instance);
 
-    } catch (error) {
-      console.error('Error exporting PDF:', error);
-      showError('Failed to export PDF. Please make sure jsPDF library is loaded. Error: ' + error.message);
-    }
-  }
+    // Interview mode: load the prompt deck and show the first question
+    setupInterview(instance);
 
-  // ============================================================================
-  // INITIALIZATION
-  // ============================================================================
+    instances.push(instance);
+    return instance;
+  }
 
   /**
    * Initialize the widget
+   * Creates one instance per .family-memory-widget container. Safe to call
+   * again: containers that already hold a widget are skipped.
+   * options: CONFIG overrides applied to every new instance (data attributes
+   * on a container take precedence)
+   * Returns: public handles for the newly created widgets
    */
-  function init() {
-    // Inject styles
-    injectStyles();
-
-    // Create widget HTML
-    const widget = createWidgetHTML();
-    const modal = createModalHTML();
-
+  function init(options = {}) {
     // Find all elements with class 'family-memory-widget' and insert widget
     const containers = document.querySelectorAll('.family-memory-widget');
     
     if (containers.length === 0) {
       console.warn('No elements with class "family-memory-widget" found. Please add <div class="family-memory-widget"></div> to your page.');
-      return;
+      return [];
     }
 
+    const created = [];
     containers.forEach(container => {
-      container.appendChild(widget.cloneNode(true));
+      if (instances.some(instance => instance.container === container)) return;
+      created.push(createInstance(container, options).api);
     });
 
-    // Add modal to body (only once)
-    document.body.appendChild(modal);
-
-    // Attach event listener to mic button(s)
-    document.querySelectorAll('#fm-mic-button').forEach(button => {
-      button.addEventListener('click', () => {
-        if (widgetState.isRecording) {
-          stopRecording();
-        } else {
-          startRecording();
-        }
+    // Pick up uploads left over from earlier visits, and check for Pro
+    if (created.length > 0) {
+      watchDeviceChanges();
+      startUploadQueue();
+      startEntitlement(instances[0].config).catch(error => {
+        console.warn('Could not start Pro entitlement:', error);
       });
-    });
+    }
 
-    // Check for Pro status (you could check this via API or localStorage)
-    // For now, it defaults to false
-    widgetState.isPro = localStorage.getItem('familyMemory_pro') === 'true';
+    // Show the server's remaining count before the first recording
+    instances
+      .filter(instance => created.includes(instance.api) && instance.config.QUOTA_URL && !instance.state.isPro)
+      .forEach(instance => fetchServerQuota(instance));
 
     console.log('Family Memory Widget initialized successfully!');
+    return created;
   }
 
   // ============================================================================
@@ -1113,15 +9583,21 @@
 
   // Wait for DOM to be ready, then initialize
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', () => init());
   } else {
     init();
   }
 
-  // Expose public API for manual initialization if needed
+  // Expose public API for manual initialization and host page integration
   window.FamilyMemoryWidget = {
     init: init,
-    version: '1.0.0'
+    getInstance: getInstance,
+    getInstances: () => instances.map(instance => instance.api),
+    registerBackend: registerBackend,
+    registerLocale: registerLocale,
+    setEntitlementToken: acceptEntitlementToken,
+    refreshEntitlement: refreshEntitlement,
+    version: '1.1.0'
   };
 
 })();